@@ -271,6 +271,18 @@ this.createjs = this.createjs || {};
 	};
 
 	// plugins should overwrite this method
+	/**
+	 * Get the current time of the clock used to schedule playback with the
+	 * {{#crossLink "PlayPropsConfig/when:property"}}{{/crossLink}} play property. Plugins without an audio clock
+	 * use the system clock.
+	 * @method getAudioTime
+	 * @return {Number} The current time, in seconds.
+	 * @since 1.1.0
+	 */
+	p.getAudioTime = function () {
+		return Date.now() * 0.001;
+	};
+
 	p.toString = function () {
 		return "[AbstractPlugin]";
 	};
@@ -284,9 +296,19 @@ this.createjs = this.createjs || {};
 	 * @protected
 	 */
 	p._handlePreloadComplete = function (event) {
-		var src = event.target.getItem().src,
-				result = event.result,
-				instances = this._soundInstances[src];
+		this._setAudioSource(event.target.getItem().src, event.result);
+	};
+
+	/**
+	 * Store the loaded audio for a source, and pass it to any instances that were created while it loaded.
+	 * @method _setAudioSource
+	 * @param {String} src The sound URI.
+	 * @param {Object} result The loaded audio.
+	 * @protected
+	 * @since 1.1.0
+	 */
+	p._setAudioSource = function (src, result) {
+		var instances = this._soundInstances[src];
 		this._audioSources[src] = result;
 
 		if (instances != null && instances.length > 0) {
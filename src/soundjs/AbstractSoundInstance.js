@@ -105,6 +105,40 @@ this.createjs = this.createjs || {};
 		 */
 		this.playState = null;
 
+		/**
+		 * How important the sound is when the number of voices playing reaches {{#crossLink "Sound/maxVoices:property"}}{{/crossLink}}.
+		 * When a sound starts and there are no voices free, it steals the voice of a playing sound with a lower
+		 * priority, or with the same priority if it was played with an interrupt value other than
+		 * {{#crossLink "Sound/INTERRUPT_NONE:property"}}{{/crossLink}}. If there is no such sound, it fails to play.
+		 * This can be set with the {{#crossLink "PlayPropsConfig/priority:property"}}{{/crossLink}} play property,
+		 * including in the defaultPlayProps of {{#crossLink "Sound/registerSound"}}{{/crossLink}}.
+		 * @property priority
+		 * @type {Number}
+		 * @default 0
+		 * @since 1.1.0
+		 */
+		this.priority = 0;
+
+		/**
+		 * The id or src the instance was created with, which is used to match
+		 * {{#crossLink "Sound/addDuckingRule"}}{{/crossLink}} rules. This is set by {{#crossLink "Sound"}}{{/crossLink}}.
+		 * @property id
+		 * @type {String}
+		 * @default null
+		 * @since 1.1.0
+		 */
+		this.id = null;
+
+		/**
+		 * A tag used to match {{#crossLink "Sound/addDuckingRule"}}{{/crossLink}} rules, set with the
+		 * {{#crossLink "PlayPropsConfig/tag:property"}}{{/crossLink}} play property.
+		 * @property tag
+		 * @type {String}
+		 * @default null
+		 * @since 1.1.0
+		 */
+		this.tag = null;
+
 		/**
 		 * A Timeout created by {{#crossLink "Sound"}}{{/crossLink}} when this AbstractSoundInstance is played with a delay.
 		 * This allows AbstractSoundInstance to remove the delay if stop, pause, or cleanup are called before playback begins.
@@ -237,6 +271,61 @@ this.createjs = this.createjs || {};
 		this.getLoop = createjs.deprecate(this._getLoop, "AbstractSoundInstance.getLoop");
 		this.setLoop = createjs.deprecate(this._setLoop, "AbstractSoundInstance.setLoop");
 
+		/**
+		 * The position that each loop returns to, in milliseconds from the {{#crossLink "AbstractSoundInstance/startTime:property"}}{{/crossLink}}.
+		 * The audio before it plays once as an intro. The WebAudioPlugin loops the region natively, while other plugins
+		 * seek back to it.
+		 *
+		 * @property loopStart
+		 * @type {Number}
+		 * @default 0
+		 * @since 1.1.0
+		 */
+		this._loopStart = 0;
+		Object.defineProperty(this, "loopStart", {
+			get: this._getLoopStart,
+			set: this._setLoopStart
+		});
+
+		/**
+		 * The position that each loop returns from, in milliseconds from the {{#crossLink "AbstractSoundInstance/startTime:property"}}{{/crossLink}}.
+		 * The audio after it plays once, on the final loop, as an outro. The default of null loops from the end of the
+		 * {{#crossLink "AbstractSoundInstance/duration:property"}}{{/crossLink}}.
+		 *
+		 * @property loopEnd
+		 * @type {Number}
+		 * @default null
+		 * @since 1.1.0
+		 */
+		this._loopEnd = null;
+		Object.defineProperty(this, "loopEnd", {
+			get: this._getLoopEnd,
+			set: this._setLoopEnd
+		});
+
+		/**
+		 * The markers that fire a {{#crossLink "AbstractSoundInstance/marker:event"}}{{/crossLink}} event when
+		 * playback crosses them, as objects in the format <code>{name, time}</code>, with the time in milliseconds from
+		 * the {{#crossLink "AbstractSoundInstance/startTime:property"}}{{/crossLink}}. Markers are set from the
+		 * <code>markers</code> data of the sound or audio sprite when the instance is created, see
+		 * {{#crossLink "Sound/registerSound"}}{{/crossLink}}. Setting this replaces all of the markers.
+		 *
+		 * <h4>Example</h4>
+		 *
+		 *      var instance = createjs.Sound.play("dialogue");
+		 *      instance.markers = [{name:"smile", time:1250}, {name:"frown", time:3400}];
+		 *      instance.on("marker", function(event) { showExpression(event.name); });
+		 *
+		 * @property markers
+		 * @type {Array}
+		 * @since 1.1.0
+		 */
+		this._markers = [];
+		Object.defineProperty(this, "markers", {
+			get: this._getMarkers,
+			set: this._setMarkers
+		});
+
 		/**
 		 * Mutes or unmutes the current audio instance.
 		 *
@@ -267,6 +356,261 @@ this.createjs = this.createjs || {};
 		this.getPaused = createjs.deprecate(this._getPaused, "AbstractSoundInstance.getPaused");
 		this.setPaused = createjs.deprecate(this._setPaused, "AbstractSoundInstance.setPaused");
 
+		/**
+		 * The rate the sound plays at, where 1 is normal speed, 0.5 is half speed and an octave lower, and 2 is double
+		 * speed and an octave higher. Changing the rate changes both the speed and pitch of the sound. This can be
+		 * changed while the sound is playing. Note that playbackRate is not supported by Flash Audio, and the range
+		 * supported by HTML Audio varies by browser.
+		 *
+		 * <h4>Example</h4>
+		 *
+		 *      createjs.Sound.play("step", {playbackRate: 0.9 + Math.random() * 0.2});
+		 *
+		 * @property playbackRate
+		 * @type {Number}
+		 * @default 1
+		 * @since 1.1.0
+		 */
+		this._playbackRate = 1;
+		Object.defineProperty(this, "playbackRate", {
+			get: this._getPlaybackRate,
+			set: this._setPlaybackRate
+		});
+
+		/**
+		 * The name of the {{#crossLink "SoundBus"}}{{/crossLink}} this instance plays through, or null to play through
+		 * the master output only. The volume, mute, and pause state of the bus are applied on top of those of the
+		 * instance. This can be changed while the sound is playing.
+		 *
+		 * @property bus
+		 * @type {String}
+		 * @default null
+		 * @since 1.1.0
+		 */
+		this._bus = null;
+		Object.defineProperty(this, "bus", {
+			get: this._getBus,
+			set: this._setBus
+		});
+
+		/**
+		 * A Promise that settles when the current playback ends. It resolves with the final
+		 * {{#crossLink "AbstractSoundInstance/playState:property"}}{{/crossLink}} when the sound completes, is stopped,
+		 * or is interrupted, and rejects with a {{#crossLink "SoundError"}}{{/crossLink}} when playback fails. Each
+		 * time the instance is played again after it has ended, a new Promise is created. The Promise is only created
+		 * when this property is read, so instances that never use it can not cause unhandled rejections.
+		 *
+		 * <h4>Example</h4>
+		 *
+		 *      createjs.Sound.play("intro").finished.then(function (playState) {
+		 *          createjs.Sound.play("music", {loop:-1});
+		 *      });
+		 *
+		 * Note this requires Promise support in the browser, or a Promise polyfill.
+		 * @property finished
+		 * @type {Promise}
+		 * @readOnly
+		 * @since 1.1.0
+		 */
+		this._finished = null;
+		Object.defineProperty(this, "finished", {
+			get: this._getFinished
+		});
+
+		/**
+		 * The effects applied to the instance, in order. Setting this replaces all of the effects. Effects can also
+		 * be added and removed using {{#crossLink "AbstractSoundInstance/addEffect"}}{{/crossLink}} and
+		 * {{#crossLink "AbstractSoundInstance/removeEffect"}}{{/crossLink}}. Note effects are only applied by plugins
+		 * with the <code>effects</code> {{#crossLink "Sound/capabilities:property"}}{{/crossLink}}.
+		 * @property effects
+		 * @type {Array}
+		 * @since 1.1.0
+		 */
+		this._effects = [];
+		Object.defineProperty(this, "effects", {
+			get: this._getEffects,
+			set: this._setEffects
+		});
+
+		/**
+		 * Indicates the instance was paused by its {{#crossLink "SoundBus"}}{{/crossLink}}, and should be resumed when
+		 * the bus is resumed.
+		 * @property _busPaused
+		 * @type {Boolean}
+		 * @default false
+		 * @protected
+		 * @since 1.1.0
+		 */
+		this._busPaused = false;
+
+		/**
+		 * The fade currently in progress, created by {{#crossLink "AbstractSoundInstance/fadeTo"}}{{/crossLink}},
+		 * or null.
+		 * @property _fade
+		 * @type {Object}
+		 * @default null
+		 * @protected
+		 * @since 1.1.0
+		 */
+		this._fade = null;
+
+		/**
+		 * Interval used to step the current fade.
+		 * @property _fadeIntervalId
+		 * @type {timeoutVariable}
+		 * @default null
+		 * @protected
+		 * @since 1.1.0
+		 */
+		this._fadeIntervalId = null;
+
+		/**
+		 * The amount of time to fade out over at the end of playback, in milliseconds, set using the
+		 * {{#crossLink "PlayPropsConfig/fadeOut:property"}}{{/crossLink}} play property.
+		 * @property _fadeOut
+		 * @type {Number}
+		 * @default 0
+		 * @protected
+		 * @since 1.1.0
+		 */
+		this._fadeOut = 0;
+
+		/**
+		 * Timeout used to start the fade out at the end of playback.
+		 * @property _fadeOutTimeout
+		 * @type {timeoutVariable}
+		 * @default null
+		 * @protected
+		 * @since 1.1.0
+		 */
+		this._fadeOutTimeout = null;
+
+		/**
+		 * The volume to restore when playback ends, after fading out using
+		 * {{#crossLink "PlayPropsConfig/fadeOut:property"}}{{/crossLink}} or {{#crossLink "AbstractSoundInstance/stop"}}{{/crossLink}}.
+		 * @property _restoreVolume
+		 * @type {Number}
+		 * @default null
+		 * @protected
+		 * @since 1.1.0
+		 */
+		this._restoreVolume = null;
+
+		/**
+		 * The time on the audio clock that playback was scheduled to start at, using the
+		 * {{#crossLink "PlayPropsConfig/when:property"}}{{/crossLink}} play property, or null. This is only set for
+		 * plugins that support <code>preciseScheduling</code>.
+		 * @property _when
+		 * @type {Number}
+		 * @default null
+		 * @protected
+		 * @since 1.1.0
+		 */
+		this._when = null;
+
+		/**
+		 * The functions used to settle the {{#crossLink "AbstractSoundInstance/finished:property"}}{{/crossLink}}
+		 * Promise, in the format <code>{resolve, reject}</code>, or null if it has not been created or has settled.
+		 * @property _finishedHandlers
+		 * @type {Object}
+		 * @default null
+		 * @protected
+		 * @since 1.1.0
+		 */
+		this._finishedHandlers = null;
+
+		/**
+		 * The play state the last playback ended with, which is used to settle a
+		 * {{#crossLink "AbstractSoundInstance/finished:property"}}{{/crossLink}} Promise created after playback ends.
+		 * This is null while the instance is playing, or has not been played.
+		 * @property _finishedState
+		 * @type {String}
+		 * @default null
+		 * @protected
+		 * @since 1.1.0
+		 */
+		this._finishedState = null;
+
+		/**
+		 * The volume the instance is ducked to by {{#crossLink "Sound/addDuckingRule"}}{{/crossLink}} rules, which is
+		 * multiplied against its volume. This is 1 when the instance is not ducked.
+		 * @property _duckVolume
+		 * @type {Number}
+		 * @default 1
+		 * @protected
+		 * @since 1.1.0
+		 */
+		this._duckVolume = 1;
+
+		/**
+		 * The ducking ramp in progress, in the format <code>{from, startTime, duration}</code>, or null.
+		 * @property _duck
+		 * @type {Object}
+		 * @default null
+		 * @protected
+		 * @since 1.1.0
+		 */
+		this._duck = null;
+
+		/**
+		 * The ducking rule that is currently applied to the instance, which provides the release time. This is set by
+		 * {{#crossLink "Sound"}}{{/crossLink}}.
+		 * @property _duckRule
+		 * @type {Object}
+		 * @default null
+		 * @protected
+		 * @since 1.1.0
+		 */
+		this._duckRule = null;
+
+		/**
+		 * Interval used to step the ducking ramp, for plugins that can not schedule it.
+		 * @property _duckIntervalId
+		 * @type {timeoutVariable}
+		 * @default null
+		 * @protected
+		 * @since 1.1.0
+		 */
+		this._duckIntervalId = null;
+
+		/**
+		 * The 3D position, orientation, cone and distance settings of the instance, or null if it has not been
+		 * positioned using {{#crossLink "AbstractSoundInstance/setSpatialPosition"}}{{/crossLink}} or the other spatial methods.
+		 * @property _spatial
+		 * @type {Object}
+		 * @default null
+		 * @protected
+		 * @since 1.1.0
+		 */
+		this._spatial = null;
+
+		/**
+		 * The index of the next marker in {{#crossLink "AbstractSoundInstance/markers:property"}}{{/crossLink}} that
+		 * playback will cross.
+		 * @property _markerIndex
+		 * @type {Number}
+		 * @default 0
+		 * @protected
+		 * @since 1.1.0
+		 */
+		this._markerIndex = 0;
+
+		/**
+		 * Timeout that is created to fire the next {{#crossLink "AbstractSoundInstance/marker:event"}}{{/crossLink}} event.
+		 * @property _markerTimeout
+		 * @type {timeoutVariable}
+		 * @default null
+		 * @protected
+		 * @since 1.1.0
+		 */
+		this._markerTimeout = null;
+
+		// Proxies, make removing listeners easier.
+		this._fadeTickHandler = createjs.proxy(this._handleFadeTick, this);
+		this._duckTickHandler = createjs.proxy(this._handleDuckTick, this);
+		this._fadeOutHandler = createjs.proxy(this._handleFadeOut, this);
+		this._markerHandler = createjs.proxy(this._handleMarkerTimeout, this);
+
 
 	// Events
 		/**
@@ -312,9 +656,44 @@ this.createjs = this.createjs || {};
 		 * @param {String} type The event type.
 		 * @since 0.4.0
 		 */
+
+		/**
+		 * The event that is fired when a fade started with {{#crossLink "AbstractSoundInstance/fadeTo"}}{{/crossLink}},
+		 * {{#crossLink "AbstractSoundInstance/stop"}}{{/crossLink}}, or the fadeIn and fadeOut play properties completes.
+		 * Fades that are cancelled, for example by setting the volume, do not fire this event.
+		 * @event fadecomplete
+		 * @param {Object} target The object that dispatched the event.
+		 * @param {String} type The event type.
+		 * @since 1.1.0
+		 */
+
+		/**
+		 * The event that is fired when playback crosses one of the {{#crossLink "AbstractSoundInstance/markers:property"}}{{/crossLink}},
+		 * including on each loop, and after the position is set or playback is resumed. Markers that are crossed
+		 * at the same time fire in order.
+		 * @event marker
+		 * @param {Object} target The object that dispatched the event.
+		 * @param {String} type The event type.
+		 * @param {String} name The name of the marker.
+		 * @param {Number} time The time of the marker, in milliseconds.
+		 * @since 1.1.0
+		 */
 	};
 
 	var p = createjs.extend(AbstractSoundInstance, createjs.EventDispatcher);
+	var s = AbstractSoundInstance;
+
+// Static Properties:
+	/**
+	 * The interval between volume updates of a timer-driven fade, in milliseconds. Plugins that can schedule fades,
+	 * such as {{#crossLink "WebAudioPlugin"}}{{/crossLink}}, only use the timer to track the volume.
+	 * @property FADE_INTERVAL
+	 * @type {Number}
+	 * @default 20
+	 * @static
+	 * @since 1.1.0
+	 */
+	s.FADE_INTERVAL = 20;
 
 // Public Methods:
 	/**
@@ -358,15 +737,32 @@ this.createjs = this.createjs || {};
 	 *
 	 *     myInstance.stop();
 	 *
+	 * Pass a fadeOut time to fade the sound out before it stops. The volume is restored once the sound stops, so it
+	 * will play at the same volume next time. Changing the volume or calling {{#crossLink "AbstractSoundInstance/fadeTo"}}{{/crossLink}}
+	 * during the fade out does not cancel the stop, it sets the volume that is restored instead.
+	 *
+	 *     myInstance.stop({fadeOut:500});
+	 *
 	 * @method stop
+	 * @param {Object} [props] An object with an optional <code>fadeOut</code> property, which is the amount of time
+	 * to fade out over before stopping, in milliseconds.
 	 * @return {AbstractSoundInstance} A reference to itself, intended for chaining calls.
 	 */
-	p.stop = function () {
+	p.stop = function (props) {
+		if (props && props.fadeOut > 0 && this.playState == createjs.Sound.PLAY_SUCCEEDED && !this._paused) {
+			var volume = this._restoreVolume != null ? this._restoreVolume : this._volume;
+			clearTimeout(this._fadeOutTimeout);
+			this._startFade(0, props.fadeOut, null, "stop");
+			this._restoreVolume = volume;
+			return this;
+		}
+
 		this._position = 0;
 		this._paused = false;
 		this._handleStop();
 		this._cleanUp();
 		this.playState = createjs.Sound.PLAY_FINISHED;
+		this._settleFinished(this.playState);
 		return this;
 	};
 
@@ -383,6 +779,155 @@ this.createjs = this.createjs || {};
 		this.removeAllEventListeners();
 	};
 
+	/**
+	 * Fade the volume of the instance to a new value over time. Any fade that is already in progress is cancelled,
+	 * as is this fade if the {{#crossLink "AbstractSoundInstance/volume:property"}}{{/crossLink}} is set directly.
+	 * If the instance is fading out to stop, the stop is kept and the volume is set once the instance has stopped.
+	 * Fades pause along with the instance. A {{#crossLink "AbstractSoundInstance/fadecomplete:event"}}{{/crossLink}}
+	 * event is dispatched when the fade completes.
+	 *
+	 * <h4>Example</h4>
+	 *
+	 *      myInstance.fadeTo(0.2, 1000, createjs.Ease.quadOut);
+	 *      myInstance.on("fadecomplete", handleFadeComplete);
+	 *
+	 * @method fadeTo
+	 * @param {Number} volume The volume to fade to, between 0 and 1.
+	 * @param {Number} duration The amount of time to fade over, in milliseconds.
+	 * @param {Function} [ease] An easing function that takes a ratio between 0 and 1 and returns the eased ratio,
+	 * such as those in TweenJS <code>createjs.Ease</code>. The fade is linear by default.
+	 * @return {AbstractSoundInstance} A reference to itself, intended for chaining calls.
+	 * @since 1.1.0
+	 */
+	p.fadeTo = function (volume, duration, ease) {
+		if (this._fade && this._fade.type == "stop") {
+			this._restoreVolume = Math.max(0, Math.min(1, volume));
+			return this;
+		}
+		this._restoreVolume = null;
+		this._startFade(volume, duration, ease, "fade");
+		return this;
+	};
+
+	/**
+	 * Add an effect to the end of the effects applied to the instance. See {{#crossLink "AbstractEffect"}}{{/crossLink}}
+	 * for the included effects.
+	 *
+	 * <h4>Example</h4>
+	 *
+	 *      var filter = new createjs.FilterEffect({type:"lowpass", frequency:500});
+	 *      myInstance.addEffect(filter);
+	 *
+	 * @method addEffect
+	 * @param {AbstractEffect} effect The effect to add.
+	 * @return {AbstractSoundInstance} A reference to itself, intended for chaining calls.
+	 * @since 1.1.0
+	 */
+	p.addEffect = function (effect) {
+		if (effect == null || createjs.indexOf(this._effects, effect) != -1) { return this; }
+		this._effects.push(effect);
+		this._updateEffects();
+		return this;
+	};
+
+	/**
+	 * Remove an effect that was added with {{#crossLink "AbstractSoundInstance/addEffect"}}{{/crossLink}}.
+	 * @method removeEffect
+	 * @param {AbstractEffect} effect The effect to remove.
+	 * @return {AbstractSoundInstance} A reference to itself, intended for chaining calls.
+	 * @since 1.1.0
+	 */
+	p.removeEffect = function (effect) {
+		var index = createjs.indexOf(this._effects, effect);
+		if (index == -1) { return this; }
+		this._effects.splice(index, 1);
+		this._updateEffects();
+		effect.disconnect();
+		return this;
+	};
+
+	/**
+	 * Position the sound in 3D space, relative to the {{#crossLink "Sound/listener:property"}}{{/crossLink}}. Once a
+	 * sound is positioned, its {{#crossLink "AbstractSoundInstance/pan:property"}}{{/crossLink}} is ignored. The
+	 * {{#crossLink "WebAudioPlugin"}}{{/crossLink}} pans the sound using {{#crossLink "Sound/panningModel:property"}}{{/crossLink}},
+	 * while other plugins approximate the position by adjusting the volume by distance, and the pan by the direction
+	 * to the sound where the plugin supports pan, as indicated by the <code>spatial</code>
+	 * {{#crossLink "Sound/capabilities:property"}}{{/crossLink}}.
+	 *
+	 * <h4>Example</h4>
+	 *
+	 *      var engine = createjs.Sound.play("engine", {loop:-1});
+	 *      engine.setSpatialPosition(car.x, 0, car.y).setDistanceModel("inverse", 5, 1000, 1);
+	 *
+	 * @method setSpatialPosition
+	 * @param {Number} x The x position.
+	 * @param {Number} y The y position.
+	 * @param {Number} z The z position.
+	 * @return {AbstractSoundInstance} A reference to itself, intended for chaining calls.
+	 * @since 1.1.0
+	 */
+	p.setSpatialPosition = function (x, y, z) {
+		this._getSpatial().position = [x || 0, y || 0, z || 0];
+		this._updateSpatial();
+		return this;
+	};
+
+	/**
+	 * Set the direction the sound is facing, which is used with {{#crossLink "AbstractSoundInstance/setCone"}}{{/crossLink}}
+	 * to make sounds directional.
+	 * @method setOrientation
+	 * @param {Number} x The x direction.
+	 * @param {Number} y The y direction.
+	 * @param {Number} z The z direction.
+	 * @return {AbstractSoundInstance} A reference to itself, intended for chaining calls.
+	 * @since 1.1.0
+	 */
+	p.setOrientation = function (x, y, z) {
+		this._getSpatial().orientation = [x || 0, y || 0, z || 0];
+		this._updateSpatial();
+		return this;
+	};
+
+	/**
+	 * Make the sound directional. The sound plays at full volume inside the inner cone, at the outer gain outside
+	 * the outer cone, and fades between them. The cone points in the direction set with
+	 * {{#crossLink "AbstractSoundInstance/setOrientation"}}{{/crossLink}}.
+	 * @method setCone
+	 * @param {Number} innerAngle The angle of the inner cone, in degrees. The default of 360 is not directional.
+	 * @param {Number} outerAngle The angle of the outer cone, in degrees. The default is 360.
+	 * @param {Number} outerGain The volume outside of the outer cone, between 0 and 1. The default is 0.
+	 * @return {AbstractSoundInstance} A reference to itself, intended for chaining calls.
+	 * @since 1.1.0
+	 */
+	p.setCone = function (innerAngle, outerAngle, outerGain) {
+		var spatial = this._getSpatial();
+		if (innerAngle != null) { spatial.coneInnerAngle = innerAngle; }
+		if (outerAngle != null) { spatial.coneOuterAngle = outerAngle; }
+		if (outerGain != null) { spatial.coneOuterGain = Math.max(0, Math.min(1, outerGain)); }
+		this._updateSpatial();
+		return this;
+	};
+
+	/**
+	 * Set how the volume of the sound drops off with distance from the listener.
+	 * @method setDistanceModel
+	 * @param {String} model The distance model, which can be "linear", "inverse" or "exponential". The default is "inverse".
+	 * @param {Number} [refDistance] The distance at which the volume starts to drop off. The default is 1.
+	 * @param {Number} [maxDistance] The distance after which the volume stops dropping off. The default is 10000.
+	 * @param {Number} [rolloffFactor] How quickly the volume drops off. The default is 1.
+	 * @return {AbstractSoundInstance} A reference to itself, intended for chaining calls.
+	 * @since 1.1.0
+	 */
+	p.setDistanceModel = function (model, refDistance, maxDistance, rolloffFactor) {
+		var spatial = this._getSpatial();
+		if (model != null) { spatial.distanceModel = model; }
+		if (refDistance != null) { spatial.refDistance = refDistance; }
+		if (maxDistance != null) { spatial.maxDistance = maxDistance; }
+		if (rolloffFactor != null) { spatial.rolloffFactor = rolloffFactor; }
+		this._updateSpatial();
+		return this;
+	};
+
 	/**
 	 * Takes an PlayPropsConfig or Object with the same properties and sets them on this instance.
 	 * @method applyPlayProps
@@ -392,13 +937,23 @@ this.createjs = this.createjs || {};
 	 */
 	p.applyPlayProps = function(playProps) {
 		if (playProps.offset != null) { this._setPosition(playProps.offset) }
+		if (playProps.loopStart != null) { this._setLoopStart(playProps.loopStart); }
+		if (playProps.loopEnd != null) { this._setLoopEnd(playProps.loopEnd); }
 		if (playProps.loop != null) { this._setLoop(playProps.loop); }
 		if (playProps.volume != null) { this._setVolume(playProps.volume); }
 		if (playProps.pan != null) { this._setPan(playProps.pan); }
+		if (playProps.playbackRate != null) { this._setPlaybackRate(playProps.playbackRate); }
+		if (playProps.bus != null) { this._setBus(playProps.bus); }
+		if (playProps.priority != null) { this.priority = playProps.priority; }
+		if (playProps.tag != null) { this.tag = playProps.tag; }
 		if (playProps.startTime != null) {
 			this._setStartTime(playProps.startTime);
 			this._setDuration(playProps.duration);
 		}
+		if (playProps.fadeOut != null) {
+			this._fadeOut = playProps.fadeOut;
+			this._resetFadeOut();
+		}
 		return this;
 	};
 
@@ -432,9 +987,14 @@ this.createjs = this.createjs || {};
 		this._paused = value;
 		if(value) {
 			this._pause();
+			this._pauseFade();
 		} else {
 			this._resume();
+			this._resumeFade();
 		}
+		createjs.Sound._updateDucking();	// paused sounds do not duck others
+		this._updateFadeOut();
+		this._scheduleMarker();
 		clearTimeout(this.delayTimeoutId);
 		return this;
 	};
@@ -447,6 +1007,12 @@ this.createjs = this.createjs || {};
 	 * @return {AbstractSoundInstance} A reference to itself, intended for chaining calls.
 	 */
 	p._setVolume = function (value) {
+		if (this._fade && this._fade.type == "stop") {	// keep fading out, and restore to the new volume once stopped
+			this._restoreVolume = Math.max(0, Math.min(1, value));
+			return this;
+		}
+		this._restoreVolume = null;
+		this._cancelFade();
 		if (value == this._volume) { return this; }
 		this._volume = Math.max(0, Math.min(1, value));
 		if (!this._muted) {
@@ -516,36 +1082,139 @@ this.createjs = this.createjs || {};
 	};
 
 	/**
-	 * Please use {{#crossLink "AbstractSoundInstance/position:property"}}{{/crossLink}} directly as a property
-	 * @method _getPosition
+	 * Please use {{#crossLink "AbstractSoundInstance/playbackRate:property"}}{{/crossLink}} directly as a property
+	 * @method _setPlaybackRate
 	 * @protected
-	 * @return {Number} The position of the playhead in the sound, in milliseconds.
+	 * @param {Number} value The playback rate, greater than 0.
+	 * @return {AbstractSoundInstance} Returns reference to itself for chaining calls
+	 * @since 1.1.0
 	 */
-	p._getPosition = function () {
-		if (!this._paused && this.playState == createjs.Sound.PLAY_SUCCEEDED) {
-			this._position = this._calculateCurrentPosition();
-		}
-		return this._position;
+	p._setPlaybackRate = function (value) {
+		value = Number(value);
+		if (!(value > 0) || value == this._playbackRate) { return this; }
+		this._getPosition();	// store the position reached at the old rate
+		this._playbackRate = value;
+		this._updatePlaybackRate();
+		this._updateFadeOut();
+		this._scheduleMarker();
+		return this;
 	};
 
 	/**
-	 * Please use {{#crossLink "AbstractSoundInstance/position:property"}}{{/crossLink}} directly as a property
-	 * @method _setPosition
+	 * Please use {{#crossLink "AbstractSoundInstance/playbackRate:property"}}{{/crossLink}} directly as a property
+	 * @method _getPlaybackRate
 	 * @protected
-	 * @param {Number} value The position to place the playhead, in milliseconds.
-	 * @return {AbstractSoundInstance} Returns reference to itself for chaining calls
+	 * @return {Number} The playback rate.
+	 * @since 1.1.0
 	 */
-	p._setPosition = function (value) {
-		this._position = Math.max(0, value);
-		if (this.playState == createjs.Sound.PLAY_SUCCEEDED) {
-			this._updatePosition();
-		}
-		return this;
+	p._getPlaybackRate = function () {
+		return this._playbackRate;
 	};
 
 	/**
-	 * Please use {{#crossLink "AbstractSoundInstance/startTime:property"}}{{/crossLink}} directly as a property
-	 * @method _getStartTime
+	 * Please use {{#crossLink "AbstractSoundInstance/bus:property"}}{{/crossLink}} directly as a property
+	 * @method _setBus
+	 * @protected
+	 * @param {String} value The name of the bus, or null.
+	 * @return {AbstractSoundInstance} Returns reference to itself for chaining calls
+	 * @since 1.1.0
+	 */
+	p._setBus = function (value) {
+		if (value === undefined || value == this._bus) { return this; }
+		this._bus = value;
+		this._updateBus();
+		return this;
+	};
+
+	/**
+	 * Please use {{#crossLink "AbstractSoundInstance/effects:property"}}{{/crossLink}} directly as a property.
+	 * @method _getEffects
+	 * @protected
+	 * @return {Array} A copy of the array of effects.
+	 * @since 1.1.0
+	 */
+	p._getEffects = function () {
+		return this._effects.slice();
+	};
+
+	/**
+	 * Please use {{#crossLink "AbstractSoundInstance/effects:property"}}{{/crossLink}} directly as a property.
+	 * @method _setEffects
+	 * @protected
+	 * @param {Array} value An array of effects.
+	 * @since 1.1.0
+	 */
+	p._setEffects = function (value) {
+		var removed = this._effects;
+		this._effects = value ? value.slice() : [];
+		this._updateEffects();
+		for (var i = 0, l = removed.length; i < l; i++) {
+			if (createjs.indexOf(this._effects, removed[i]) == -1) { removed[i].disconnect(); }
+		}
+	};
+
+	/**
+	 * Please use {{#crossLink "AbstractSoundInstance/bus:property"}}{{/crossLink}} directly as a property
+	 * @method _getBus
+	 * @protected
+	 * @return {String} The name of the bus, or null.
+	 * @since 1.1.0
+	 */
+	p._getBus = function () {
+		return this._bus;
+	};
+
+	/**
+	 * Please use {{#crossLink "AbstractSoundInstance/finished:property"}}{{/crossLink}} directly as a property.
+	 * @method _getFinished
+	 * @protected
+	 * @return {Promise} A Promise that settles when playback ends.
+	 * @since 1.1.0
+	 */
+	p._getFinished = function () {
+		if (this._finished == null) {
+			var self = this;
+			this._finished = new Promise(function (resolve, reject) {
+				self._finishedHandlers = {resolve: resolve, reject: reject};
+			});
+			if (this._finishedState != null) { this._settleFinished(this._finishedState); }
+		}
+		return this._finished;
+	};
+
+	/**
+	 * Please use {{#crossLink "AbstractSoundInstance/position:property"}}{{/crossLink}} directly as a property
+	 * @method _getPosition
+	 * @protected
+	 * @return {Number} The position of the playhead in the sound, in milliseconds.
+	 */
+	p._getPosition = function () {
+		if (!this._paused && this.playState == createjs.Sound.PLAY_SUCCEEDED) {
+			this._position = this._calculateCurrentPosition();
+		}
+		return this._position;
+	};
+
+	/**
+	 * Please use {{#crossLink "AbstractSoundInstance/position:property"}}{{/crossLink}} directly as a property
+	 * @method _setPosition
+	 * @protected
+	 * @param {Number} value The position to place the playhead, in milliseconds.
+	 * @return {AbstractSoundInstance} Returns reference to itself for chaining calls
+	 */
+	p._setPosition = function (value) {
+		this._position = Math.max(0, value);
+		if (this.playState == createjs.Sound.PLAY_SUCCEEDED) {
+			this._updatePosition();
+			this._resetFadeOut();
+			this._seekMarkers();
+		}
+		return this;
+	};
+
+	/**
+	 * Please use {{#crossLink "AbstractSoundInstance/startTime:property"}}{{/crossLink}} directly as a property
+	 * @method _getStartTime
 	 * @protected
 	 * @return {Number} The startTime of the sound instance in milliseconds.
 	 */
@@ -589,6 +1258,7 @@ this.createjs = this.createjs || {};
 		if (value == this._duration) { return this; }
 		this._duration = Math.max(0, value || 0);
 		this._updateDuration();
+		this._resetFadeOut();
 		return this;
 	};
 
@@ -648,6 +1318,92 @@ this.createjs = this.createjs || {};
 			}
 		}
 		this._loop = value;
+		this._resetFadeOut();
+		this._scheduleMarker();	// markers after a loop region are only crossed on the final loop
+	};
+
+	/**
+	 * Please use {{#crossLink "AbstractSoundInstance/loopStart:property"}}{{/crossLink}} directly as a property
+	 * @method _getLoopStart
+	 * @protected
+	 * @return {Number} The loopStart of the sound instance in milliseconds.
+	 * @since 1.1.0
+	 */
+	p._getLoopStart = function () {
+		return this._loopStart;
+	};
+
+	/**
+	 * Please use {{#crossLink "AbstractSoundInstance/loopStart:property"}}{{/crossLink}} directly as a property
+	 * @method _setLoopStart
+	 * @protected
+	 * @param {Number} value The new loopStart in milliseconds.
+	 * @return {AbstractSoundInstance} Returns reference to itself for chaining calls
+	 * @since 1.1.0
+	 */
+	p._setLoopStart = function (value) {
+		value = Math.max(0, value || 0);
+		if (value == this._loopStart) { return this; }
+		this._getPosition();
+		this._loopStart = value;
+		this._updateLoopRegion();
+		this._scheduleMarker();
+		return this;
+	};
+
+	/**
+	 * Please use {{#crossLink "AbstractSoundInstance/loopEnd:property"}}{{/crossLink}} directly as a property
+	 * @method _getLoopEnd
+	 * @protected
+	 * @return {Number} The loopEnd of the sound instance in milliseconds, or null.
+	 * @since 1.1.0
+	 */
+	p._getLoopEnd = function () {
+		return this._loopEnd;
+	};
+
+	/**
+	 * Please use {{#crossLink "AbstractSoundInstance/loopEnd:property"}}{{/crossLink}} directly as a property
+	 * @method _setLoopEnd
+	 * @protected
+	 * @param {Number} value The new loopEnd in milliseconds, or null to loop from the end of the duration.
+	 * @return {AbstractSoundInstance} Returns reference to itself for chaining calls
+	 * @since 1.1.0
+	 */
+	p._setLoopEnd = function (value) {
+		value = value == null ? null : Math.max(0, value);
+		if (value == this._loopEnd) { return this; }
+		this._getPosition();
+		this._loopEnd = value;
+		this._updateLoopRegion();
+		this._scheduleMarker();
+		return this;
+	};
+
+	/**
+	 * Please use {{#crossLink "AbstractSoundInstance/markers:property"}}{{/crossLink}} directly as a property
+	 * @method _getMarkers
+	 * @protected
+	 * @return {Array} The markers of the sound instance.
+	 * @since 1.1.0
+	 */
+	p._getMarkers = function () {
+		return this._markers;
+	};
+
+	/**
+	 * Please use {{#crossLink "AbstractSoundInstance/markers:property"}}{{/crossLink}} directly as a property
+	 * @method _setMarkers
+	 * @protected
+	 * @param {Array} value The markers, as objects in the format <code>{name, time}</code>.
+	 * @return {AbstractSoundInstance} Returns reference to itself for chaining calls
+	 * @since 1.1.0
+	 */
+	p._setMarkers = function (value) {
+		this._markers = (value || []).slice().sort(function (a, b) { return a.time - b.time; });
+		this._getPosition();
+		this._seekMarkers();
+		return this;
 	};
 
 
@@ -670,8 +1426,21 @@ this.createjs = this.createjs || {};
 	 */
 	p._cleanUp = function () {
 		clearTimeout(this.delayTimeoutId); // clear timeout that plays delayed sound
+		this._cancelFade();
+		clearTimeout(this._fadeOutTimeout);
+		clearTimeout(this._markerTimeout);
+		if (this._restoreVolume != null) {
+			this._volume = this._restoreVolume;
+			this._restoreVolume = null;
+			this._updateVolume();
+		}
 		this._handleCleanUp();
 		this._paused = false;
+		this._busPaused = false;
+		if (this._duckVolume != 1 || this._duck) {
+			this._duckRule = null;
+			this._setDuckVolume(1, 0);
+		}
 
 		createjs.Sound._playFinished(this);	// TODO change to an event
 	};
@@ -684,6 +1453,7 @@ this.createjs = this.createjs || {};
 	p._interrupt = function () {
 		this._cleanUp();
 		this.playState = createjs.Sound.PLAY_INTERRUPTED;
+		this._settleFinished(this.playState);
 		this._sendEvent("interrupted");
 	};
 
@@ -697,10 +1467,15 @@ this.createjs = this.createjs || {};
 	 */
 	// OJR FlashAudioSoundInstance overwrites
 	p._beginPlaying = function (playProps) {
+		this._when = playProps.when != null ? playProps.when : null;
 		this._setPosition(playProps.offset);
+		if (playProps.loopStart != null) { this._setLoopStart(playProps.loopStart); }
+		if (playProps.loopEnd != null) { this._setLoopEnd(playProps.loopEnd); }
 		this._setLoop(playProps.loop);
 		this._setVolume(playProps.volume);
 		this._setPan(playProps.pan);
+		this._setPlaybackRate(playProps.playbackRate);
+		this._setBus(playProps.bus);
 		if (playProps.startTime != null) {
 			this._setStartTime(playProps.startTime);
 			this._setDuration(playProps.duration);
@@ -710,6 +1485,8 @@ this.createjs = this.createjs || {};
 			this._paused = false;
 			this._handleSoundReady();
 			this.playState = createjs.Sound.PLAY_SUCCEEDED;
+			this._beginFades(playProps);
+			this._seekMarkers();
 			this._sendEvent("succeeded");
 			return true;
 		} else {
@@ -727,9 +1504,45 @@ this.createjs = this.createjs || {};
 	p._playFailed = function () {
 		this._cleanUp();
 		this.playState = createjs.Sound.PLAY_FAILED;
+		this._settleFinished(this.playState);
 		this._sendEvent("failed");
 	};
 
+	/**
+	 * Playback has ended. Settle the {{#crossLink "AbstractSoundInstance/finished:property"}}{{/crossLink}} Promise
+	 * if it has been created, or store the play state to settle it with if it is created later.
+	 * @method _settleFinished
+	 * @param {String} playState The play state playback ended with.
+	 * @protected
+	 * @since 1.1.0
+	 */
+	p._settleFinished = function (playState) {
+		this._finishedState = playState;
+		var handlers = this._finishedHandlers;
+		if (handlers == null) { return; }
+		this._finishedHandlers = null;
+
+		if (playState == createjs.Sound.PLAY_FAILED) {
+			handlers.reject(new createjs.SoundError(createjs.SoundError.PLAY_FAILED, "Playback failed: " + this.src, this));
+		} else {
+			handlers.resolve(playState);
+		}
+	};
+
+	/**
+	 * Reset the {{#crossLink "AbstractSoundInstance/finished:property"}}{{/crossLink}} Promise when a new playback
+	 * begins, if the last one has already settled. This is called by {{#crossLink "Sound"}}{{/crossLink}}.
+	 * @method _resetFinished
+	 * @protected
+	 * @since 1.1.0
+	 */
+	p._resetFinished = function () {
+		if (this._finishedState == null) { return; }
+		this._finished = null;
+		this._finishedHandlers = null;
+		this._finishedState = null;
+	};
+
 	/**
 	 * Audio has finished playing. Manually loop it if required.
 	 * @method _handleSoundComplete
@@ -737,20 +1550,495 @@ this.createjs = this.createjs || {};
 	 * @protected
 	 */
 	p._handleSoundComplete = function (event) {
+		this._sendMarkers(this._getPassEndTime());	// markers the timeout has not reached yet
+		if (this.playState != createjs.Sound.PLAY_SUCCEEDED) { return; }	// stopped by a marker listener
 		this._position = 0;  // have to set this as it can be set by pause during playback
 
 		if (this._loop != 0) {
+			if (this._hasLoopRegion()) { this._position = this._loopStart; }
 			this._loop--;  // NOTE this introduces a theoretical limit on loops = float max size x 2 - 1
 			this._handleLoop();
+			this._seekMarkers();
+			this._updateFadeOut();
 			this._sendEvent("loop");
 			return;
 		}
 
 		this._cleanUp();
 		this.playState = createjs.Sound.PLAY_FINISHED;
+		this._settleFinished(this.playState);
 		this._sendEvent("complete");
 	};
 
+	/**
+	 * The position that loops return from, in milliseconds, which is the end of the duration if no
+	 * {{#crossLink "AbstractSoundInstance/loopEnd:property"}}{{/crossLink}} is set.
+	 * @method _getLoopEndTime
+	 * @return {Number} The end of the loop region in milliseconds.
+	 * @protected
+	 * @since 1.1.0
+	 */
+	p._getLoopEndTime = function () {
+		return this._loopEnd == null ? this._duration : Math.min(this._loopEnd, this._duration);
+	};
+
+	/**
+	 * Determine if the instance loops a region within its duration, rather than the whole duration.
+	 * @method _hasLoopRegion
+	 * @return {Boolean} If a valid loop region is set.
+	 * @protected
+	 * @since 1.1.0
+	 */
+	p._hasLoopRegion = function () {
+		var loopEnd = this._getLoopEndTime();
+		return (this._loopStart > 0 || loopEnd < this._duration) && this._loopStart < loopEnd;
+	};
+
+	/**
+	 * The position that the current pass through the sound ends at, in milliseconds, which is the loopEnd of a loop
+	 * region while loops remain.
+	 * @method _getPassEndTime
+	 * @return {Number} The end of the current pass in milliseconds.
+	 * @protected
+	 * @since 1.1.0
+	 */
+	p._getPassEndTime = function () {
+		return (this._loop != 0 && this._hasLoopRegion()) ? this._getLoopEndTime() : this._duration;
+	};
+
+	/**
+	 * Find the next marker that playback will cross from the current position, and schedule it. This is called
+	 * when playback starts, loops, or the position is set.
+	 * @method _seekMarkers
+	 * @protected
+	 * @since 1.1.0
+	 */
+	p._seekMarkers = function () {
+		var markers = this._markers, i = 0;
+		while (i < markers.length && markers[i].time < this._position) { i++; }
+		this._markerIndex = i;
+		this._scheduleMarker();
+	};
+
+	/**
+	 * Set the timeout for the next marker, if it is crossed before the end of the current pass through the sound.
+	 * @method _scheduleMarker
+	 * @protected
+	 * @since 1.1.0
+	 */
+	p._scheduleMarker = function () {
+		clearTimeout(this._markerTimeout);
+		this._markerTimeout = null;
+		var marker = this._markers[this._markerIndex];
+		if (marker == null || this._paused || this.playState != createjs.Sound.PLAY_SUCCEEDED) { return; }
+		if (marker.time > this._getPassEndTime()) { return; }
+
+		var delay = (marker.time - this._getPosition()) / this._playbackRate + this._getStartDelay();
+		this._markerTimeout = setTimeout(this._markerHandler, Math.max(0, delay));
+	};
+
+	/**
+	 * Fire the marker the timeout was set for, along with any others that playback has crossed, and schedule the
+	 * next one.
+	 * @method _handleMarkerTimeout
+	 * @protected
+	 * @since 1.1.0
+	 */
+	p._handleMarkerTimeout = function () {
+		this._markerTimeout = null;
+		var marker = this._markers[this._markerIndex];
+		this._sendMarkers(Math.max(this._getPosition(), marker ? marker.time : 0));
+		this._scheduleMarker();
+	};
+
+	/**
+	 * Dispatch a {{#crossLink "AbstractSoundInstance/marker:event"}}{{/crossLink}} event for each marker from the
+	 * next marker up to the position.
+	 * @method _sendMarkers
+	 * @param {Number} position The position that playback has reached, in milliseconds.
+	 * @protected
+	 * @since 1.1.0
+	 */
+	p._sendMarkers = function (position) {
+		var marker;
+		while ((marker = this._markers[this._markerIndex]) && marker.time <= position) {
+			this._markerIndex++;
+			var event = new createjs.Event("marker");
+			event.name = marker.name;
+			event.time = marker.time;
+			this.dispatchEvent(event);
+			if (this.playState != createjs.Sound.PLAY_SUCCEEDED) { return; }
+		}
+	};
+
+	/**
+	 * Start a fade, cancelling any fade in progress. Fades are stepped by a timer, which updates the volume through
+	 * {{#crossLink "AbstractSoundInstance/_updateVolume"}}{{/crossLink}}.
+	 * @method _startFade
+	 * @param {Number} volume The volume to fade to.
+	 * @param {Number} duration The amount of time to fade over, in milliseconds.
+	 * @param {Function} ease An optional easing function.
+	 * @param {String} type The type of fade, which is "fade", "fadeOut" for the fadeOut play property, or "stop" if
+	 * the instance should stop when the fade completes.
+	 * @protected
+	 * @since 1.1.0
+	 */
+	p._startFade = function (volume, duration, ease, type) {
+		this._cancelFade();
+		this._fade = {
+			from: this._volume,
+			to: Math.max(0, Math.min(1, Number(volume) || 0)),
+			duration: duration,
+			ease: ease || null,
+			type: type,
+			elapsed: 0,
+			startTime: null
+		};
+		if (!(duration > 0)) {
+			this._endFade();
+		} else if (!this._paused) {
+			this._resumeFade();
+		}
+	};
+
+	/**
+	 * Get the time until scheduled playback starts, when it was scheduled on the audio clock using the
+	 * {{#crossLink "PlayPropsConfig/when:property"}}{{/crossLink}} play property.
+	 * @method _getStartDelay
+	 * @return {Number} The time until playback starts, in milliseconds, or 0 if it has started.
+	 * @protected
+	 * @since 1.1.0
+	 */
+	p._getStartDelay = function () {
+		if (this._when == null) { return 0; }
+		return Math.max(0, (this._when - createjs.Sound.getAudioTime()) * 1000);
+	};
+
+	/**
+	 * Get the volume of the current fade at a given point.
+	 * @method _getFadeVolume
+	 * @param {Number} ratio How far through the fade, between 0 and 1.
+	 * @return {Number} The volume.
+	 * @protected
+	 * @since 1.1.0
+	 */
+	p._getFadeVolume = function (ratio) {
+		var fade = this._fade;
+		return fade.from + (fade.to - fade.from) * (fade.ease ? fade.ease(ratio) : ratio);
+	};
+
+	/**
+	 * Get how far through the current fade the instance is.
+	 * @method _getFadeRatio
+	 * @return {Number} The ratio, between 0 and 1.
+	 * @protected
+	 * @since 1.1.0
+	 */
+	p._getFadeRatio = function () {
+		var fade = this._fade;
+		var elapsed = fade.startTime == null ? fade.elapsed : Date.now() - fade.startTime;
+		return Math.max(0, Math.min(1, elapsed / fade.duration));
+	};
+
+	/**
+	 * Step the current fade. Called by the fade interval.
+	 * @method _handleFadeTick
+	 * @protected
+	 * @since 1.1.0
+	 */
+	p._handleFadeTick = function () {
+		var ratio = this._getFadeRatio();
+		if (ratio < 1) {
+			this._volume = this._getFadeVolume(ratio);
+			this._updateVolume();
+		} else {
+			this._endFade();
+		}
+	};
+
+	/**
+	 * Pause the current fade, for example when the instance is paused.
+	 * @method _pauseFade
+	 * @protected
+	 * @since 1.1.0
+	 */
+	p._pauseFade = function () {
+		var fade = this._fade;
+		if (fade == null || fade.startTime == null) { return; }
+		clearInterval(this._fadeIntervalId);
+		fade.elapsed = Math.max(0, Math.min(fade.duration, Date.now() - fade.startTime));
+		fade.startTime = null;
+		this._volume = this._getFadeVolume(fade.elapsed / fade.duration);
+		this._updateVolume();
+	};
+
+	/**
+	 * Start or resume the current fade. If playback is scheduled to start later, the fade waits for it.
+	 * @method _resumeFade
+	 * @protected
+	 * @since 1.1.0
+	 */
+	p._resumeFade = function () {
+		var fade = this._fade;
+		if (fade == null || fade.startTime != null) { return; }
+		fade.startTime = Date.now() - fade.elapsed + this._getStartDelay();
+		this._fadeIntervalId = setInterval(this._fadeTickHandler, s.FADE_INTERVAL);
+		this._updateVolume();
+	};
+
+	/**
+	 * Stop the current fade without completing it, leaving the volume where it is.
+	 * @method _cancelFade
+	 * @protected
+	 * @since 1.1.0
+	 */
+	p._cancelFade = function () {
+		if (this._fade == null) { return; }
+		clearInterval(this._fadeIntervalId);
+		this._fade = null;
+		this._updateVolume();
+	};
+
+	/**
+	 * Complete the current fade, and stop the instance if required.
+	 * @method _endFade
+	 * @protected
+	 * @since 1.1.0
+	 */
+	p._endFade = function () {
+		var fade = this._fade;
+		clearInterval(this._fadeIntervalId);
+		this._fade = null;
+		this._volume = fade.to;
+		this._updateVolume();
+		if (fade.type == "stop") { this.stop(); }
+		this._sendEvent("fadecomplete");
+	};
+
+	/**
+	 * Apply the fadeIn and fadeOut play properties when playback begins.
+	 * @method _beginFades
+	 * @param {PlayPropsConfig} playProps A PlayPropsConfig object.
+	 * @protected
+	 * @since 1.1.0
+	 */
+	p._beginFades = function (playProps) {
+		this._fadeOut = playProps.fadeOut || 0;
+		if (playProps.fadeIn > 0) {
+			var volume = this._volume;
+			this._volume = 0;
+			this._startFade(volume, playProps.fadeIn, null, "fade");
+		}
+		this._updateFadeOut();
+	};
+
+	/**
+	 * Schedule the fade out at the end of the final loop, if there is a fadeOut play property. This is called when
+	 * the timing of playback changes, such as on resume or loop.
+	 * @method _updateFadeOut
+	 * @protected
+	 * @since 1.1.0
+	 */
+	p._updateFadeOut = function () {
+		clearTimeout(this._fadeOutTimeout);
+		this._fadeOutTimeout = null;
+		if (!(this._fadeOut > 0) || this._loop != 0 || this._paused || this.playState != createjs.Sound.PLAY_SUCCEEDED) { return; }
+		if (this._fade && (this._fade.type == "fadeOut" || this._fade.type == "stop")) { return; }
+
+		var remaining = (this._duration - this._getPosition()) / this._playbackRate + this._getStartDelay();
+		this._fadeOutTimeout = setTimeout(this._fadeOutHandler, Math.max(0, remaining - this._fadeOut));
+	};
+
+	/**
+	 * Cancel a fade out in progress, restoring the volume, and schedule it again. This is called when the playhead or
+	 * remaining loops change.
+	 * @method _resetFadeOut
+	 * @protected
+	 * @since 1.1.0
+	 */
+	p._resetFadeOut = function () {
+		if (this._fade && this._fade.type == "fadeOut") {
+			clearInterval(this._fadeIntervalId);
+			this._fade = null;
+			this._volume = this._restoreVolume;
+			this._restoreVolume = null;
+			this._updateVolume();
+		}
+		this._updateFadeOut();
+	};
+
+	/**
+	 * Start fading out at the end of playback.
+	 * @method _handleFadeOut
+	 * @protected
+	 * @since 1.1.0
+	 */
+	p._handleFadeOut = function () {
+		this._fadeOutTimeout = null;
+		var volume = this._fade ? this._fade.to : this._volume;
+		var remaining = (this._duration - this._getPosition()) / this._playbackRate;
+		this._startFade(0, Math.max(0, remaining), null, "fadeOut");
+		this._restoreVolume = volume;
+	};
+
+	/**
+	 * Get the combined volume of the {{#crossLink "SoundBus"}}{{/crossLink}} this instance plays through, for plugins
+	 * that apply bus volume per instance.
+	 * @method _getBusVolume
+	 * @return {Number} The output volume of the bus, or 1 if the instance is not on a bus.
+	 * @protected
+	 * @since 1.1.0
+	 */
+	p._getBusVolume = function () {
+		var bus = createjs.Sound.getBus(this._bus);
+		return bus ? bus.getOutputVolume() : 1;
+	};
+
+	/**
+	 * Duck the instance to a volume, ramping over the passed duration. This is called by {{#crossLink "Sound"}}{{/crossLink}}
+	 * when {{#crossLink "Sound/addDuckingRule"}}{{/crossLink}} rules start or stop applying to the instance.
+	 * @method _setDuckVolume
+	 * @param {Number} volume The volume to duck to, where 1 is not ducked.
+	 * @param {Number} duration The amount of time to ramp over, in milliseconds.
+	 * @protected
+	 * @since 1.1.0
+	 */
+	p._setDuckVolume = function (volume, duration) {
+		var from = this._getDuckVolume();
+		this._duckVolume = volume;
+		this._duck = duration > 0 ? {from: from, startTime: Date.now(), duration: duration} : null;
+		this._updateDuck();
+	};
+
+	/**
+	 * Get the current ducked volume of the instance, including any ramp in progress.
+	 * @method _getDuckVolume
+	 * @return {Number} The ducked volume, where 1 is not ducked.
+	 * @protected
+	 * @since 1.1.0
+	 */
+	p._getDuckVolume = function () {
+		var duck = this._duck;
+		if (duck == null) { return this._duckVolume; }
+		var ratio = Math.min(1, (Date.now() - duck.startTime) / duck.duration);
+		return duck.from + (this._duckVolume - duck.from) * ratio;
+	};
+
+	/**
+	 * Get the 3D settings of the instance, creating them with the default values if it has not been positioned.
+	 * @method _getSpatial
+	 * @return {Object} The spatial settings.
+	 * @protected
+	 * @since 1.1.0
+	 */
+	p._getSpatial = function () {
+		if (this._spatial == null) {
+			this._spatial = {
+				position: [0, 0, 0],
+				orientation: [1, 0, 0],
+				coneInnerAngle: 360,
+				coneOuterAngle: 360,
+				coneOuterGain: 0,
+				distanceModel: "inverse",
+				refDistance: 1,
+				maxDistance: 10000,
+				rolloffFactor: 1
+			};
+		}
+		return this._spatial;
+	};
+
+	/**
+	 * Approximate the volume of a positioned sound from its distance to the {{#crossLink "Sound/listener:property"}}{{/crossLink}}
+	 * and its cone, using the same formulas as a Web Audio PannerNode. This is used by plugins that can not position
+	 * sounds in 3D.
+	 * @method _getSpatialVolume
+	 * @return {Number} The volume, between 0 and 1. This is 1 if the instance has not been positioned.
+	 * @protected
+	 * @since 1.1.0
+	 */
+	p._getSpatialVolume = function () {
+		var spatial = this._spatial;
+		if (spatial == null) { return 1; }
+
+		var listener = createjs.Sound.listener.position,
+			dx = spatial.position[0] - listener[0],
+			dy = spatial.position[1] - listener[1],
+			dz = spatial.position[2] - listener[2],
+			distance = Math.sqrt(dx * dx + dy * dy + dz * dz),
+			ref = spatial.refDistance,
+			max = spatial.maxDistance,
+			rolloff = spatial.rolloffFactor,
+			gain;
+
+		switch (spatial.distanceModel) {
+			case "linear":
+				gain = 1 - rolloff * (Math.max(ref, Math.min(max, distance)) - ref) / (max - ref);
+				break;
+			case "exponential":
+				gain = Math.pow(Math.max(distance, ref) / ref, -rolloff);
+				break;
+			default:
+				gain = ref / (ref + rolloff * (Math.max(distance, ref) - ref));
+		}
+
+		var o = spatial.orientation,
+			length = Math.sqrt(o[0] * o[0] + o[1] * o[1] + o[2] * o[2]);
+		if (spatial.coneInnerAngle < 360 && distance > 0 && length > 0) {
+			// the angle between the direction the sound faces, and the direction to the listener
+			var cos = -(dx * o[0] + dy * o[1] + dz * o[2]) / (distance * length),
+				angle = Math.acos(Math.max(-1, Math.min(1, cos))) * 180 / Math.PI,
+				inner = spatial.coneInnerAngle / 2,
+				outer = spatial.coneOuterAngle / 2;
+			if (angle >= outer) {
+				gain *= spatial.coneOuterGain;
+			} else if (angle > inner) {
+				gain *= 1 + (spatial.coneOuterGain - 1) * (angle - inner) / (outer - inner);
+			}
+		}
+		return Math.max(0, Math.min(1, gain));
+	};
+
+	/**
+	 * Approximate the pan of a positioned sound from its direction to the {{#crossLink "Sound/listener:property"}}{{/crossLink}},
+	 * using its offset along the x axis of the listener. This is used by plugins that can not position sounds in 3D.
+	 * @method _getSpatialPan
+	 * @return {Number} The pan, between -1 (left) and 1 (right). This is the {{#crossLink "AbstractSoundInstance/pan:property"}}{{/crossLink}}
+	 * if the instance has not been positioned.
+	 * @protected
+	 * @since 1.1.0
+	 */
+	p._getSpatialPan = function () {
+		var spatial = this._spatial;
+		if (spatial == null) { return this._pan; }
+
+		var listener = createjs.Sound.listener,
+			f = listener.forward,
+			u = listener.up,
+			right = [f[1] * u[2] - f[2] * u[1], f[2] * u[0] - f[0] * u[2], f[0] * u[1] - f[1] * u[0]],
+			dx = spatial.position[0] - listener.position[0],
+			dy = spatial.position[1] - listener.position[1],
+			dz = spatial.position[2] - listener.position[2],
+			length = Math.sqrt(dx * dx + dy * dy + dz * dz) * Math.sqrt(right[0] * right[0] + right[1] * right[1] + right[2] * right[2]);
+		if (length == 0) { return 0; }
+		return Math.max(-1, Math.min(1, (dx * right[0] + dy * right[1] + dz * right[2]) / length));
+	};
+
+	/**
+	 * Step the ducking ramp, and end it once it is complete.
+	 * @method _handleDuckTick
+	 * @protected
+	 * @since 1.1.0
+	 */
+	p._handleDuckTick = function () {
+		if (Date.now() >= this._duck.startTime + this._duck.duration) {
+			this._duck = null;
+			clearInterval(this._duckIntervalId);
+			this._duckIntervalId = null;
+		}
+		this._updateVolume();
+	};
+
 // Plugin specific code
 	/**
 	 * Handles starting playback when the sound is ready for playing.
@@ -781,6 +2069,68 @@ this.createjs = this.createjs || {};
 		// plugin specific code
 	};
 
+	/**
+	 * Internal function used to update the playback rate. The position reached at the previous rate has already been
+	 * stored when this is called.
+	 * @method _updatePlaybackRate
+	 * @protected
+	 * @since 1.1.0
+	 */
+	p._updatePlaybackRate = function () {
+		// plugin specific code
+	};
+
+	/**
+	 * Internal function used to update the output when the bus changes. By default this updates the volume.
+	 * @method _updateBus
+	 * @protected
+	 * @since 1.1.0
+	 */
+	p._updateBus = function () {
+		this._updateVolume();
+	};
+
+	/**
+	 * Internal function used to connect the effects of the instance when they change. Plugins that support effects
+	 * must override this.
+	 * @method _updateEffects
+	 * @protected
+	 * @since 1.1.0
+	 */
+	p._updateEffects = function () {
+		// plugin specific code
+	};
+
+	/**
+	 * Internal function used to apply the 3D settings of the instance when they, the
+	 * {{#crossLink "Sound/listener:property"}}{{/crossLink}}, or the {{#crossLink "Sound/panningModel:property"}}{{/crossLink}}
+	 * change. By default this updates the volume and pan, and plugins that do not override it should include
+	 * {{#crossLink "AbstractSoundInstance/_getSpatialVolume"}}{{/crossLink}} in their volume, and use
+	 * {{#crossLink "AbstractSoundInstance/_getSpatialPan"}}{{/crossLink}} as their pan.
+	 * @method _updateSpatial
+	 * @protected
+	 * @since 1.1.0
+	 */
+	p._updateSpatial = function () {
+		this._updateVolume();
+		this._updatePan();
+	};
+
+	/**
+	 * Internal function used to apply the ducked volume. By default this steps the ducking ramp with a timer, and
+	 * plugins that do not override it should include {{#crossLink "AbstractSoundInstance/_getDuckVolume"}}{{/crossLink}}
+	 * in their volume.
+	 * @method _updateDuck
+	 * @protected
+	 * @since 1.1.0
+	 */
+	p._updateDuck = function () {
+		clearInterval(this._duckIntervalId);
+		this._duckIntervalId = null;
+		this._updateVolume();
+		if (this._duck) { this._duckIntervalId = setInterval(this._duckTickHandler, s.FADE_INTERVAL); }
+	};
+
 	/**
 	 * Internal function used to update the startTime of the audio.
 	 * @method _updateStartTime
@@ -801,6 +2151,16 @@ this.createjs = this.createjs || {};
 		// plugin specific code
 	};
 
+	/**
+	 * Internal function used to update the loop region of the audio.
+	 * @method _updateLoopRegion
+	 * @protected
+	 * @since 1.1.0
+	 */
+	p._updateLoopRegion = function () {
+		// plugin specific code
+	};
+
 	/**
 	 * Internal function used to get the duration of the audio from the source we'll be playing.
 	 * @method _updateDuration
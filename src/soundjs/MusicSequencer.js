@@ -0,0 +1,542 @@
+/*
+ * MusicSequencer
+ * Visit http://createjs.com/ for documentation, updates and examples.
+ *
+ *
+ * Copyright (c) 2012 gskinner.com, inc.
+ *
+ * Permission is hereby granted, free of charge, to any person
+ * obtaining a copy of this software and associated documentation
+ * files (the "Software"), to deal in the Software without
+ * restriction, including without limitation the rights to use,
+ * copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following
+ * conditions:
+ *
+ * The above copyright notice and this permission notice shall be
+ * included in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND,
+ * EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES
+ * OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT
+ * HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY,
+ * WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR
+ * OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+/**
+ * @module SoundJS
+ */
+
+// namespace:
+this.createjs = this.createjs || {};
+
+(function () {
+	"use strict";
+
+	/**
+	 * A MusicSequencer moves between segments of music, such as "explore", "combat" and "victory", at musically
+	 * sensible points instead of cutting immediately. Each segment declares its tempo, the number of beats in each
+	 * bar, and optionally the beats it is allowed to exit on. A transition waits for the next allowed point, and can
+	 * play a stinger over the change, or a transition segment between the two.
+	 *
+	 * The next segment is scheduled on the audio clock using the {{#crossLink "PlayPropsConfig/when:property"}}{{/crossLink}}
+	 * play property, so it starts exactly on the beat with the {{#crossLink "WebAudioPlugin"}}{{/crossLink}}. The
+	 * segment that is left is stopped using a timer, as are the segments with other plugins. The sounds for each
+	 * segment should be loaded before they are needed.
+	 *
+	 * <h4>Example</h4>
+	 *
+	 *      var music = new createjs.MusicSequencer({
+	 *          explore: {src:"music/explore.ogg", bpm:96, exitPoints:[0, 16, 32, 48]},
+	 *          combat: {src:"music/combat.ogg", bpm:140},
+	 *          victory: {src:"music/victory.ogg", bpm:140, loop:false, next:"explore"}
+	 *      }, {playProps:{bus:"music"}});
+	 *      music.play("explore");
+	 *
+	 *      // when an enemy appears
+	 *      music.transitionTo("combat", {at:"nextBar", stinger:"music/alert.ogg"});
+	 *
+	 * @class MusicSequencer
+	 * @param {Object} [segments] An object hash of segment definitions by name. See {{#crossLink "MusicSequencer/addSegment"}}{{/crossLink}}.
+	 * @param {Object} [options] The sequencer options.
+	 * @param {Object | PlayPropsConfig} [options.playProps] Play properties used for every segment, stinger and
+	 * transition.
+	 * @param {Boolean} [options.syncClock=false] If {{#crossLink "Sound/clock:property"}}{{/crossLink}} follows the
+	 * tempo of the current segment.
+	 * @extends EventDispatcher
+	 * @constructor
+	 * @since 1.1.0
+	 */
+	function MusicSequencer(segments, options) {
+		this.EventDispatcher_constructor();
+		options = options || {};
+
+	// public properties:
+		/**
+		 * An object hash of the segment definitions by name. Use {{#crossLink "MusicSequencer/addSegment"}}{{/crossLink}}
+		 * to add segments.
+		 * @property segments
+		 * @type {Object}
+		 * @readOnly
+		 */
+		this.segments = {};
+
+		/**
+		 * The play properties used for every segment, stinger and transition. See {{#crossLink "PlayPropsConfig"}}{{/crossLink}}.
+		 * @property playProps
+		 * @type {PlayPropsConfig}
+		 */
+		this.playProps = createjs.PlayPropsConfig.create(options.playProps);
+
+		/**
+		 * Sets the tempo and time signature of {{#crossLink "Sound/clock:property"}}{{/crossLink}} to those of each
+		 * segment, and starts it on the first beat of the segment, so beat events and quantized sounds follow the music.
+		 * @property syncClock
+		 * @type {Boolean}
+		 * @default false
+		 */
+		this.syncClock = !!options.syncClock;
+
+		/**
+		 * The name of the current segment, or null if the sequencer is not playing. This changes when the next segment
+		 * starts, after any transition segment.
+		 * @property segment
+		 * @type {String}
+		 * @default null
+		 * @readOnly
+		 */
+		this.segment = null;
+
+		/**
+		 * The instance playing the current segment, or null if the sequencer is not playing, or a transition segment is
+		 * playing.
+		 * @property instance
+		 * @type {AbstractSoundInstance}
+		 * @default null
+		 * @readOnly
+		 */
+		this.instance = null;
+
+		/**
+		 * The time the current segment started on the audio clock, in seconds, or null if the sequencer is not playing.
+		 * @property startTime
+		 * @type {Number}
+		 * @default null
+		 * @readOnly
+		 */
+		this.startTime = null;
+
+	// private properties:
+		/**
+		 * The scheduled change to the next segment, with the name of the <code>segment</code>, the <code>time</code>
+		 * the current segment is left, the <code>startTime</code> of the next segment, the <code>instance</code> of the
+		 * next segment, and the <code>stinger</code> and <code>transition</code> instances.
+		 * @property _change
+		 * @type {Object}
+		 * @default null
+		 * @protected
+		 */
+		this._change = null;
+
+		/**
+		 * Timeout that is created to leave the current segment, and to start the next one.
+		 * @property _changeTimeout
+		 * @type {timeoutVariable}
+		 * @default null
+		 * @protected
+		 */
+		this._changeTimeout = null;
+
+		// Proxies, make removing listeners easier.
+		this._completeHandler = createjs.proxy(this._handleComplete, this);
+		this._changeHandler = createjs.proxy(this._handleChangeTimeout, this);
+
+		for (var n in segments) {
+			this.addSegment(n, segments[n]);
+		}
+	}
+
+	var p = createjs.extend(MusicSequencer, createjs.EventDispatcher);
+
+
+// events:
+	/**
+	 * Dispatched when a segment starts, either when it is played, or when a transition to it takes place.
+	 * @event segmentchange
+	 * @param {Object} target The object that dispatched the event.
+	 * @param {String} type The event type.
+	 * @param {String} segment The name of the segment.
+	 * @param {String} previous The name of the previous segment, or null.
+	 * @param {AbstractSoundInstance} instance The instance playing the segment.
+	 * @param {Number} time The time the segment started on the audio clock, in seconds.
+	 */
+
+	/**
+	 * Dispatched when a segment that does not loop ends, and there is no segment to play next.
+	 * @event complete
+	 * @param {Object} target The object that dispatched the event.
+	 * @param {String} type The event type.
+	 */
+
+
+// public methods:
+	/**
+	 * Add a segment, or replace the definition of an existing one. Changes to the current segment take effect when
+	 * it is next played.
+	 * @method addSegment
+	 * @param {String} name The name of the segment.
+	 * @param {Object} segment The segment definition.
+	 * @param {String} segment.src The src or ID of the sound.
+	 * @param {Number} [segment.bpm=120] The tempo in beats per minute.
+	 * @param {Number} [segment.beatsPerBar=4] The number of beats in each bar.
+	 * @param {Array} [segment.exitPoints] The beats the segment can be left on, counting from 0 at the start of the
+	 * segment. By default the segment can be left on any beat or bar.
+	 * @param {Boolean} [segment.loop=true] If the segment loops until there is a transition.
+	 * @param {String} [segment.next] The name of the segment to play when a segment that does not loop ends.
+	 * @return {MusicSequencer} A reference to itself, intended for chaining calls.
+	 */
+	p.addSegment = function (name, segment) {
+		this.segments[name] = {
+			src: segment.src,
+			bpm: segment.bpm > 0 ? segment.bpm : 120,
+			beatsPerBar: segment.beatsPerBar > 0 ? segment.beatsPerBar : 4,
+			exitPoints: segment.exitPoints ? segment.exitPoints.slice().sort(function (a, b) { return a - b; }) : null,
+			loop: segment.loop !== false,
+			next: segment.next || null
+		};
+		return this;
+	};
+
+	/**
+	 * Start playing a segment immediately. Anything that is playing is stopped.
+	 * @method play
+	 * @param {String} name The name of the segment.
+	 * @return {MusicSequencer} A reference to itself, intended for chaining calls.
+	 */
+	p.play = function (name) {
+		if (this.segments[name] == null) { return this; }
+		this.stop();
+		var now = createjs.Sound.getAudioTime();
+		this._setSegment(name, this._playSegment(name, now, 0), now);
+		return this;
+	};
+
+	/**
+	 * Move to another segment at the next allowed point of the current segment. The next segment is scheduled on
+	 * the audio clock, and replaces any transition that has not taken place yet. If a transition segment is already
+	 * playing, the new segment replaces the one that follows it. If nothing is playing, the segment starts
+	 * immediately, and moving to the current segment cancels the scheduled transition.
+	 *
+	 * The <code>at</code> option is one of:
+	 * <ul><li>"nextExit" - the next of the segment's exit points, or the next bar if it has none. This is the default.</li>
+	 * <li>"nextBar" - the next bar that is an exit point.</li>
+	 * <li>"nextBeat" - the next beat that is an exit point.</li>
+	 * <li>"now" - immediately.</li></ul>
+	 * If none of the segment's exit points fall on a bar or beat, the next exit point is used. The end of a segment
+	 * that does not loop is always an exit point.
+	 *
+	 * @method transitionTo
+	 * @param {String} name The name of the segment.
+	 * @param {Object} [options] The transition options.
+	 * @param {String} [options.at="nextExit"] When to leave the current segment.
+	 * @param {String} [options.stinger] The src or ID of a sound to play over the change.
+	 * @param {String} [options.transition] The src or ID of a sound to play between the two segments. The next
+	 * segment starts when it ends.
+	 * @param {Number} [options.fadeOut=0] The time to fade the current segment out over once it is left, in
+	 * milliseconds.
+	 * @param {Number} [options.fadeIn=0] The time to fade the next segment in over, in milliseconds.
+	 * @return {Number} The time the current segment is left on the audio clock, in seconds, or null if there is no
+	 * transition.
+	 */
+	p.transitionTo = function (name, options) {
+		if (this.segments[name] == null) { return null; }
+		options = options || {};
+		var change = this._change;
+
+		if (change && change.exited) {
+			this._stopChangeInstance(change.instance);
+			change.segment = name;
+			change.instance = this._playSegment(name, change.startTime, options.fadeIn);
+			return change.startTime;
+		}
+
+		if (this.instance == null) {
+			this.play(name);
+			return this.startTime;
+		}
+
+		this._cancelChange();
+		if (name == this.segment) { return null; }
+
+		var time = this.getNextTime(options.at);
+		this._scheduleChange(name, time, options);
+		return time;
+	};
+
+	/**
+	 * Stop the current segment, and cancel any transition.
+	 * @method stop
+	 * @param {Object} [props] The stop properties, which can fade the current segment out. See {{#crossLink "AbstractSoundInstance/stop"}}{{/crossLink}}.
+	 * @return {MusicSequencer} A reference to itself, intended for chaining calls.
+	 */
+	p.stop = function (props) {
+		this._cancelChange();
+		this._stopInstance(props && props.fadeOut);
+		this.segment = null;
+		this.startTime = null;
+		if (this.syncClock) { createjs.Sound.clock.stop(); }
+		return this;
+	};
+
+	/**
+	 * Get the time of the next point the current segment can be left on, on or after a time. See
+	 * {{#crossLink "MusicSequencer/transitionTo"}}{{/crossLink}} for the values of <code>at</code>.
+	 * @method getNextTime
+	 * @param {String} [at="nextExit"] When to leave the current segment.
+	 * @param {Number} [time] The time on the audio clock, in seconds. The default is the current time.
+	 * @return {Number} The time on the audio clock, in seconds, which is the time passed in if nothing is playing.
+	 */
+	p.getNextTime = function (at, time) {
+		if (time == null) { time = createjs.Sound.getAudioTime(); }
+		var segment = this.segments[this.segment], instance = this.instance;
+		if (instance == null || at == "now") { return time; }
+		time = Math.max(time, this.startTime);
+
+		var beat = 60 / segment.bpm,
+			grid = at == "nextBeat" ? beat : (at == "nextBar" ? beat * segment.beatsPerBar : 0),
+			length = instance.duration * 0.001,
+			pass = length > 0 && segment.loop ? Math.floor((time - this.startTime) / length) : 0,
+			passStart = this.startTime + pass * length,
+			end = length > 0 ? passStart + length : Infinity;
+
+		if (segment.exitPoints == null) {
+			grid = grid || beat * segment.beatsPerBar;
+			var n = Math.ceil((time - passStart) / grid - 1e-9);	// allow for rounding on the grid point itself
+			return Math.min(passStart + Math.max(0, n) * grid, end);	// the loop point is always on the grid
+		}
+
+		var exit = this._findExit(segment, passStart, length, time, grid);
+		if (exit == null && grid) { exit = this._findExit(segment, passStart, length, time, 0); }
+		return exit != null ? exit : end;
+	};
+
+	p.toString = function () {
+		return "[MusicSequencer]";
+	};
+
+
+// private methods:
+	/**
+	 * Find the first exit point of a segment on or after a time, in the current pass and the next one if it loops.
+	 * @method _findExit
+	 * @param {Object} segment The segment definition.
+	 * @param {Number} passStart The time the current pass started on the audio clock, in seconds.
+	 * @param {Number} length The length of the segment, in seconds.
+	 * @param {Number} time The time on the audio clock, in seconds.
+	 * @param {Number} grid The length of the beat or bar the exit point must fall on, in seconds, or 0.
+	 * @return {Number} The time of the exit point on the audio clock, in seconds, or null if there is none.
+	 * @protected
+	 */
+	p._findExit = function (segment, passStart, length, time, grid) {
+		var exits = segment.exitPoints, beat = 60 / segment.bpm,
+			passes = segment.loop && length > 0 ? 2 : 1;
+		for (var i = 0; i < passes; i++) {
+			var start = passStart + i * length;
+			for (var j = 0, l = exits.length; j < l; j++) {
+				var offset = exits[j] * beat, t = start + offset;
+				if (t < time - 1e-9 || (length > 0 && offset > length)) { continue; }
+				var steps = grid ? offset / grid : 0;
+				if (Math.abs(steps - Math.round(steps)) < 1e-6) { return t; }
+			}
+		}
+		return null;
+	};
+
+	/**
+	 * Play a segment, starting at a time on the audio clock.
+	 * @method _playSegment
+	 * @param {String} name The name of the segment.
+	 * @param {Number} when The time to start at on the audio clock, in seconds.
+	 * @param {Number} fadeIn The time to fade in over, in milliseconds.
+	 * @return {AbstractSoundInstance} The instance playing the segment.
+	 * @protected
+	 */
+	p._playSegment = function (name, when, fadeIn) {
+		var props = createjs.PlayPropsConfig.create(this.playProps);
+		props.when = when;
+		props.loop = this.segments[name].loop ? -1 : 0;
+		if (fadeIn > 0) { props.fadeIn = fadeIn; }
+		return createjs.Sound.play(this.segments[name].src, props);
+	};
+
+	/**
+	 * Play a stinger or transition sound once, starting at a time on the audio clock.
+	 * @method _playOnce
+	 * @param {String} src The src or ID of the sound.
+	 * @param {Number} when The time to start at on the audio clock, in seconds.
+	 * @return {AbstractSoundInstance} The instance playing the sound.
+	 * @protected
+	 */
+	p._playOnce = function (src, when) {
+		var props = createjs.PlayPropsConfig.create(this.playProps);
+		props.when = when;
+		props.loop = 0;
+		return createjs.Sound.play(src, props);
+	};
+
+	/**
+	 * Make a segment the current segment once it starts, and schedule the segment that follows it if it does not loop.
+	 * @method _setSegment
+	 * @param {String} name The name of the segment.
+	 * @param {AbstractSoundInstance} instance The instance playing the segment.
+	 * @param {Number} time The time the segment started on the audio clock, in seconds.
+	 * @protected
+	 */
+	p._setSegment = function (name, instance, time) {
+		var previous = this.segment, segment = this.segments[name];
+		this.segment = name;
+		this.instance = instance;
+		this.startTime = time;
+		instance.addEventListener("complete", this._completeHandler);
+
+		if (this.syncClock) {
+			var clock = createjs.Sound.clock;
+			clock.bpm = segment.bpm;
+			clock.beatsPerBar = segment.beatsPerBar;
+			clock.start(time);
+		}
+		if (!segment.loop && this.segments[segment.next] != null) {
+			this._scheduleChange(segment.next, time + instance.duration * 0.001, {});
+		}
+
+		if (!this.hasEventListener("segmentchange")) { return; }
+		var event = new createjs.Event("segmentchange");
+		event.segment = name;
+		event.previous = previous;
+		event.instance = instance;
+		event.time = time;
+		this.dispatchEvent(event);
+	};
+
+	/**
+	 * Schedule the sounds of a change to another segment, and the timeout to leave the current segment.
+	 * @method _scheduleChange
+	 * @param {String} name The name of the next segment.
+	 * @param {Number} time The time to leave the current segment on the audio clock, in seconds.
+	 * @param {Object} options The transition options. See {{#crossLink "MusicSequencer/transitionTo"}}{{/crossLink}}.
+	 * @protected
+	 */
+	p._scheduleChange = function (name, time, options) {
+		var change = this._change = {
+			segment: name,
+			time: time,
+			startTime: time,
+			fadeOut: options.fadeOut || 0,
+			exited: false,
+			stinger: null,
+			transition: null,
+			instance: null
+		};
+		if (options.stinger) { change.stinger = this._playOnce(options.stinger, time); }
+		if (options.transition) {
+			change.transition = this._playOnce(options.transition, time);
+			change.startTime = time + change.transition.duration * 0.001;
+		}
+		change.instance = this._playSegment(name, change.startTime, options.fadeIn);
+		this._setChangeTimeout(time);
+	};
+
+	/**
+	 * Set the timeout for the next step of the scheduled change.
+	 * @method _setChangeTimeout
+	 * @param {Number} time The time of the step on the audio clock, in seconds.
+	 * @protected
+	 */
+	p._setChangeTimeout = function (time) {
+		clearTimeout(this._changeTimeout);
+		this._changeTimeout = setTimeout(this._changeHandler, Math.max(0, (time - createjs.Sound.getAudioTime()) * 1000));
+	};
+
+	/**
+	 * Leave the current segment when the scheduled change is reached, and make the next segment the current segment
+	 * once any transition segment has played.
+	 * @method _handleChangeTimeout
+	 * @protected
+	 */
+	p._handleChangeTimeout = function () {
+		var change = this._change;
+		this._changeTimeout = null;
+		if (!change.exited) {
+			change.exited = true;
+			this._stopInstance(change.fadeOut);
+			if (change.startTime > change.time) {
+				this._setChangeTimeout(change.startTime);
+				return;
+			}
+		}
+		this._change = null;
+		this._setSegment(change.segment, change.instance, change.startTime);
+	};
+
+	/**
+	 * Stop the sounds of the scheduled change, including a stinger or transition segment that is already playing.
+	 * @method _cancelChange
+	 * @protected
+	 */
+	p._cancelChange = function () {
+		var change = this._change;
+		if (change == null) { return; }
+		clearTimeout(this._changeTimeout);
+		this._changeTimeout = null;
+		this._change = null;
+		this._stopChangeInstance(change.stinger);
+		this._stopChangeInstance(change.transition);
+		this._stopChangeInstance(change.instance);
+	};
+
+	/**
+	 * Stop one of the sounds of a scheduled change.
+	 * @method _stopChangeInstance
+	 * @param {AbstractSoundInstance} instance The instance, or null.
+	 * @protected
+	 */
+	p._stopChangeInstance = function (instance) {
+		if (instance) { instance.stop(); }
+	};
+
+	/**
+	 * Stop the current segment.
+	 * @method _stopInstance
+	 * @param {Number} [fadeOut=0] The time to fade out over, in milliseconds.
+	 * @protected
+	 */
+	p._stopInstance = function (fadeOut) {
+		if (this.instance == null) { return; }
+		this.instance.off("complete", this._completeHandler);
+		this.instance.stop(fadeOut > 0 ? {fadeOut: fadeOut} : null);
+		this.instance = null;
+	};
+
+	/**
+	 * Handle the current segment ending, when it does not loop.
+	 * @method _handleComplete
+	 * @param {Object} event The complete event.
+	 * @protected
+	 */
+	p._handleComplete = function (event) {
+		if (event.target != this.instance) { return; }
+		this.instance.off("complete", this._completeHandler);
+		this.instance = null;
+		if (this._change) { return; }	// the next segment is already scheduled
+
+		this.segment = null;
+		this.startTime = null;
+		this.dispatchEvent("complete");
+	};
+
+	createjs.MusicSequencer = createjs.promote(MusicSequencer, "EventDispatcher");
+}());
@@ -0,0 +1,775 @@
+/*
+ * Playlist
+ * Visit http://createjs.com/ for documentation, updates and examples.
+ *
+ *
+ * Copyright (c) 2012 gskinner.com, inc.
+ *
+ * Permission is hereby granted, free of charge, to any person
+ * obtaining a copy of this software and associated documentation
+ * files (the "Software"), to deal in the Software without
+ * restriction, including without limitation the rights to use,
+ * copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following
+ * conditions:
+ *
+ * The above copyright notice and this permission notice shall be
+ * included in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND,
+ * EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES
+ * OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT
+ * HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY,
+ * WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR
+ * OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+/**
+ * @module SoundJS
+ */
+
+// namespace:
+this.createjs = this.createjs || {};
+
+(function () {
+	"use strict";
+
+	/**
+	 * A Playlist plays a list of sounds one after another, using {{#crossLink "Sound/play"}}{{/crossLink}}. It
+	 * supports moving to the next and previous tracks, shuffling, and repeating one track or the whole list. Tracks
+	 * that are not registered yet are loaded when they are needed, and the upcoming track is loaded while the current
+	 * one plays.
+	 *
+	 * Each track is scheduled to start when the previous one ends, using the {{#crossLink "PlayPropsConfig/when:property"}}{{/crossLink}}
+	 * play property, so transitions are gapless with the {{#crossLink "WebAudioPlugin"}}{{/crossLink}}. Other plugins
+	 * use a timer, which can leave a short gap. Set a {{#crossLink "Playlist/crossfade:property"}}{{/crossLink}} to
+	 * overlap the tracks, fading out the end of each track while the next fades in.
+	 *
+	 * <h4>Example</h4>
+	 *
+	 *      var playlist = new createjs.Playlist(["music/intro.ogg", "music/level1.ogg", "music/level2.ogg"], {
+	 *          repeat: createjs.Playlist.REPEAT_ALL,
+	 *          crossfade: 2000,
+	 *          playProps: {bus:"music"}
+	 *      });
+	 *      playlist.on("trackchange", function(event) {
+	 *          showTitle(event.track);
+	 *      });
+	 *      playlist.play();
+	 *
+	 * @class Playlist
+	 * @param {Array} tracks An array of the src or ID of each track.
+	 * @param {Object} [options] The playlist options.
+	 * @param {Boolean} [options.shuffle=false] If the tracks play in a random order.
+	 * @param {String} [options.repeat="none"] How the tracks repeat, which is one of the <code>REPEAT</code> constants.
+	 * @param {Number} [options.crossfade=0] The time the tracks overlap for, in milliseconds.
+	 * @param {Object | PlayPropsConfig} [options.playProps] Play properties used for every track.
+	 * @extends EventDispatcher
+	 * @constructor
+	 * @since 1.1.0
+	 */
+	function Playlist(tracks, options) {
+		this.EventDispatcher_constructor();
+		options = options || {};
+
+	// public properties:
+		/**
+		 * The src or ID of each track, in the order they were passed in. Changes to this array take effect when the
+		 * playlist is next played.
+		 * @property tracks
+		 * @type {Array}
+		 */
+		this.tracks = tracks ? tracks.slice() : [];
+
+		/**
+		 * The time the tracks overlap for, in milliseconds, when one track moves to the next automatically. The end of
+		 * each track fades out over this time, while the next one fades in. The default of 0 plays the tracks back to
+		 * back.
+		 * @property crossfade
+		 * @type {Number}
+		 * @default 0
+		 */
+		this.crossfade = options.crossfade || 0;
+
+		/**
+		 * The play properties used for every track. See {{#crossLink "PlayPropsConfig"}}{{/crossLink}}.
+		 * @property playProps
+		 * @type {PlayPropsConfig}
+		 */
+		this.playProps = createjs.PlayPropsConfig.create(options.playProps);
+
+		/**
+		 * The instance of the current track, or null if the playlist is not playing.
+		 * @property current
+		 * @type {AbstractSoundInstance}
+		 * @default null
+		 * @readOnly
+		 */
+		this.current = null;
+
+		/**
+		 * Indicates the playlist is playing, which includes while it is paused or loading a track.
+		 * @property playing
+		 * @type {Boolean}
+		 * @default false
+		 * @readOnly
+		 */
+		this.playing = false;
+
+	// getter / setter properties:
+		/**
+		 * The index in {{#crossLink "Playlist/tracks:property"}}{{/crossLink}} of the current track, or of the track
+		 * that plays next if the playlist is stopped.
+		 * @property index
+		 * @type {Number}
+		 * @readOnly
+		 */
+		Object.defineProperty(this, "index", {
+			get: this._getIndex
+		});
+
+		/**
+		 * Plays the tracks in a random order. Changing this keeps the current track, and shuffles the tracks after it.
+		 * @property shuffle
+		 * @type {Boolean}
+		 * @default false
+		 */
+		this._shuffle = !!options.shuffle;
+		Object.defineProperty(this, "shuffle", {
+			get: this._getShuffle,
+			set: this._setShuffle
+		});
+
+		/**
+		 * How the tracks repeat, which is {{#crossLink "Playlist/REPEAT_NONE:property"}}{{/crossLink}},
+		 * {{#crossLink "Playlist/REPEAT_ONE:property"}}{{/crossLink}} or {{#crossLink "Playlist/REPEAT_ALL:property"}}{{/crossLink}}.
+		 * @property repeat
+		 * @type {String}
+		 * @default "none"
+		 */
+		this._repeat = options.repeat || s.REPEAT_NONE;
+		Object.defineProperty(this, "repeat", {
+			get: this._getRepeat,
+			set: this._setRepeat
+		});
+
+		/**
+		 * Pauses or resumes the current track.
+		 * @property paused
+		 * @type {Boolean}
+		 * @default false
+		 */
+		this._paused = false;
+		Object.defineProperty(this, "paused", {
+			get: this._getPaused,
+			set: this._setPaused
+		});
+
+	// private properties:
+		/**
+		 * The indices of the tracks, in the order they play.
+		 * @property _order
+		 * @type {Array}
+		 * @protected
+		 */
+		this._order = [];
+
+		/**
+		 * The position of the current track in the play order.
+		 * @property _position
+		 * @type {Number}
+		 * @default 0
+		 * @protected
+		 */
+		this._position = 0;
+
+		/**
+		 * The instance of the next track, which is scheduled to start when the current track ends.
+		 * @property _next
+		 * @type {AbstractSoundInstance}
+		 * @default null
+		 * @protected
+		 */
+		this._next = null;
+
+		/**
+		 * The position in the play order of the next track.
+		 * @property _nextPosition
+		 * @type {Number}
+		 * @default -1
+		 * @protected
+		 */
+		this._nextPosition = -1;
+
+		/**
+		 * The src of a track that is loading, which is played or scheduled once it loads.
+		 * @property _loadingSrc
+		 * @type {String}
+		 * @default null
+		 * @protected
+		 */
+		this._loadingSrc = null;
+
+		/**
+		 * The listeners for the fileload and fileerror events of Sound, while a track is loading.
+		 * @property _loadListeners
+		 * @type {Array}
+		 * @default null
+		 * @protected
+		 */
+		this._loadListeners = null;
+
+		/**
+		 * The number of tracks in a row that have failed to load, which stops the playlist once every track has failed.
+		 * @property _failures
+		 * @type {Number}
+		 * @default 0
+		 * @protected
+		 */
+		this._failures = 0;
+
+		// Proxies, make removing listeners easier.
+		this._completeHandler = createjs.proxy(this._handleComplete, this);
+
+		this._createOrder();
+	}
+
+	var p = createjs.extend(Playlist, createjs.EventDispatcher);
+	var s = Playlist;
+
+
+// static properties:
+	/**
+	 * The tracks play once, in order.
+	 * @property REPEAT_NONE
+	 * @type {String}
+	 * @default "none"
+	 * @static
+	 */
+	s.REPEAT_NONE = "none";
+
+	/**
+	 * The current track repeats until the playlist moves to another track.
+	 * @property REPEAT_ONE
+	 * @type {String}
+	 * @default "one"
+	 * @static
+	 */
+	s.REPEAT_ONE = "one";
+
+	/**
+	 * The playlist starts from the first track again after the last track.
+	 * @property REPEAT_ALL
+	 * @type {String}
+	 * @default "all"
+	 * @static
+	 */
+	s.REPEAT_ALL = "all";
+
+
+// events:
+	/**
+	 * Dispatched when a track becomes the current track, either when it is played, or when the previous track ends.
+	 * @event trackchange
+	 * @param {Object} target The object that dispatched the event.
+	 * @param {String} type The event type.
+	 * @param {Number} index The index of the track in {{#crossLink "Playlist/tracks:property"}}{{/crossLink}}.
+	 * @param {String} track The src or ID of the track.
+	 * @param {AbstractSoundInstance} instance The instance playing the track.
+	 */
+
+	/**
+	 * Dispatched when the last track ends, and the playlist does not repeat.
+	 * @event playlistcomplete
+	 * @param {Object} target The object that dispatched the event.
+	 * @param {String} type The event type.
+	 */
+
+
+// public methods:
+	/**
+	 * Start playing the playlist, from a track or from the current track. Any track that is playing is stopped.
+	 * @method play
+	 * @param {Number} [index] The index in {{#crossLink "Playlist/tracks:property"}}{{/crossLink}} of the track
+	 * to play.
+	 * @return {Playlist} A reference to itself, intended for chaining calls.
+	 */
+	p.play = function (index) {
+		if (this._order.length != this.tracks.length) { this._createOrder(); }
+		if (index != null) {
+			var position = createjs.indexOf(this._order, index);
+			if (position == -1) { return this; }
+			this._position = position;
+		}
+		this._stopTracks();
+		this.playing = true;
+		this._paused = false;
+		this._startTrack();
+		return this;
+	};
+
+	/**
+	 * Stop the playlist. The current track stays the same, so {{#crossLink "Playlist/play"}}{{/crossLink}} starts
+	 * it again.
+	 * @method stop
+	 * @return {Playlist} A reference to itself, intended for chaining calls.
+	 */
+	p.stop = function () {
+		this._stopTracks();
+		this.playing = false;
+		this._paused = false;
+		return this;
+	};
+
+	/**
+	 * Move to the next track, which plays immediately if the playlist is playing.
+	 * @method next
+	 * @return {Boolean} If there is a next track. The last track only has a next track when the playlist repeats
+	 * all of the tracks.
+	 */
+	p.next = function () {
+		var position = this._position + 1;
+		if (position >= this._order.length) {
+			if (this._repeat != s.REPEAT_ALL) { return false; }
+			position = 0;
+		}
+		this._moveTo(position);
+		return true;
+	};
+
+	/**
+	 * Move to the previous track, which plays immediately if the playlist is playing.
+	 * @method previous
+	 * @return {Boolean} If there is a previous track. The first track only has a previous track when the playlist
+	 * repeats all of the tracks.
+	 */
+	p.previous = function () {
+		var position = this._position - 1;
+		if (position < 0) {
+			if (this._repeat != s.REPEAT_ALL) { return false; }
+			position = this._order.length - 1;
+		}
+		this._moveTo(position);
+		return true;
+	};
+
+	p.toString = function () {
+		return "[Playlist]";
+	};
+
+
+// get/set methods that allow support for IE8
+	/**
+	 * Use the {{#crossLink "Playlist/index:property"}}{{/crossLink}} property instead.
+	 * @method _getIndex
+	 * @return {Number}
+	 * @protected
+	 */
+	p._getIndex = function () {
+		return this._order.length ? this._order[this._position] : -1;
+	};
+
+	/**
+	 * Use the {{#crossLink "Playlist/shuffle:property"}}{{/crossLink}} property instead.
+	 * @method _getShuffle
+	 * @return {Boolean}
+	 * @protected
+	 */
+	p._getShuffle = function () {
+		return this._shuffle;
+	};
+
+	/**
+	 * Use the {{#crossLink "Playlist/shuffle:property"}}{{/crossLink}} property instead.
+	 * @method _setShuffle
+	 * @param {Boolean} value
+	 * @protected
+	 */
+	p._setShuffle = function (value) {
+		value = !!value;
+		if (value == this._shuffle) { return; }
+		this._shuffle = value;
+		this._createOrder();
+		this._rescheduleNext();
+	};
+
+	/**
+	 * Use the {{#crossLink "Playlist/repeat:property"}}{{/crossLink}} property instead.
+	 * @method _getRepeat
+	 * @return {String}
+	 * @protected
+	 */
+	p._getRepeat = function () {
+		return this._repeat;
+	};
+
+	/**
+	 * Use the {{#crossLink "Playlist/repeat:property"}}{{/crossLink}} property instead.
+	 * @method _setRepeat
+	 * @param {String} value
+	 * @protected
+	 */
+	p._setRepeat = function (value) {
+		if (value == this._repeat) { return; }
+		this._repeat = value;
+		this._rescheduleNext();
+	};
+
+	/**
+	 * Use the {{#crossLink "Playlist/paused:property"}}{{/crossLink}} property instead.
+	 * @method _getPaused
+	 * @return {Boolean}
+	 * @protected
+	 */
+	p._getPaused = function () {
+		return this._paused;
+	};
+
+	/**
+	 * Use the {{#crossLink "Playlist/paused:property"}}{{/crossLink}} property instead.
+	 * @method _setPaused
+	 * @param {Boolean} value
+	 * @protected
+	 */
+	p._setPaused = function (value) {
+		value = !!value;
+		if (value == this._paused || !this.playing) { return; }
+		this._paused = value;
+		if (this.current == null) { return; }
+
+		// the next track is scheduled again on resume, as the time the current track ends changes
+		if (value) { this._cancelNext(); }
+		this.current.paused = value;
+		if (!value) { this._scheduleNext(); }
+	};
+
+
+// private methods:
+	/**
+	 * Create the order the tracks play in. When shuffling, the current track is moved to the start, so it is not
+	 * played again.
+	 * @method _createOrder
+	 * @protected
+	 */
+	p._createOrder = function () {
+		var index = this._order.length ? this._order[this._position] : null,
+			order = [], i, l;
+		for (i = 0, l = this.tracks.length; i < l; i++) { order.push(i); }
+
+		if (this._shuffle) {
+			for (i = order.length - 1; i > 0; i--) {
+				var j = Math.floor(Math.random() * (i + 1)), temp = order[i];
+				order[i] = order[j];
+				order[j] = temp;
+			}
+		}
+
+		this._position = 0;
+		if (index != null && index < order.length) {
+			var position = createjs.indexOf(order, index);
+			if (this._shuffle) {
+				order.splice(position, 1);
+				order.unshift(index);
+			} else {
+				this._position = position;
+			}
+		}
+		this._order = order;
+	};
+
+	/**
+	 * Get the position in the play order of the track that plays after the current track ends.
+	 * @method _getNextPosition
+	 * @return {Number} The position, or -1 if the playlist ends.
+	 * @protected
+	 */
+	p._getNextPosition = function () {
+		if (this._repeat == s.REPEAT_ONE) { return this._position; }
+		if (this._position + 1 < this._order.length) { return this._position + 1; }
+		return this._repeat == s.REPEAT_ALL ? 0 : -1;
+	};
+
+	/**
+	 * Move to a position in the play order, and play it if the playlist is playing.
+	 * @method _moveTo
+	 * @param {Number} position The position in the play order.
+	 * @protected
+	 */
+	p._moveTo = function (position) {
+		this._position = position;
+		if (this.playing) {
+			this.play();
+		}
+	};
+
+	/**
+	 * Play the current track, loading it first if needed.
+	 * @method _startTrack
+	 * @protected
+	 */
+	p._startTrack = function () {
+		var track = this.tracks[this._order[this._position]];
+		if (this._loadFailed(track)) {
+			this._skipTrack();
+			return;
+		}
+		if (!createjs.Sound.loadComplete(track)) {
+			this._loadTrack(track);
+			return;
+		}
+
+		this.current = this._playTrack(track, null, 0);
+		if (this.current.playState == createjs.Sound.PLAY_FAILED) {
+			this.stop();
+			return;
+		}
+		this._failures = 0;
+		this._sendTrackChange();
+		this._scheduleNext();
+	};
+
+	/**
+	 * Play a track.
+	 * @method _playTrack
+	 * @param {String} track The src or ID of the track.
+	 * @param {Number} when The time on the audio clock to start at, in seconds, or null to start immediately.
+	 * @param {Number} fadeIn The time to fade in over, in milliseconds.
+	 * @return {AbstractSoundInstance} The instance playing the track.
+	 * @protected
+	 */
+	p._playTrack = function (track, when, fadeIn) {
+		var props = createjs.PlayPropsConfig.create(this.playProps);
+		if (when != null) { props.when = when; }
+		if (fadeIn > 0) { props.fadeIn = fadeIn; }
+		props.fadeOut = 0;
+
+		var instance = createjs.Sound.play(track, props);
+		instance.addEventListener("complete", this._completeHandler);
+		return instance;
+	};
+
+	/**
+	 * Schedule the next track to start when the current track ends, loading it first if needed.
+	 * @method _scheduleNext
+	 * @protected
+	 */
+	p._scheduleNext = function () {
+		var current = this.current, position = this._getNextPosition();
+		if (this._next || this._paused || current == null || position == -1) { return; }
+		if (current.loop < 0) { return; }	// the current track never ends
+
+		var track = this.tracks[this._order[position]];
+		if (this._loadFailed(track)) { return; }	// it is skipped when the current track completes
+		if (!createjs.Sound.loadComplete(track)) {
+			this._loadTrack(track);
+			return;
+		}
+
+		var remaining = (current.duration * (current.loop + 1) - current.position) / current.playbackRate,
+			crossfade = Math.min(this.crossfade, remaining);
+		this._next = this._playTrack(track, createjs.Sound.getAudioTime() + (remaining - crossfade) * 0.001, crossfade);
+		this._nextPosition = position;
+		if (this._next.playState == createjs.Sound.PLAY_FAILED) {
+			this._next = null;
+			return;
+		}
+		if (crossfade > 0) { current.applyPlayProps({fadeOut: crossfade}); }
+	};
+
+	/**
+	 * Stop the scheduled next track, and cancel the crossfade of the current track.
+	 * @method _cancelNext
+	 * @protected
+	 */
+	p._cancelNext = function () {
+		if (this._next == null) { return; }
+		this._next.off("complete", this._completeHandler);
+		this._next.stop();
+		this._next = null;
+		if (this.current && this.crossfade > 0) { this.current.applyPlayProps({fadeOut: 0}); }
+	};
+
+	/**
+	 * Schedule the next track again, after the shuffle or repeat settings change which track it is.
+	 * @method _rescheduleNext
+	 * @protected
+	 */
+	p._rescheduleNext = function () {
+		if (this._next == null && this._loadingSrc == null) { return; }
+		this._cancelNext();
+		this._stopLoading();
+		this._scheduleNext();
+	};
+
+	/**
+	 * Stop the current and scheduled tracks.
+	 * @method _stopTracks
+	 * @protected
+	 */
+	p._stopTracks = function () {
+		this._stopLoading();
+		this._cancelNext();
+		if (this.current) {
+			this.current.off("complete", this._completeHandler);
+			this.current.stop();
+			this.current = null;
+		}
+	};
+
+	/**
+	 * Load a track that is not loaded yet, and play or schedule it once it loads.
+	 * @method _loadTrack
+	 * @param {String} track The src or ID of the track.
+	 * @protected
+	 */
+	p._loadTrack = function (track) {
+		var Sound = createjs.Sound,
+			src = this._getSrc(track);
+		this._stopLoading();
+		this._loadingSrc = src;
+		this._loadListeners = [
+			Sound.on("fileload", this._handleLoad, this),
+			Sound.on("fileerror", this._handleLoadError, this)
+		];
+		if (!Sound._preloadHash[src]) { Sound.registerSound(src); }
+	};
+
+	/**
+	 * Get the src that a track is registered with.
+	 * @method _getSrc
+	 * @param {String} track The src or ID of the track.
+	 * @return {String} The src.
+	 * @protected
+	 */
+	p._getSrc = function (track) {
+		var src = createjs.Sound._getSrcById(track).src,
+			details = createjs.Sound._parsePath(src);
+		return details ? details.src : src;
+	};
+
+	/**
+	 * Determine if a track has failed to load.
+	 * @method _loadFailed
+	 * @param {String} track The src or ID of the track.
+	 * @return {Boolean} If the track failed to load.
+	 * @protected
+	 */
+	p._loadFailed = function (track) {
+		var items = createjs.Sound._preloadHash[this._getSrc(track)];
+		return items != null && items[0] === false;
+	};
+
+	/**
+	 * Stop waiting for a track to load.
+	 * @method _stopLoading
+	 * @protected
+	 */
+	p._stopLoading = function () {
+		if (this._loadListeners == null) { return; }
+		createjs.Sound.off("fileload", this._loadListeners[0]);
+		createjs.Sound.off("fileerror", this._loadListeners[1]);
+		this._loadListeners = null;
+		this._loadingSrc = null;
+	};
+
+	/**
+	 * Play or schedule a track once it has loaded.
+	 * @method _handleLoad
+	 * @param {Object} event The fileload event.
+	 * @protected
+	 */
+	p._handleLoad = function (event) {
+		if (event.src != this._loadingSrc) { return; }
+		this._stopLoading();
+		if (!this.playing) { return; }
+		if (this.current == null) {
+			this._startTrack();
+		} else {
+			this._scheduleNext();
+		}
+	};
+
+	/**
+	 * Skip a track that fails to load.
+	 * @method _handleLoadError
+	 * @param {Object} event The fileerror event.
+	 * @protected
+	 */
+	p._handleLoadError = function (event) {
+		if (event.src != this._loadingSrc) { return; }
+		this._stopLoading();
+		// the next track is skipped when the current track completes
+		if (this.current == null && this.playing) { this._skipTrack(); }
+	};
+
+	/**
+	 * Move past the current track when it fails to load, stopping once every track has failed.
+	 * @method _skipTrack
+	 * @protected
+	 */
+	p._skipTrack = function () {
+		if (++this._failures >= this._order.length) {
+			this._failures = 0;
+			this.stop();
+			return;
+		}
+		this._handleEnd();
+	};
+
+	/**
+	 * Move to the next track when the current track completes.
+	 * @method _handleComplete
+	 * @param {Object} event The complete event.
+	 * @protected
+	 */
+	p._handleComplete = function (event) {
+		if (event.target != this.current) { return; }
+		this.current.off("complete", this._completeHandler);
+		this.current = null;
+
+		if (this._next) {
+			this.current = this._next;
+			this._position = this._nextPosition;
+			this._next = null;
+			this._sendTrackChange();
+			this._scheduleNext();
+			return;
+		}
+		this._handleEnd();
+	};
+
+	/**
+	 * Play the track after the current one, or complete the playlist, when the next track was not scheduled.
+	 * @method _handleEnd
+	 * @protected
+	 */
+	p._handleEnd = function () {
+		var position = this._getNextPosition();
+		if (position == -1) {
+			this.playing = false;
+			this.dispatchEvent("playlistcomplete");
+			return;
+		}
+		this._position = position;
+		this._startTrack();
+	};
+
+	/**
+	 * Dispatch a trackchange event for the current track.
+	 * @method _sendTrackChange
+	 * @protected
+	 */
+	p._sendTrackChange = function () {
+		if (!this.hasEventListener("trackchange")) { return; }
+		var event = new createjs.Event("trackchange");
+		event.index = this._order[this._position];
+		event.track = this.tracks[event.index];
+		event.instance = this.current;
+		this.dispatchEvent(event);
+	};
+
+	createjs.Playlist = createjs.promote(Playlist, "EventDispatcher");
+}());
@@ -157,6 +157,18 @@ this.createjs = this.createjs || {};
 	 *		// after load is complete
 	 *		createjs.Sound.play("sound2");
 	 *
+	 * <b>Buses</b><br />
+	 * Instances can be grouped into named {{#crossLink "SoundBus"}}{{/crossLink}} buses, which have their own volume,
+	 * mute, and pause controls, and can be nested. Create buses with {{#crossLink "Sound/createBus"}}{{/crossLink}}, and
+	 * assign instances using the <code>bus</code> play property.
+	 *
+	 * <h4>Example</h4>
+	 *
+	 *		createjs.Sound.createBus("music");
+	 *		createjs.Sound.createBus("sfx");
+	 *		createjs.Sound.play("theme", {bus:"music", loop:-1});
+	 *		createjs.Sound.getBus("music").volume = 0.4;
+	 *
 	 * <b>Mobile Playback</b><br />
 	 * Devices running iOS require the WebAudio context to be "unlocked" by playing at least one sound inside of a user-
 	 * initiated event (such as touch/click). Earlier versions of SoundJS included a "MobileSafe" sample, but this is no
@@ -430,6 +442,67 @@ this.createjs = this.createjs || {};
 	 */
 	s.alternateExtensions = [];
 
+	/**
+	 * The maximum number of sounds that can play at the same time, across all sources, or -1 for no limit. This is
+	 * useful on devices that can only mix a few voices. Paused sounds still use a voice, while sounds waiting on a
+	 * delay do not use one until they start.
+	 *
+	 * When a sound starts and all voices are in use, the voices of the least important playing sounds are stolen: the
+	 * sound with the lowest {{#crossLink "AbstractSoundInstance/priority:property"}}{{/crossLink}}, then the
+	 * quietest, then the one that started first. A sound can only steal from a sound with a lower priority, or the
+	 * same priority if it was played with an interrupt value other than {{#crossLink "Sound/INTERRUPT_NONE:property"}}{{/crossLink}},
+	 * otherwise it fails to play. A sound interrupted by the per source limit set when registering a sound frees its
+	 * voice, and nothing is interrupted when the sound fails either check.
+	 *
+	 * <h4>Example</h4>
+	 *
+	 *      createjs.Sound.maxVoices = 8;
+	 *      createjs.Sound.registerSound("dialogue.ogg", "dialogue", null, null, {priority:10});
+	 *      createjs.Sound.registerSound("footstep.ogg", "step", null, null, {priority:1});
+	 *      createjs.Sound.play("explosion", {priority:5});	// can steal a footstep, but not dialogue
+	 *
+	 * @property maxVoices
+	 * @type {Number}
+	 * @default -1
+	 * @static
+	 * @since 1.1.0
+	 */
+	s.maxVoices = -1;
+
+	/**
+	 * The listener that 3D positioned sounds are heard from. See {{#crossLink "SoundListener"}}{{/crossLink}} and
+	 * {{#crossLink "AbstractSoundInstance/setSpatialPosition"}}{{/crossLink}}.
+	 *
+	 * <h4>Example</h4>
+	 *
+	 *      createjs.Sound.listener.setPosition(0, 0, 0).setOrientation(0, 0, -1, 0, 1, 0);
+	 *
+	 * @property listener
+	 * @type {SoundListener}
+	 * @static
+	 * @readOnly
+	 * @since 1.1.0
+	 */
+	s.listener = new createjs.SoundListener();
+
+	/**
+	 * The musical clock, which keeps time in beats and bars and is used by the {{#crossLink "PlayPropsConfig/quantize:property"}}{{/crossLink}}
+	 * play property. See {{#crossLink "SoundClock"}}{{/crossLink}}.
+	 *
+	 * <h4>Example</h4>
+	 *
+	 *      createjs.Sound.clock.bpm = 100;
+	 *      createjs.Sound.clock.start();
+	 *      createjs.Sound.play("snare", {quantize: "beat"});
+	 *
+	 * @property clock
+	 * @type {SoundClock}
+	 * @static
+	 * @readOnly
+	 * @since 1.1.0
+	 */
+	s.clock = new createjs.SoundClock();
+
 	/**
 	 * The currently active plugin. If this is null, then no plugin could be initialized. If no plugin was specified,
 	 * Sound attempts to apply the default plugins: {{#crossLink "WebAudioPlugin"}}{{/crossLink}}, followed by
@@ -558,6 +631,18 @@ this.createjs = this.createjs || {};
 	 *     <li><b>volume;</b> If the plugin can control audio volume.</li>
 	 *     <li><b>tracks:</b> The maximum number of audio tracks that can be played back at a time. This will be -1
 	 *     if there is no known limit.</li>
+	 *     <li><b>preciseScheduling:</b> If playback scheduled with the {{#crossLink "PlayPropsConfig/when:property"}}{{/crossLink}}
+	 *     play property starts exactly on the audio clock. If false, it is started by a timer, which is usually
+	 *     accurate to within tens of milliseconds.</li>
+	 *     <li><b>effects:</b> If the plugin can apply {{#crossLink "AbstractEffect"}}{{/crossLink}} effects to instances
+	 *     and the master output. Plugins that can not will play without them.</li>
+	 *     <li><b>spatial:</b> If the plugin can position sounds in 3D using {{#crossLink "AbstractSoundInstance/setSpatialPosition"}}{{/crossLink}}.
+	 *     Plugins that can not approximate the position by adjusting the volume by distance, and the pan by direction
+	 *     if they support pan.</li>
+	 *     <li><b>analysis:</b> If the plugin can provide spectrum, waveform and level data using {{#crossLink "Sound/createAnalyser"}}{{/crossLink}}.</li>
+	 *     <li><b>offline:</b> If the plugin can render sounds faster than real time using {{#crossLink "Sound/renderOffline"}}{{/crossLink}}.</li>
+	 *     <li><b>recording:</b> If the plugin can record the master output using {{#crossLink "Sound/startRecording"}}{{/crossLink}}.</li>
+	 *     <li><b>mediaStream:</b> If the plugin can play a MediaStream using {{#crossLink "Sound/createStreamInstance"}}{{/crossLink}}.</li>
 	 * <br />An entry for each file type in {{#crossLink "Sound/SUPPORTED_EXTENSIONS:property"}}{{/crossLink}}:
 	 *     <li><b>mp3:</b> If MP3 audio is supported.</li>
 	 *     <li><b>ogg:</b> If OGG audio is supported.</li>
@@ -597,10 +682,91 @@ this.createjs = this.createjs || {};
 	// Sound.getCapabilities is @deprecated. Remove for 1.1+
 	s.getCapabilities = createjs.deprecate(s._getCapabilities, "Sound.getCapabilities");
 
+	/**
+	 * The effects applied to the master output, in order, after the master volume. Setting this replaces all of the
+	 * master effects. See {{#crossLink "AbstractEffect"}}{{/crossLink}} for the included effects. Note effects are
+	 * only applied by plugins with the <code>effects</code> {{#crossLink "Sound/capabilities:property"}}{{/crossLink}}.
+	 *
+	 * <h4>Example</h4>
+	 *
+	 *     createjs.Sound.masterEffects = [new createjs.ReverbEffect({mix:0.2}), new createjs.CompressorEffect()];
+	 *
+	 * @property masterEffects
+	 * @type {Array}
+	 * @static
+	 * @since 1.1.0
+	 */
+	s._masterEffects = [];
+
+	/**
+	 * Use the {{#crossLink "Sound/masterEffects:property"}}{{/crossLink}} property instead.
+	 * @method _getMasterEffects
+	 * @return {Array} A copy of the array of master effects.
+	 * @static
+	 * @private
+	 */
+	s._getMasterEffects = function () {
+		return s._masterEffects.slice();
+	};
+
+	/**
+	 * Use the {{#crossLink "Sound/masterEffects:property"}}{{/crossLink}} property instead.
+	 * @method _setMasterEffects
+	 * @param {Array} value An array of effects.
+	 * @static
+	 * @private
+	 */
+	s._setMasterEffects = function (value) {
+		var removed = s._masterEffects;
+		s._masterEffects = value ? value.slice() : [];
+		if (s.activePlugin && s.activePlugin.updateEffects) { s.activePlugin.updateEffects(s._masterEffects); }
+		for (var i = 0, l = removed.length; i < l; i++) {
+			if (createjs.indexOf(s._masterEffects, removed[i]) == -1) { removed[i].disconnect(); }
+		}
+	};
+
+	/**
+	 * The panning model used for 3D positioned sounds by plugins that support them, which can be "HRTF" for more
+	 * realistic positioning, especially above, below and behind the listener, or "equalpower" for cheaper panning
+	 * between the left and right speakers. Changing this updates all positioned sounds.
+	 * @property panningModel
+	 * @type {String}
+	 * @default "HRTF"
+	 * @static
+	 * @since 1.1.0
+	 */
+	s._panningModel = "HRTF";
+
+	/**
+	 * Use the {{#crossLink "Sound/panningModel:property"}}{{/crossLink}} property instead.
+	 * @method _getPanningModel
+	 * @return {String}
+	 * @static
+	 * @private
+	 */
+	s._getPanningModel = function () {
+		return s._panningModel;
+	};
+
+	/**
+	 * Use the {{#crossLink "Sound/panningModel:property"}}{{/crossLink}} property instead.
+	 * @method _setPanningModel
+	 * @param {String} value The panning model.
+	 * @static
+	 * @private
+	 */
+	s._setPanningModel = function (value) {
+		if (value != "HRTF" && value != "equalpower") { return; }
+		s._panningModel = value;
+		s._updateSpatialInstances();
+	};
+
 	Object.defineProperties(s, {
+		panningModel: { get: s._getPanningModel, set: s._setPanningModel },
 		volume: { get: s._getMasterVolume, set: s._setMasterVolume },
 		muted: { get: s._getMute, set: s._setMute },
-		capabilities: { get: s._getCapabilities }
+		capabilities: { get: s._getCapabilities },
+		masterEffects: { get: s._getMasterEffects, set: s._setMasterEffects }
 	});
 
 
@@ -670,6 +836,83 @@ this.createjs = this.createjs || {};
 	 */
 	s._defaultPlayPropsHash = {};
 
+	/**
+	 * An object hash of the sources created by {{#crossLink "Sound/registerSoundData"}}{{/crossLink}}, which do not
+	 * have a file extension to parse.
+	 * @property _dataSources
+	 * @type {Object}
+	 * @private
+	 * @static
+	 * @since 1.1.0
+	 */
+	s._dataSources = {};
+
+	/**
+	 * An object hash storing the markers of sounds registered with <code>markers</code> data, via the parsed source,
+	 * or the id of an audio sprite. See {{#crossLink "AbstractSoundInstance/markers:property"}}{{/crossLink}}.
+	 * @property _markersHash
+	 * @type {Object}
+	 * @private
+	 * @static
+	 * @since 1.1.0
+	 */
+	s._markersHash = {};
+
+	/**
+	 * An object hash storing {{#crossLink "SoundContainer"}}{{/crossLink}} instances by id. Containers are added using
+	 * {{#crossLink "Sound/registerContainer"}}{{/crossLink}}, or with <code>containers</code> data.
+	 * @property _containerHash
+	 * @type {Object}
+	 * @private
+	 * @static
+	 * @since 1.1.0
+	 */
+	s._containerHash = {};
+
+	/**
+	 * The manifests registered using {{#crossLink "Sound/registerManifest"}}{{/crossLink}}, each with the src of its
+	 * sounds and the id of its containers, so the sounds that are dropped from a manifest can be removed when it is
+	 * registered again. A manifest is identified by its URL, or by the object that was passed in.
+	 * @property _manifests
+	 * @type {Array}
+	 * @private
+	 * @static
+	 * @since 1.1.0
+	 */
+	s._manifests = [];
+
+	/**
+	 * An object hash storing {{#crossLink "SoundBus"}}{{/crossLink}} instances by name. Buses are added using
+	 * {{#crossLink "Sound/createBus"}}{{/crossLink}}.
+	 * @property _busHash
+	 * @type {Object}
+	 * @private
+	 * @static
+	 * @since 1.1.0
+	 */
+	s._busHash = {};
+
+	/**
+	 * An array of the rules added with {{#crossLink "Sound/addDuckingRule"}}{{/crossLink}}.
+	 * @property _duckingRules
+	 * @type {Array}
+	 * @private
+	 * @static
+	 * @since 1.1.0
+	 */
+	s._duckingRules = [];
+
+	/**
+	 * The {{#crossLink "SoundRecorder"}}{{/crossLink}} created by {{#crossLink "Sound/startRecording"}}{{/crossLink}}.
+	 * @property _recorder
+	 * @type {SoundRecorder}
+	 * @default null
+	 * @private
+	 * @static
+	 * @since 1.1.0
+	 */
+	s._recorder = null;
+
 
 // EventDispatcher methods:
 	s.addEventListener = null;
@@ -704,6 +947,8 @@ this.createjs = this.createjs || {};
 	 * @param {String} src The source of the sound that was loaded.
 	 * @param {String} [id] The id passed in when the sound was registered. If one was not provided, it will be null.
 	 * @param {Number|Object} [data] Any additional data associated with the item. If not provided, it will be undefined.
+	 * @param {Array} [errors] A description of each problem, when a manifest passed to {{#crossLink "Sound/registerManifest"}}{{/crossLink}}
+	 * could not be loaded or is not valid.
 	 * @since 0.6.0
 	 */
 
@@ -740,23 +985,7 @@ this.createjs = this.createjs || {};
 	 * @since 0.6.0
 	 */
 	s._handleLoadComplete = function(event) {
-		var src = event.target.getItem().src;
-		if (!s._preloadHash[src]) {return;}
-
-		for (var i = 0, l = s._preloadHash[src].length; i < l; i++) {
-			var item = s._preloadHash[src][i];
-			s._preloadHash[src][i] = true;
-
-			if (!s.hasEventListener("fileload")) { continue; }
-
-			var event = new createjs.Event("fileload");
-			event.src = item.src;
-			event.id = item.id;
-			event.data = item.data;
-			event.sprite = item.sprite;
-
-			s.dispatchEvent(event);
-		}
+		s._sendLoadEvents(event.target.getItem().src, true);
 	};
 
 	/**
@@ -767,16 +996,29 @@ this.createjs = this.createjs || {};
 	 * @static
 	 */
 	s._handleLoadError = function(event) {
-		var src = event.target.getItem().src;
+		s._sendLoadEvents(event.target.getItem().src, false);
+	};
+
+	/**
+	 * Mark each item registered for a source as loaded or failed, and dispatch a fileload or fileerror event for it.
+	 * @method _sendLoadEvents
+	 * @param {String} src The source that finished loading.
+	 * @param {Boolean} loaded If the source loaded, or failed to load.
+	 * @private
+	 * @static
+	 * @since 1.1.0
+	 */
+	s._sendLoadEvents = function (src, loaded) {
 		if (!s._preloadHash[src]) {return;}
 
+		var type = loaded ? "fileload" : "fileerror";
 		for (var i = 0, l = s._preloadHash[src].length; i < l; i++) {
 			var item = s._preloadHash[src][i];
-			s._preloadHash[src][i] = false;
+			s._preloadHash[src][i] = loaded;
 
-			if (!s.hasEventListener("fileerror")) { continue; }
+			if (!s.hasEventListener(type)) { continue; }
 
-			var event = new createjs.Event("fileerror");
+			var event = new createjs.Event(type);
 			event.src = item.src;
 			event.id = item.id;
 			event.data = item.data;
@@ -799,6 +1041,12 @@ this.createjs = this.createjs || {};
 		// Note: Each plugin is passed in as a class reference, but we store the activePlugin as an instance
 		if (plugin.isSupported()) {
 			s.activePlugin = new plugin();
+			// buses can be created before a plugin is active
+			for (var n in s._busHash) {
+				s._updateBusVolume(s._busHash[n]);
+			}
+			if (s._masterEffects.length && s.activePlugin.updateEffects) { s.activePlugin.updateEffects(s._masterEffects); }
+			if (s.activePlugin.updateListener) { s.activePlugin.updateListener(s.listener); }
 			return true;
 		}
 		return false;
@@ -917,17 +1165,29 @@ this.createjs = this.createjs || {};
 				numChannels = parseInt(data);
 			}
 
+			if (data.markers) { s._markersHash[loadItem.src] = data.markers; }
+
 			if(data.audioSprite) {
 				var sp;
 				for(var i = data.audioSprite.length; i--; ) {
 					sp = data.audioSprite[i];
 					s._idHash[sp.id] = {src: loadItem.src, startTime: parseInt(sp.startTime), duration: parseInt(sp.duration)};
+					if (sp.loopStart != null) { s._idHash[sp.id].loopStart = parseInt(sp.loopStart); }
+					if (sp.loopEnd != null) { s._idHash[sp.id].loopEnd = parseInt(sp.loopEnd); }
+					if (sp.markers) { s._markersHash[sp.id] = sp.markers; }
 
 					if (sp.defaultPlayProps) {
 						s._defaultPlayPropsHash[sp.id] = createjs.PlayPropsConfig.create(sp.defaultPlayProps);
 					}
 				}
 			}
+
+			if (data.containers) {
+				for (var j = 0; j < data.containers.length; j++) {
+					var container = data.containers[j];
+					s.registerContainer(container.id, container.sources, container);
+				}
+			}
 		}
 		if (loadItem.id != null) {s._idHash[loadItem.id] = {src: loadItem.src}};
 		var loader = s.activePlugin.register(loadItem);
@@ -972,7 +1232,18 @@ this.createjs = this.createjs || {};
 	 *   id used to play the sound later, in the same manner as a sound src with an id.<br/>
 	 *   startTime is the initial offset to start playback and loop from, in milliseconds.<br/>
 	 *   duration is the amount of time to play the clip for, in milliseconds.<br/>
-	 * This allows Sound to support audio sprites that are played back by id.
+	 *   loopStart and loopEnd are optional, and set the region that loops, in milliseconds from the startTime. See
+	 *   {{#crossLink "AbstractSoundInstance/loopStart:property"}}{{/crossLink}}.<br/>
+	 *   markers is optional, and is an array of markers in the format {name, time}.<br/>
+	 * This allows Sound to support audio sprites that are played back by id.<br/>
+	 * Set a <code>containers</code> property to an array of objects in the format <code>{id, sources, mode, volume, pitch}</code>
+	 * to register containers of variations, such as the audio sprites of the sound. See {{#crossLink "Sound/registerContainer"}}{{/crossLink}}.<br/>
+	 * Set a <code>markers</code> property to an array of objects in the format <code>{name, time}</code>, with the
+	 * time in milliseconds, to fire a <code>marker</code> event on instances when playback crosses each one. See
+	 * {{#crossLink "AbstractSoundInstance/markers:property"}}{{/crossLink}}.<br/>
+	 * Set a <code>stream</code> property to true to stream long sounds such as music with the {{#crossLink "WebAudioPlugin"}}{{/crossLink}},
+	 * which plays them through an <code>&lt;audio&gt;</code> element instead of decoding them into memory. See
+	 * {{#crossLink "MediaElementSoundInstance"}}{{/crossLink}}.
 	 * @param {string} basePath Set a path that will be prepended to src for loading.
 	 * @param {Object | PlayPropsConfig} defaultPlayProps Optional Playback properties that will be set as the defaults on any new AbstractSoundInstance.
 	 * See {{#crossLink "PlayPropsConfig"}}{{/crossLink}} for options.
@@ -1022,7 +1293,8 @@ this.createjs = this.createjs || {};
 	 *          {src:"asset0.ogg", id:"example"},
 	 *          {src:"asset1.ogg", id:"1", data:6},
 	 *          {src:"asset2.mp3", id:"works"}
-	 *          {src:{mp3:"path1/asset3.mp3", ogg:"path2/asset3NoExtension"}, id:"better"}
+	 *          {src:{mp3:"path1/asset3.mp3", ogg:"path2/asset3NoExtension"}, id:"better"},
+	 *          {id:"random", container:{sources:["example", "works", "better"], mode:"shuffle"}}
 	 *      ];
 	 *      createjs.Sound.alternateExtensions = ["mp3"];	// if the passed extension is not supported, try this extension
 	 *      createjs.Sound.on("fileload", handleLoad); // call handleLoad when each sound loads
@@ -1032,6 +1304,8 @@ this.createjs = this.createjs || {};
 	 * @param {Array} sounds An array of objects to load. Objects are expected to be in the format needed for
 	 * {{#crossLink "Sound/registerSound"}}{{/crossLink}}: <code>{src:srcURI, id:ID, data:Data}</code>
 	 * with "id" and "data" being optional.
+	 * Objects with an id and a <code>container</code> property instead of a src register a container of variations,
+	 * in the format <code>{sources, mode, volume, pitch}</code>. See {{#crossLink "Sound/registerContainer"}}{{/crossLink}}.
 	 * You can also pass an object with path and manifest properties, where path is a basePath and manifest is an array of objects to load.
 	 * Note id is required if src is an object with extension labeled src properties.
 	 * @param {string} basePath Set a path that will be prepended to each src when loading.  When creating, playing, or removing
@@ -1054,11 +1328,288 @@ this.createjs = this.createjs || {};
 			// TODO document this feature
 		}
 		for (var i = 0, l = sounds.length; i < l; i++) {
+			if (sounds[i].container && sounds[i].src == null) {
+				returnValues[i] = createjs.Sound.registerContainer(sounds[i].id, sounds[i].container.sources, sounds[i].container);
+				continue;
+			}
 			returnValues[i] = createjs.Sound.registerSound(sounds[i].src, sounds[i].id, sounds[i].data, basePath, sounds[i].defaultPlayProps);
 		}
 		return returnValues;
 	};
 
+	/**
+	 * Register a container, which maps one id to several variations of a sound, such as footsteps or impacts.
+	 * Playing the id with {{#crossLink "Sound/play"}}{{/crossLink}} picks a variation, and can randomize its volume and
+	 * pitch. The variations are the src or ID of sounds or audio sprites, which are registered and loaded separately.
+	 * Registering an id again replaces the container. See {{#crossLink "SoundContainer"}}{{/crossLink}}.
+	 *
+	 * <h4>Example</h4>
+	 *
+	 *      createjs.Sound.registerContainer("impact", ["impact1", "impact2", "impact3"], {
+	 *          mode: createjs.SoundContainer.MODE_SHUFFLE,
+	 *          volume: [0.8, 1],
+	 *          pitch: [0.95, 1.05]
+	 *      });
+	 *      createjs.Sound.play("impact", {volume:0.5});
+	 *
+	 * @method registerContainer
+	 * @param {String} id The id to play the container with.
+	 * @param {Array} sources The src or ID of each variation.
+	 * @param {Object} [options] The container options, which are the <code>mode</code>, and the <code>volume</code>
+	 * and <code>pitch</code> ranges. See {{#crossLink "SoundContainer"}}{{/crossLink}}.
+	 * @return {SoundContainer} The container.
+	 * @static
+	 * @since 1.1.0
+	 */
+	s.registerContainer = function (id, sources, options) {
+		return s._containerHash[id] = new createjs.SoundContainer(id, sources, options);
+	};
+
+	/**
+	 * Register and load one or more sounds, and return a Promise that settles once they have finished loading. This
+	 * accepts the same values as {{#crossLink "Sound/registerSound"}}{{/crossLink}} and
+	 * {{#crossLink "Sound/registerSounds"}}{{/crossLink}}: a src string, an object with a src property, an array of
+	 * objects, or an object with path and manifest properties.
+	 *
+	 * The Promise resolves with the registered item (or an array of items when an array or manifest is passed), in the
+	 * same format as the value returned by registerSound. If any sound can not be registered or fails to load, the
+	 * Promise rejects with a {{#crossLink "SoundError"}}{{/crossLink}} describing the first failure. It also rejects
+	 * if no sounds are passed. Sounds that are already loaded resolve immediately. The fileload and fileerror events
+	 * are still dispatched as usual.
+	 *
+	 * <h4>Example</h4>
+	 *
+	 *      createjs.Sound.load([
+	 *          {src:"music.ogg", id:"music"},
+	 *          {src:"click.ogg", id:"click"}
+	 *      ], "assets/").then(function (items) {
+	 *          createjs.Sound.play("music");
+	 *      }, function (error) {
+	 *          console.log(error.type, error.data.src);
+	 *      });
+	 *
+	 * Note this requires Promise support in the browser, or a Promise polyfill.
+	 *
+	 * @method load
+	 * @param {String | Object | Array} sounds The src of a sound, an object in the format needed for registerSound,
+	 * an array of those objects, or an object with path and manifest properties.
+	 * @param {String} [basePath] Set a path that will be prepended to each src when loading.
+	 * @return {Promise} A Promise that resolves with the loaded item or items, or rejects with a SoundError.
+	 * @static
+	 * @since 1.1.0
+	 */
+	s.load = function (sounds, basePath) {
+		if (sounds != null && sounds.path) {
+			basePath = basePath ? basePath + sounds.path : sounds.path;
+			sounds = sounds.manifest;
+		}
+		if (sounds == null) {
+			return Promise.reject(new createjs.SoundError(createjs.SoundError.UNSUPPORTED, "No sounds to load", sounds));
+		}
+		if (!(sounds instanceof Array)) { return s._loadSound(sounds, basePath); }
+
+		var promises = [];
+		for (var i = 0, l = sounds.length; i < l; i++) {
+			promises[i] = s._loadSound(sounds[i], basePath);
+		}
+		return Promise.all(promises);
+	};
+
+	/**
+	 * Load a JSON manifest that describes sounds, and register and load everything in it, so sounds can be changed
+	 * without code changes. The manifest uses the format of {{#crossLink "Sound/registerSounds"}}{{/crossLink}}: an
+	 * array of sounds, or an object with <code>path</code> and <code>manifest</code> properties. The object can also
+	 * list <code>alternateExtensions</code>, which are tried for the sounds of that manifest, in the same way as
+	 * {{#crossLink "Sound/alternateExtensions:property"}}{{/crossLink}}.
+	 * Each sound is an object with:
+	 * <ul><li>src - The source, or an object of sources by extension for alternate formats.</li>
+	 * <li>id - The id to play the sound with.</li>
+	 * <li>data - The number of channels, or an object with <code>channels</code>, <code>audioSprite</code>,
+	 * <code>markers</code>, <code>containers</code> and <code>stream</code> properties. See {{#crossLink "Sound/registerSound"}}{{/crossLink}}.</li>
+	 * <li>defaultPlayProps - The default play properties. See {{#crossLink "PlayPropsConfig"}}{{/crossLink}}.</li>
+	 * <li>container - Instead of a src, a container of variations. See {{#crossLink "Sound/registerContainer"}}{{/crossLink}}.</li></ul>
+	 *
+	 * The manifest is checked before anything is registered. If it can not be loaded or is not valid, nothing is
+	 * registered, and a {{#crossLink "Sound/fileerror:event"}}{{/crossLink}} event is dispatched with the src of the
+	 * manifest, and a list of <code>errors</code> describing each problem.
+	 *
+	 * Registering a manifest again, for example after a designer changes it, reloads it. The default play properties
+	 * of its sounds and audio sprites are replaced, including any that were removed, and apply to sounds played
+	 * afterwards. Sounds and containers that are no longer in the manifest are removed using
+	 * {{#crossLink "Sound/removeSound"}}{{/crossLink}}. Sounds that are already loaded are not loaded again.
+	 *
+	 * <h4>Example</h4>
+	 *
+	 *      // sounds.json
+	 *      {
+	 *          "path": "assets/",
+	 *          "alternateExtensions": ["mp3"],
+	 *          "manifest": [
+	 *              {"src": "music.ogg", "id": "music", "data": {"channels": 1, "stream": true}, "defaultPlayProps": {"loop": -1, "volume": 0.6}},
+	 *              {"src": {"ogg": "ui.ogg", "m4a": "ui.m4a"}, "id": "ui", "data": {"audioSprite": [
+	 *                  {"id": "click", "startTime": 0, "duration": 200, "defaultPlayProps": {"volume": 0.8}}
+	 *              ]}}
+	 *          ]
+	 *      }
+	 *
+	 *      createjs.Sound.on("fileerror", function (event) {
+	 *          console.log(event.src, event.errors);
+	 *      });
+	 *      createjs.Sound.registerManifest("sounds.json").then(function () {
+	 *          createjs.Sound.play("music");
+	 *      });
+	 *
+	 * Note this requires Promise support in the browser, or a Promise polyfill.
+	 *
+	 * @method registerManifest
+	 * @param {String | Object | Array} manifest The URL of a JSON manifest, or the manifest itself.
+	 * @param {String} [basePath] Set a path that will be prepended to each src when loading, before the path of the
+	 * manifest.
+	 * @return {Promise} A Promise that resolves with the registered items once the sounds have loaded, or rejects with
+	 * a {{#crossLink "SoundError"}}{{/crossLink}}.
+	 * @static
+	 * @since 1.1.0
+	 */
+	s.registerManifest = function (manifest, basePath) {
+		var src = typeof(manifest) == "string" ? manifest : null;
+		var load = src ? s._loadJSON(src) : Promise.resolve(manifest);
+		return load.then(function (value) {
+			if (!s.initializeDefaultPlugins()) {
+				return Promise.reject(s._sendDataError(src, createjs.SoundError.UNSUPPORTED, ["No plugin could be initialized"]));
+			}
+			var errors = s._validateManifest(value);
+			if (errors.length) {
+				return Promise.reject(s._sendDataError(src, createjs.SoundError.INVALID_DATA, errors));
+			}
+			return s._registerManifest(value, basePath, src || value);
+		});
+	};
+
+	/**
+	 * Register and load an audio sprite from the JSON produced by sprite packing tools, so it does not need to be
+	 * converted into <code>audioSprite</code> data by hand. See {{#crossLink "AudioSprite"}}{{/crossLink}}. Two
+	 * formats are supported:
+	 * <ul><li>The output of <a href="https://github.com/tonistiigi/audiosprite" target="_blank">audiosprite</a>, with a
+	 * <code>resources</code> array of files, and a <code>spritemap</code> of entries with a <code>start</code> and
+	 * <code>end</code> in seconds, and a <code>loop</code> flag.</li>
+	 * <li>The Howler format, with a <code>src</code> (or <code>urls</code>) array of files, and a <code>sprite</code>
+	 * of entries in the format <code>[offset, duration, loop]</code>, in milliseconds.</li></ul>
+	 * JSON that already contains <code>data.audioSprite</code> is also accepted.
+	 *
+	 * The files are alternate formats of the same audio. The first file is used if its extension is supported,
+	 * otherwise the {{#crossLink "Sound/alternateExtensions:property"}}{{/crossLink}} are tried in order, as with
+	 * {{#crossLink "Sound/registerSound"}}{{/crossLink}}. Entries that loop have a default <code>loop</code> play
+	 * property of -1.
+	 *
+	 * If the JSON can not be loaded or is not valid, nothing is registered, and a {{#crossLink "Sound/fileerror:event"}}{{/crossLink}}
+	 * event is dispatched with the src of the JSON, and a list of <code>errors</code> describing each problem.
+	 *
+	 * <h4>Example</h4>
+	 *
+	 *      // sprite.json
+	 *      {
+	 *          "resources": ["sprite.ogg", "sprite.m4a", "sprite.mp3"],
+	 *          "spritemap": {
+	 *              "jump": {"start": 0, "end": 0.4, "loop": false},
+	 *              "engine": {"start": 2, "end": 4.5, "loop": true}
+	 *          }
+	 *      }
+	 *
+	 *      createjs.Sound.alternateExtensions = ["mp3"];
+	 *      createjs.Sound.registerAudioSpriteJSON("assets/sprite.json", "assets/").then(function () {
+	 *          createjs.Sound.play("engine");	// loops by default
+	 *      });
+	 *
+	 * Note this requires Promise support in the browser, or a Promise polyfill.
+	 *
+	 * @method registerAudioSpriteJSON
+	 * @param {String | Object} json The URL of the JSON, or the parsed JSON.
+	 * @param {String} [basePath] Set a path that will be prepended to the src of the file when loading.
+	 * @return {Promise} A Promise that resolves with the registered item once the audio has loaded, or rejects with a
+	 * {{#crossLink "SoundError"}}{{/crossLink}}.
+	 * @static
+	 * @since 1.1.0
+	 */
+	s.registerAudioSpriteJSON = function (json, basePath) {
+		var src = typeof(json) == "string" ? json : null;
+		var load = src ? s._loadJSON(src) : Promise.resolve(json);
+		return load.then(function (value) {
+			if (!s.initializeDefaultPlugins()) {
+				return Promise.reject(s._sendDataError(src, createjs.SoundError.UNSUPPORTED, ["No plugin could be initialized"]));
+			}
+			var errors = [], item = s._parseAudioSpriteJSON(value, errors);
+			if (errors.length) {
+				return Promise.reject(s._sendDataError(src, createjs.SoundError.INVALID_DATA, errors));
+			}
+			if (item.src == null) {
+				return Promise.reject(s._sendDataError(src, createjs.SoundError.UNSUPPORTED, ["None of the files have a supported extension"]));
+			}
+			return s._loadSound(item, basePath);
+		});
+	};
+
+	/**
+	 * Register a sound from data in memory, rather than from a file, so it can be played by id like any loaded sound.
+	 * This accepts an AudioBuffer, such as a procedurally generated sound, an ArrayBuffer of encoded audio, a Blob or
+	 * File, such as a file chosen by the user, or a <code>data:audio/...;base64</code> URI. Encoded audio must use a
+	 * format the browser can play. The {{#crossLink "WebAudioPlugin"}}{{/crossLink}} decodes the data, and the
+	 * {{#crossLink "HTMLAudioPlugin"}}{{/crossLink}} plays it from an object URL, which is revoked when the sound is
+	 * removed. Registering data with an id that is already in use replaces the previous data.
+	 *
+	 * The fileload and fileerror events are dispatched as usual, with the id as the src.
+	 *
+	 * <h4>Example</h4>
+	 *
+	 *      fileInput.onchange = function (event) {
+	 *          createjs.Sound.registerSoundData("upload", event.target.files[0]).then(function () {
+	 *              createjs.Sound.play("upload");
+	 *          });
+	 *      };
+	 *
+	 * @method registerSoundData
+	 * @param {String} id The id used to play the sound.
+	 * @param {AudioBuffer | ArrayBuffer | Blob | String} data The audio data, or a data URI.
+	 * @param {Object} [options] Options for the sound, which are also the data of the fileload event.
+	 * @param {Number} [options.channels] The number of channels for the sound, as in registerSound.
+	 * @param {Object | PlayPropsConfig} [options.defaultPlayProps] Playback properties that will be set as the defaults on
+	 * any new AbstractSoundInstance.
+	 * @param {Array} [options.markers] Markers that fire a marker event when playback crosses them, as in registerSound.
+	 * @return {Promise} A Promise that resolves with the registered item once the sound can be played, or rejects
+	 * with a {{#crossLink "SoundError"}}{{/crossLink}}.
+	 * @static
+	 * @since 1.1.0
+	 */
+	s.registerSoundData = function (id, data, options) {
+		if (!s.initializeDefaultPlugins() || !s.activePlugin.registerData) {
+			return Promise.reject(new createjs.SoundError(createjs.SoundError.UNSUPPORTED, "Registering sound data is not supported"));
+		}
+		if (!s._isSoundData(data)) {
+			return Promise.reject(new createjs.SoundError(createjs.SoundError.UNSUPPORTED, "Sound data is not recognized: " + id));
+		}
+
+		var src = "sounddata:" + id,
+			item = {src: src, id: id, data: options || {}};
+		if (s._dataSources[src]) { s.removeSound(src); }
+
+		s._dataSources[src] = true;
+		s._idHash[id] = {src: src};
+		s._preloadHash[src] = [item];
+		SoundChannel.create(src, item.data.channels);
+		if (item.data.defaultPlayProps) {
+			s._defaultPlayPropsHash[src] = createjs.PlayPropsConfig.create(item.data.defaultPlayProps);
+		}
+		if (item.data.markers) { s._markersHash[src] = item.data.markers; }
+
+		return s.activePlugin.registerData(src, data).then(function () {
+			// the sound may have been removed or replaced while the data was read
+			if (s._preloadHash[src] && s._preloadHash[src][0] === item) { s._sendLoadEvents(src, true); }
+			return item;
+		}, function () {
+			if (s._preloadHash[src] && s._preloadHash[src][0] === item) { s._sendLoadEvents(src, false); }
+			throw new createjs.SoundError(createjs.SoundError.LOAD_FAILED, "Could not load sound data: " + id, item);
+		});
+	};
+
 	/**
 	 * Remove a sound that has been registered with {{#crossLink "Sound/registerSound"}}{{/crossLink}} or
 	 * {{#crossLink "Sound/registerSounds"}}{{/crossLink}}.
@@ -1083,6 +1634,10 @@ this.createjs = this.createjs || {};
 		if (s.activePlugin == null) {return false;}
 
 		if (src instanceof Object && src.src) {src = src.src;}
+		if (s._containerHash[src]) {	// the variations are removed separately
+			delete(s._containerHash[src]);
+			return true;
+		}
 
 		var details;
 		if (src instanceof Object) {
@@ -1098,6 +1653,7 @@ this.createjs = this.createjs || {};
 		for(var prop in s._idHash){
 			if(s._idHash[prop].src == src) {
 				delete(s._idHash[prop]);
+				delete(s._markersHash[prop]);
 			}
 		}
 
@@ -1105,6 +1661,8 @@ this.createjs = this.createjs || {};
 		SoundChannel.removeSrc(src);
 
 		delete(s._preloadHash[src]);
+		delete(s._dataSources[src]);
+		delete(s._markersHash[src]);
 
 		s.activePlugin.removeSound(src);
 
@@ -1169,6 +1727,10 @@ this.createjs = this.createjs || {};
 	s.removeAllSounds = function() {
 		s._idHash = {};
 		s._preloadHash = {};
+		s._dataSources = {};
+		s._markersHash = {};
+		s._containerHash = {};
+		s._manifests = [];
 		SoundChannel.removeAll();
 		if (s.activePlugin) {s.activePlugin.removeAllSounds();}
 	};
@@ -1214,6 +1776,7 @@ this.createjs = this.createjs || {};
 	 */
 	s._parsePath = function (value) {
 		if (typeof(value) != "string") {value = value.toString();}
+		if (s._dataSources[value]) { return {name:value, src:value, extension:null}; }
 
 		var match = value.match(s.FILE_PATTERN);
 		if (match == null) {return false;}
@@ -1232,6 +1795,22 @@ this.createjs = this.createjs || {};
 		return ret;
 	};
 
+	/**
+	 * Determine if a value can be registered with {{#crossLink "Sound/registerSoundData"}}{{/crossLink}}.
+	 * @method _isSoundData
+	 * @param {*} value The value to check.
+	 * @return {Boolean} If the value is an AudioBuffer, ArrayBuffer, Blob, or audio data URI.
+	 * @private
+	 * @static
+	 */
+	s._isSoundData = function (value) {
+		if (value == null) { return false; }
+		if (typeof(value) == "string") { return value.indexOf("data:audio/") == 0; }
+		return (value.getChannelData != null ||	// AudioBuffer
+			(typeof(ArrayBuffer) != "undefined" && value instanceof ArrayBuffer) ||
+			(typeof(Blob) != "undefined" && value instanceof Blob));
+	};
+
 	/**
 	 * Parse the path of a sound based on properties of src matching with supported extensions.
 	 * Returns false if none of the properties are supported
@@ -1289,6 +1868,9 @@ this.createjs = this.createjs || {};
 	 * NOTE: To create an audio sprite that has not already been registered, both startTime and duration need to be set.
 	 * This is only when creating a new audio sprite, not when playing using the id of an already registered audio sprite.
 	 *
+	 * Playing the id of a {{#crossLink "SoundContainer"}}{{/crossLink}} plays one of its variations, and multiplies
+	 * the volume and playback rate by its random ranges.
+	 *
 	 * @method play
 	 * @param {String} src The src or ID of the audio.
 	 * @param {Object | PlayPropsConfig} props A PlayPropsConfig instance, or an object that contains the parameters to
@@ -1300,11 +1882,41 @@ this.createjs = this.createjs || {};
 	s.play = function (src, props) {
 		var playProps = createjs.PlayPropsConfig.create(props);
 		var instance = s.createInstance(src, playProps.startTime, playProps.duration);
+		var container = s._containerHash[src];
+		if (container) { container._applyVariation(playProps, instance); }
 		var ok = s._playInstance(instance, playProps);
 		if (!ok) {instance._playFailed();}
 		return instance;
 	};
 
+	/**
+	 * Play several sounds locked together as the stems of a piece of music, such as drums, bass and strings, so they
+	 * can be layered in and out by changing the volume of each stem. All of the stems are started at the same time
+	 * on the audio clock, using the {{#crossLink "PlayPropsConfig/when:property"}}{{/crossLink}} play property, so
+	 * they start on the same sample with the {{#crossLink "WebAudioPlugin"}}{{/crossLink}}. See {{#crossLink "StemGroup"}}{{/crossLink}}.
+	 *
+	 * <h4>Example</h4>
+	 *
+	 *      var music = createjs.Sound.playStems(["drums", "bass", "strings"], {loop:-1, volume:0.8});
+	 *      music.setStemVolume("drums", 0, 500);
+	 *
+	 * @method playStems
+	 * @param {Array} ids The src or ID of each stem, which should all have the same duration.
+	 * @param {Object | PlayPropsConfig} [props] The play properties used for every stem.
+	 * @return {StemGroup} The group of stems, which is used to change their volume, and to pause, seek and stop them
+	 * together.
+	 * @static
+	 * @since 1.1.0
+	 */
+	s.playStems = function (ids, props) {
+		var playProps = createjs.PlayPropsConfig.create(props);
+		if (playProps.when == null) {
+			playProps.when = s.getAudioTime() + (playProps.delay || 0) * 0.001;
+			playProps.delay = null;
+		}
+		return new createjs.StemGroup(ids, playProps);
+	};
+
 	/**
 	 * Creates a {{#crossLink "AbstractSoundInstance"}}{{/crossLink}} using the passed in src. If the src does not have a
 	 * supported extension or if there is no available plugin, a default AbstractSoundInstance will be returned that can be
@@ -1324,6 +1936,9 @@ this.createjs = this.createjs || {};
 	 * NOTE to create an audio sprite that has not already been registered, both startTime and duration need to be set.
 	 * This is only when creating a new audio sprite, not when playing using the id of an already registered audio sprite.
 	 *
+	 * The id of a {{#crossLink "SoundContainer"}}{{/crossLink}} creates an instance of its next variation, without
+	 * the random volume and pitch, which are applied by {{#crossLink "Sound/play"}}{{/crossLink}}.
+	 *
 	 * @method createInstance
 	 * @param {String} src The src or ID of the audio.
 	 * @param {Number} [startTime=null] To create an audio sprite (with duration), the initial offset to start playback and loop from, in milliseconds.
@@ -1336,7 +1951,16 @@ this.createjs = this.createjs || {};
 	s.createInstance = function (src, startTime, duration) {
 		if (!s.initializeDefaultPlugins()) { return new createjs.DefaultSoundInstance(src, startTime, duration); }
 
+		var container = s._containerHash[src];
+		if (container) {
+			var variation = container.sources.length ? s.createInstance(container.pick(), startTime, duration) : new createjs.DefaultSoundInstance(src, startTime, duration);
+			variation.id = src;
+			return variation;
+		}
+
 		var defaultPlayProps = s._defaultPlayPropsHash[src];	// for audio sprites, which create and store defaults by id
+		var markers = s._markersHash[src];
+		var id = src;
 		src = s._getSrcById(src);
 
 		var details = s._parsePath(src.src);
@@ -1346,6 +1970,10 @@ this.createjs = this.createjs || {};
 			SoundChannel.create(details.src);
 			if (startTime == null) { startTime = src.startTime; }
 			instance = s.activePlugin.create(details.src, startTime, duration || src.duration);
+			if (src.loopStart != null) { instance.loopStart = src.loopStart; }
+			if (src.loopEnd != null) { instance.loopEnd = src.loopEnd; }
+			markers = markers || (src.startTime == null ? s._markersHash[details.src] : null);	// audio sprites do not use the markers of their source
+			if (markers) { instance.markers = markers; }
 
 			defaultPlayProps = defaultPlayProps || s._defaultPlayPropsHash[details.src];
 			if (defaultPlayProps) {
@@ -1356,6 +1984,42 @@ this.createjs = this.createjs || {};
 		}
 
 		instance.uniqueId = s._lastID++;
+		instance.id = id;
+
+		return instance;
+	};
+
+	/**
+	 * Creates a sound instance that plays a live MediaStream, such as a microphone, WebRTC peer audio, or a canvas
+	 * capture. Like other instances, it is played using {{#crossLink "AbstractSoundInstance/play"}}{{/crossLink}}, and
+	 * uses the master volume and mute, buses and effects. See {{#crossLink "MediaStreamSoundInstance"}}{{/crossLink}}.
+	 *
+	 * This is only supported by plugins with the <code>mediaStream</code> {{#crossLink "Sound/capabilities:property"}}{{/crossLink}}.
+	 * Otherwise, a default instance is returned, which fails to play.
+	 *
+	 * <h4>Example</h4>
+	 *
+	 *      var peer = createjs.Sound.createStreamInstance(remoteStream);
+	 *      peer.play({bus:"voice"});
+	 *
+	 * @method createStreamInstance
+	 * @param {MediaStream} stream The stream to play.
+	 * @return {AbstractSoundInstance} A {{#crossLink "MediaStreamSoundInstance"}}{{/crossLink}} for the stream.
+	 * @static
+	 * @since 1.1.0
+	 */
+	s.createStreamInstance = function (stream) {
+		var src = "mediastream:" + (stream.id || s._lastID),
+			instance;
+		SoundChannel.create(src);
+		if (!s.initializeDefaultPlugins() || !s.activePlugin.createStreamInstance || !s.capabilities.mediaStream) {
+			instance = new createjs.DefaultSoundInstance(src, 0, 0);
+		} else {
+			instance = s.activePlugin.createStreamInstance(src, stream);
+		}
+
+		instance.uniqueId = s._lastID++;
+		instance.id = src;
 
 		return instance;
 	};
@@ -1406,14 +2070,302 @@ this.createjs = this.createjs || {};
 		return s._defaultPlayPropsHash[s._parsePath(src.src).src];
 	};
 
+	/**
+	 * Get the current time of the audio clock, which is used to schedule playback with the
+	 * {{#crossLink "PlayPropsConfig/when:property"}}{{/crossLink}} play property. For the
+	 * {{#crossLink "WebAudioPlugin"}}{{/crossLink}} this is the <code>currentTime</code> of the audio context.
+	 * Other plugins use the system clock, and start scheduled sounds with a timer, which is indicated by the
+	 * <code>preciseScheduling</code> {{#crossLink "Sound/capabilities:property"}}{{/crossLink}}.
+	 *
+	 * <h4>Example</h4>
+	 *
+	 *      var start = createjs.Sound.getAudioTime() + 0.1;
+	 *      createjs.Sound.play("kick", {when: start});
+	 *      createjs.Sound.play("hat", {when: start + 0.25});
+	 *
+	 * @method getAudioTime
+	 * @return {Number} The current time, in seconds.
+	 * @static
+	 * @since 1.1.0
+	 */
+	s.getAudioTime = function () {
+		if (s.activePlugin == null) { return Date.now() * 0.001; }
+		return s.activePlugin.getAudioTime();
+	};
 
-	/* ---------------
-	 Internal methods
-	 --------------- */
 	/**
-	 * Play an instance. This is called by the static API, as well as from plugins. This allows the core class to
-	 * control delays.
-	 * @method _playInstance
+	 * Create a {{#crossLink "SoundBus"}}{{/crossLink}} that instances can be assigned to by name, using the
+	 * {{#crossLink "PlayPropsConfig/bus:property"}}{{/crossLink}} play property. Buses can be nested by passing the
+	 * name of a parent bus. If a bus with the same name already exists, it is returned instead, and moved to the new
+	 * parent if one is passed.
+	 *
+	 * <h4>Example</h4>
+	 *
+	 *      createjs.Sound.createBus("sfx");
+	 *      createjs.Sound.createBus("footsteps", "sfx");
+	 *      createjs.Sound.play("step", {bus:"footsteps"});
+	 *
+	 * @method createBus
+	 * @param {String} name The name of the bus.
+	 * @param {String} [parent] The name of an existing bus to nest this bus in.
+	 * @return {SoundBus} The bus with the given name, or null if the parent does not exist, or would create a cycle.
+	 * @static
+	 * @since 1.1.0
+	 */
+	s.createBus = function (name, parent) {
+		var parentBus = null;
+		if (parent != null) {
+			parentBus = s._busHash[parent];
+			if (parentBus == null) { return null; }
+		}
+
+		var bus = s._busHash[name];
+		if (bus == null) {
+			bus = s._busHash[name] = new createjs.SoundBus(name, parentBus);
+			s._updateBusVolume(bus);
+			// instances can be assigned to a bus before it exists
+			var instances = s._instances;
+			for (var i = 0, l = instances.length; i < l; i++) {
+				if (instances[i].bus == name) { instances[i]._updateBus(); }
+			}
+			s._updateBusPaused(bus);
+		} else if (parent != null && bus.parent != parentBus) {
+			if (parentBus.isWithin(bus)) { return null; }
+			bus.parent = parentBus;
+			s._updateBusVolume(bus);
+			s._updateBusPaused(bus);
+		}
+		return bus;
+	};
+
+	/**
+	 * Get a {{#crossLink "SoundBus"}}{{/crossLink}} that was created with {{#crossLink "Sound/createBus"}}{{/crossLink}}.
+	 *
+	 * <h4>Example</h4>
+	 *
+	 *      createjs.Sound.getBus("music").muted = true;
+	 *
+	 * @method getBus
+	 * @param {String} name The name of the bus.
+	 * @return {SoundBus} The bus, or null if no bus exists with that name.
+	 * @static
+	 * @since 1.1.0
+	 */
+	s.getBus = function (name) {
+		if (name == null) { return null; }
+		return s._busHash[name] || null;
+	};
+
+	/**
+	 * Remove a {{#crossLink "SoundBus"}}{{/crossLink}}. Child buses are moved to the parent of the removed bus, and
+	 * instances assigned to it are moved to the master output.
+	 *
+	 * @method removeBus
+	 * @param {String} name The name of the bus.
+	 * @return {Boolean} If the bus was found and removed.
+	 * @static
+	 * @since 1.1.0
+	 */
+	s.removeBus = function (name) {
+		var bus = s._busHash[name];
+		if (bus == null) { return false; }
+		delete(s._busHash[name]);
+
+		for (var n in s._busHash) {
+			var child = s._busHash[n];
+			if (child.parent == bus) {
+				child.parent = bus.parent;
+				s._updateBusVolume(child);
+				s._updateBusPaused(child);
+			}
+		}
+
+		if (s.activePlugin && s.activePlugin.removeBus) { s.activePlugin.removeBus(bus); }
+
+		var instances = s._instances;
+		for (var i = instances.length; i--; ) {
+			if (instances[i].bus == name) {
+				instances[i].bus = null;
+				if (instances[i]._busPaused) {
+					instances[i]._busPaused = false;
+					instances[i].paused = false;
+				}
+			}
+		}
+		return true;
+	};
+
+	/**
+	 * Create a {{#crossLink "SoundAnalyser"}}{{/crossLink}}, which provides real-time spectrum, waveform and level
+	 * data for the master output, a {{#crossLink "SoundBus"}}{{/crossLink}}, or a single sound. The analyser for a
+	 * sound is disposed when it finishes, and the analyser for a bus is disposed when the bus is removed.
+	 *
+	 * <h4>Example</h4>
+	 *
+	 *      var instance = createjs.Sound.play("music");
+	 *      var analyser = createjs.Sound.createAnalyser({instance:instance, fftSize:256, smoothing:0.5});
+	 *      var level = analyser.getRMS();
+	 *
+	 * @method createAnalyser
+	 * @param {Object} [options] The analyser options. If neither a bus nor an instance is set, the master output is analysed.
+	 * @param {String | SoundBus} [options.bus] The bus to analyse.
+	 * @param {AbstractSoundInstance} [options.instance] The sound to analyse.
+	 * @param {Number} [options.fftSize=2048] The size of the FFT, which must be a power of two between 32 and 32768.
+	 * @param {Number} [options.smoothing=0.8] How much the frequency data is averaged over time, between 0 and 1.
+	 * @return {SoundAnalyser} The analyser, or null if the active plugin does not support analysis, or the bus or
+	 * instance can not be analysed.
+	 * @static
+	 * @since 1.1.0
+	 */
+	s.createAnalyser = function (options) {
+		if (!s.initializeDefaultPlugins() || !s.activePlugin.createAnalyser) { return null; }
+		return s.activePlugin.createAnalyser(options || {});
+	};
+
+	/**
+	 * Render a timeline of sounds to an AudioBuffer faster than real time, for example to export a replay or a
+	 * generated jingle. Each entry in the timeline is played using the same loaded audio as
+	 * {{#crossLink "Sound/play"}}{{/crossLink}}, with its volume, pan, loop, offset, playbackRate, loop region, and audio
+	 * sprite startTime and duration. As with play, a duration is only used along with a startTime, to play part of the
+	 * sound as an audio sprite. The master volume, buses and effects are not applied. The result can be saved as a WAV
+	 * file using {{#crossLink "WAVEncoder"}}{{/crossLink}}.
+	 *
+	 * This is only supported by plugins with the <code>offline</code> {{#crossLink "Sound/capabilities:property"}}{{/crossLink}},
+	 * and all of the sounds must already be loaded.
+	 *
+	 * <h4>Example</h4>
+	 *
+	 *      createjs.Sound.renderOffline([
+	 *          {id:"music", when:0, playProps:{volume:0.5, loop:2}},
+	 *          {id:"jump", when:1.5, playProps:{pan:-1}}
+	 *      ], {sampleRate:44100, channels:2}).then(function(buffer) {
+	 *          var wav = createjs.WAVEncoder.encodeBlob(buffer);
+	 *      });
+	 *
+	 * @method renderOffline
+	 * @param {Array} timeline An array of objects with the <code>id</code> or source of the sound, the time to start
+	 * it at in seconds (<code>when</code>), and optional <code>playProps</code> as a {{#crossLink "PlayPropsConfig"}}{{/crossLink}}
+	 * or Object.
+	 * @param {Object} [options] The render options.
+	 * @param {Number} [options.sampleRate] The sample rate to render at. The default is the sample rate of the plugin.
+	 * @param {Number} [options.channels=2] The number of channels to render.
+	 * @param {Number} [options.duration] The length of the render, in milliseconds. The default is the time the last
+	 * sound ends, and this is required if any sound loops forever.
+	 * @return {Promise} A Promise that resolves with the rendered AudioBuffer, or rejects with a {{#crossLink "SoundError"}}{{/crossLink}}
+	 * if rendering is not supported, a sound is not loaded, or a sound loops forever without a duration.
+	 * @static
+	 * @since 1.1.0
+	 */
+	s.renderOffline = function (timeline, options) {
+		if (!s.initializeDefaultPlugins() || !s.activePlugin.renderOffline || !s.capabilities.offline) {
+			return Promise.reject(new createjs.SoundError(createjs.SoundError.UNSUPPORTED, "Offline rendering is not supported"));
+		}
+
+		var items = [];
+		for (var i = 0, l = timeline.length; i < l; i++) {
+			var entry = timeline[i],
+				src = s._getSrcById(entry.id),
+				details = s._parsePath(src.src);
+			if (details == null || !s.activePlugin.isPreloadComplete(details.src)) {
+				return Promise.reject(new createjs.SoundError(createjs.SoundError.LOAD_FAILED, "Sound is not loaded: " + entry.id, entry));
+			}
+
+			var playProps = createjs.PlayPropsConfig.create(entry.playProps),
+				defaults = s._defaultPlayPropsHash[entry.id] || s._defaultPlayPropsHash[details.src];
+			if (defaults) {
+				for (var n in defaults) {
+					if (playProps[n] == null) { playProps[n] = defaults[n]; }
+				}
+			}
+			if (playProps.startTime == null) {	// as with play, a duration without a startTime is ignored
+				playProps.startTime = src.startTime;
+				playProps.duration = src.duration;
+			} else if (playProps.duration == null) {
+				playProps.duration = src.duration;
+			}
+			if (playProps.loopStart == null) { playProps.loopStart = src.loopStart; }
+			if (playProps.loopEnd == null) { playProps.loopEnd = src.loopEnd; }
+
+			if (playProps.loop < 0 && (options == null || options.duration == null)) {
+				var message = "A duration is required to render a sound that loops forever: " + entry.id;
+				return Promise.reject(new createjs.SoundError(createjs.SoundError.INVALID_DATA, message, {src: null, errors: [message]}));
+			}
+			items.push({src: details.src, when: entry.when || 0, playProps: playProps});
+		}
+		return s.activePlugin.renderOffline(items, options || {});
+	};
+
+	/**
+	 * Start recording the master output, after the {{#crossLink "Sound/masterEffects:property"}}{{/crossLink}} and
+	 * master volume. Recording stops when {{#crossLink "Sound/stopRecording"}}{{/crossLink}} is called, or once it
+	 * reaches the maxDuration. If a recording is already in progress, it is returned instead of starting a new one.
+	 *
+	 * This is only supported by plugins with the <code>recording</code> {{#crossLink "Sound/capabilities:property"}}{{/crossLink}}.
+	 *
+	 * <h4>Example</h4>
+	 *
+	 *      createjs.Sound.startRecording({maxDuration:60000});
+	 *      // later
+	 *      var wav = createjs.Sound.stopRecording();
+	 *
+	 * @method startRecording
+	 * @param {Object} [options] The recording options.
+	 * @param {Number} [options.maxDuration=300000] The longest time to record for, in milliseconds.
+	 * @param {Number} [options.channels=2] The number of channels to record.
+	 * @param {Number} [options.bitDepth=16] The bit depth of the WAV file, which can be 16, 24 or 32.
+	 * @return {SoundRecorder} The recorder, which dispatches a <code>complete</code> event with the WAV file when
+	 * recording stops, or null if the active plugin does not support recording.
+	 * @static
+	 * @since 1.1.0
+	 */
+	s.startRecording = function (options) {
+		if (s._recorder && s._recorder.recording) { return s._recorder; }
+		if (!s.initializeDefaultPlugins() || !s.activePlugin.createRecorder || !s.capabilities.recording) { return null; }
+		return s._recorder = s.activePlugin.createRecorder(options || {});
+	};
+
+	/**
+	 * Pause the current recording. The audio played while paused is not included in the recording.
+	 * @method pauseRecording
+	 * @static
+	 * @since 1.1.0
+	 */
+	s.pauseRecording = function () {
+		if (s._recorder) { s._recorder.pause(); }
+	};
+
+	/**
+	 * Resume the current recording after it has been paused.
+	 * @method resumeRecording
+	 * @static
+	 * @since 1.1.0
+	 */
+	s.resumeRecording = function () {
+		if (s._recorder) { s._recorder.resume(); }
+	};
+
+	/**
+	 * Stop the current recording. If the recording already stopped at its
+	 * {{#crossLink "SoundRecorder/maxDuration:property"}}{{/crossLink}}, that recording is returned.
+	 * @method stopRecording
+	 * @return {Blob} The recording, as a WAV file, or null if nothing has been recorded.
+	 * @static
+	 * @since 1.1.0
+	 */
+	s.stopRecording = function () {
+		var recorder = s._recorder;
+		s._recorder = null;
+		return recorder ? recorder.stop() || recorder.blob : null;
+	};
+
+
+	/* ---------------
+	 Internal methods
+	 --------------- */
+	/**
+	 * Play an instance. This is called by the static API, as well as from plugins. This allows the core class to
+	 * control delays.
+	 * @method _playInstance
 	 * @param {AbstractSoundInstance} instance The {{#crossLink "AbstractSoundInstance"}}{{/crossLink}} to start playing.
 	 * @param {PlayPropsConfig} playProps A PlayPropsConfig object.
 	 * @return {Boolean} If the sound can start playing. Sounds that fail immediately will return false. Sounds that
@@ -1422,6 +2374,7 @@ this.createjs = this.createjs || {};
 	 * @static
 	 */
 	s._playInstance = function (instance, playProps) {
+		instance._resetFinished();
 		var defaultPlayProps = s._defaultPlayPropsHash[instance.src] || {};
 		if (playProps.interrupt == null) {playProps.interrupt = defaultPlayProps.interrupt || s.defaultInterruptBehavior};
 		if (playProps.delay == null) {playProps.delay = defaultPlayProps.delay || 0;}
@@ -1429,6 +2382,30 @@ this.createjs = this.createjs || {};
 		if (playProps.loop == null) {playProps.loop = instance.loop;}
 		if (playProps.volume == null) {playProps.volume = instance.volume;}
 		if (playProps.pan == null) {playProps.pan = instance.pan;}
+		if (playProps.playbackRate == null) {playProps.playbackRate = instance.playbackRate;}
+		if (playProps.bus == null) {playProps.bus = instance.bus;}
+		if (playProps.priority == null) {playProps.priority = instance.priority;}
+		if (playProps.tag == null) {playProps.tag = instance.tag;}
+		if (playProps.fadeIn == null) {playProps.fadeIn = defaultPlayProps.fadeIn || 0;}
+		if (playProps.fadeOut == null) {playProps.fadeOut = defaultPlayProps.fadeOut || 0;}
+		if (playProps.quantize == null) {playProps.quantize = defaultPlayProps.quantize;}
+
+		// quantize moves the start to the next point on the clock's grid, which is scheduled using when
+		if (playProps.quantize != null && s.clock.running) {
+			var time = playProps.when != null ? playProps.when : s.getAudioTime() + playProps.delay * 0.001;
+			playProps.when = s.clock.getNextTime(playProps.quantize, time);
+		}
+
+		// when replaces delay. Plugins that can not schedule on the audio clock use a timer instead.
+		if (playProps.when != null) {
+			var capabilities = s._getCapabilities();
+			if (capabilities && capabilities.preciseScheduling) {
+				playProps.delay = 0;
+			} else {
+				playProps.delay = Math.max(0, (playProps.when - s.getAudioTime()) * 1000);
+				playProps.when = null;
+			}
+		}
 
 		if (playProps.delay == 0) {
 			var ok = s._beginPlaying(instance, playProps);
@@ -1458,8 +2435,16 @@ this.createjs = this.createjs || {};
 	 * @static
 	 */
 	s._beginPlaying = function (instance, playProps) {
-		if (!SoundChannel.add(instance, playProps.interrupt)) {
-			return false;
+		instance.priority = playProps.priority;
+		instance.tag = playProps.tag;
+		// check the channel and the voices before interrupting anything, counting the voice the channel frees
+		var replaced = SoundChannel.getReplacement(instance, playProps.interrupt);
+		if (replaced === false) {return false;}
+		var stolen = s._getVoice(instance, playProps.interrupt, replaced);
+		if (stolen == null) {return false;}
+		SoundChannel.add(instance, playProps.interrupt);
+		for (var i = 0, l = stolen.length; i < l; i++) {
+			stolen[i]._interrupt();	// removes it from this._instances and its SoundChannel
 		}
 		var result = instance._beginPlaying(playProps);
 		if (!result) {
@@ -1467,9 +2452,817 @@ this.createjs = this.createjs || {};
 			if (index > -1) {this._instances.splice(index, 1);}
 			return false;
 		}
+
+		var bus = s.getBus(instance.bus);
+		if (bus && bus.isPaused()) {
+			instance.paused = true;
+			instance._busPaused = true;
+		}
+		s._updateDucking(instance);
+		return true;
+	};
+
+	/**
+	 * Apply a change in the volume or mute of a {{#crossLink "SoundBus"}}{{/crossLink}}. If the active plugin does
+	 * not handle bus volume itself, each instance on the bus (or any of its child buses) updates its volume.
+	 * @method _updateBusVolume
+	 * @param {SoundBus} bus The bus that changed.
+	 * @private
+	 * @static
+	 * @since 1.1.0
+	 */
+	s._updateBusVolume = function (bus) {
+		if (!this.activePlugin || !this.activePlugin.updateBus || !this.activePlugin.updateBus(bus)) {
+			var instances = this._instances;
+			for (var i = 0, l = instances.length; i < l; i++) {
+				var b = s.getBus(instances[i].bus);
+				if (b && b.isWithin(bus)) {
+					instances[i]._updateVolume();
+				}
+			}
+		}
+	};
+
+	/**
+	 * Apply a change in the paused state of a {{#crossLink "SoundBus"}}{{/crossLink}} to all instances on the bus
+	 * (or any of its child buses). Only instances paused by a bus are resumed by it.
+	 * @method _updateBusPaused
+	 * @param {SoundBus} bus The bus that changed.
+	 * @private
+	 * @static
+	 * @since 1.1.0
+	 */
+	s._updateBusPaused = function (bus) {
+		var instances = this._instances;
+		for (var i = 0, l = instances.length; i < l; i++) {
+			var instance = instances[i];
+			var b = s.getBus(instance.bus);
+			if (!b || !b.isWithin(bus)) { continue; }
+
+			if (b.isPaused()) {
+				if (instance.playState == s.PLAY_SUCCEEDED && !instance.paused) {
+					instance.paused = true;
+					instance._busPaused = true;
+				}
+			} else if (instance._busPaused) {
+				instance._busPaused = false;
+				instance.paused = false;
+			}
+		}
+	};
+
+	/**
+	 * Used by {{#crossLink "Sound/load"}}{{/crossLink}} to register a single sound, and wrap its loading in a Promise.
+	 * @method _loadSound
+	 * @param {String | Object} sound The src of the sound, or an object in the format needed for registerSound.
+	 * @param {String} [basePath] A path that will be prepended to the src.
+	 * @return {Promise} A Promise that resolves with the registered item, or rejects with a SoundError.
+	 * @private
+	 * @static
+	 */
+	s._loadSound = function (sound, basePath) {
+		var item = (sound instanceof Object && sound.src) ? sound : {src: sound};
+		item = {src: item.src, id: item.id, data: item.data, defaultPlayProps: item.defaultPlayProps};
+
+		return new Promise(function (resolve, reject) {
+			var result = s.registerSound(item, basePath);
+			if (result === false) {
+				reject(new createjs.SoundError(createjs.SoundError.UNSUPPORTED, "Could not register sound: " + item.src, item));
+				return;
+			}
+			if (result === true) { resolve(item); return; }
+
+			// a source that already failed will not dispatch again
+			if (s._preloadHash[item.src][0] === false) {
+				reject(new createjs.SoundError(createjs.SoundError.LOAD_FAILED, "Could not load sound: " + item.src, item));
+				return;
+			}
+
+			var loadListener = s.on("fileload", function (event) {
+				if (event.src != item.src) { return; }
+				s.off("fileload", loadListener);
+				s.off("fileerror", errorListener);
+				resolve(item);
+			});
+			var errorListener = s.on("fileerror", function (event) {
+				if (event.src != item.src) { return; }
+				s.off("fileload", loadListener);
+				s.off("fileerror", errorListener);
+				reject(new createjs.SoundError(createjs.SoundError.LOAD_FAILED, "Could not load sound: " + item.src, item));
+			});
+		});
+	};
+
+	/**
+	 * Load and parse a JSON file.
+	 * @method _loadJSON
+	 * @param {String} src The URL of the file.
+	 * @return {Promise} A Promise that resolves with the parsed value, or rejects with a {{#crossLink "SoundError"}}{{/crossLink}}
+	 * once a fileerror event has been dispatched.
+	 * @private
+	 * @static
+	 * @since 1.1.0
+	 */
+	s._loadJSON = function (src) {
+		return new Promise(function (resolve, reject) {
+			var loader = new createjs.AbstractLoader(createjs.LoadItem.create({src: src, type: createjs.Types.JSON}), true, createjs.Types.JSON);
+			loader.on("complete", function (event) {
+				var value = event.rawResult;
+				try {
+					if (typeof(value) == "string") { value = JSON.parse(value); }
+				} catch (error) {
+					reject(s._sendDataError(src, createjs.SoundError.INVALID_DATA, ["The file is not valid JSON: " + error.message]));
+					return;
+				}
+				resolve(value);
+			});
+			loader.on("error", function (event) {
+				reject(s._sendDataError(src, createjs.SoundError.LOAD_FAILED, ["The file could not be loaded"]));
+			});
+			loader.load();
+		});
+	};
+
+	/**
+	 * Dispatch a fileerror event for data describing sounds that could not be loaded or is not valid.
+	 * @method _sendDataError
+	 * @param {String} src The URL of the data, or null if it was passed in directly.
+	 * @param {String} type The type of error, one of the constants on {{#crossLink "SoundError"}}{{/crossLink}}.
+	 * @param {Array} errors A description of each problem.
+	 * @return {SoundError} The error to reject with.
+	 * @private
+	 * @static
+	 * @since 1.1.0
+	 */
+	s._sendDataError = function (src, type, errors) {
+		if (s.hasEventListener("fileerror")) {
+			var event = new createjs.Event("fileerror");
+			event.src = src;
+			event.errors = errors;
+			s.dispatchEvent(event);
+		}
+		return new createjs.SoundError(type, "Could not register " + (src || "sounds") + ": " + errors.join("; "), {src: src, errors: errors});
+	};
+
+	/**
+	 * Check a manifest passed to {{#crossLink "Sound/registerManifest"}}{{/crossLink}}.
+	 * @method _validateManifest
+	 * @param {Object | Array} manifest The manifest.
+	 * @return {Array} A description of each problem, which is empty if the manifest is valid.
+	 * @private
+	 * @static
+	 * @since 1.1.0
+	 */
+	s._validateManifest = function (manifest) {
+		var errors = [], sounds = manifest;
+		if (manifest == null || typeof(manifest) != "object") { return ["The manifest must be an array or an object"]; }
+
+		if (!(manifest instanceof Array)) {
+			if (manifest.path != null && typeof(manifest.path) != "string") { errors.push("path must be a string"); }
+			var extensions = manifest.alternateExtensions;
+			if (extensions != null && !(extensions instanceof Array)) {
+				errors.push("alternateExtensions must be an array");
+			} else if (extensions != null) {
+				for (var i = 0; i < extensions.length; i++) {
+					if (createjs.indexOf(s.SUPPORTED_EXTENSIONS, extensions[i]) == -1) {
+						errors.push("alternateExtensions: \"" + extensions[i] + "\" is not a supported extension");
+					}
+				}
+			}
+			sounds = manifest.manifest;
+			if (!(sounds instanceof Array)) {
+				errors.push("manifest must be an array of sounds");
+				return errors;
+			}
+		}
+
+		for (i = 0; i < sounds.length; i++) {
+			s._validateManifestItem(sounds[i], "manifest[" + i + "]", errors);
+		}
+		return errors;
+	};
+
+	/**
+	 * Check one sound in a manifest.
+	 * @method _validateManifestItem
+	 * @param {Object} item The sound.
+	 * @param {String} name The name of the sound in error messages.
+	 * @param {Array} errors The list to add problems to.
+	 * @private
+	 * @static
+	 * @since 1.1.0
+	 */
+	s._validateManifestItem = function (item, name, errors) {
+		if (item == null || typeof(item) != "object") {
+			errors.push(name + " must be an object");
+			return;
+		}
+		if (item.id != null) { name += " (\"" + item.id + "\")"; }
+
+		if (item.src == null) {
+			if (item.container == null) {
+				errors.push(name + ": src is required");
+			} else {
+				if (item.id == null) { errors.push(name + ": id is required for a container"); }
+				s._validateContainer(item.container, name + ".container", errors);
+			}
+			return;
+		}
+
+		if (typeof(item.src) == "string") {
+			if (!s._isSupportedPath(item.src)) { errors.push(name + ": src \"" + item.src + "\" does not have a supported extension"); }
+		} else if (typeof(item.src) == "object") {
+			if (item.id == null) { errors.push(name + ": id is required when src is an object of sources by extension"); }
+			for (var n in item.src) {
+				if (createjs.indexOf(s.SUPPORTED_EXTENSIONS, n) == -1 || typeof(item.src[n]) != "string") {
+					errors.push(name + ": src." + n + " must be the source for a supported extension");
+				}
+			}
+		} else {
+			errors.push(name + ": src must be a string, or an object of sources by extension");
+		}
+
+		if (item.defaultPlayProps != null) { s._validatePlayProps(item.defaultPlayProps, name + ".defaultPlayProps", errors); }
+
+		var data = item.data;
+		if (data == null || typeof(data) == "number") { return; }
+		if (typeof(data) != "object") {
+			errors.push(name + ": data must be a number of channels, or an object");
+			return;
+		}
+		if (data.channels != null && !(data.channels > 0)) { errors.push(name + ": data.channels must be a positive number"); }
+
+		if (data.audioSprite != null && !(data.audioSprite instanceof Array)) {
+			errors.push(name + ": data.audioSprite must be an array");
+		} else if (data.audioSprite != null) {
+			for (var i = 0; i < data.audioSprite.length; i++) {
+				s._validateSprite(data.audioSprite[i], name + ".data.audioSprite[" + i + "]", errors);
+			}
+		}
+
+		if (data.containers != null && !(data.containers instanceof Array)) {
+			errors.push(name + ": data.containers must be an array");
+		} else if (data.containers != null) {
+			for (i = 0; i < data.containers.length; i++) {
+				var container = data.containers[i], containerName = name + ".data.containers[" + i + "]";
+				if (container && container.id == null) { errors.push(containerName + ": id is required"); }
+				s._validateContainer(container, containerName, errors);
+			}
+		}
+	};
+
+	/**
+	 * Check one audio sprite in a manifest.
+	 * @method _validateSprite
+	 * @param {Object} sprite The audio sprite.
+	 * @param {String} name The name of the audio sprite in error messages.
+	 * @param {Array} errors The list to add problems to.
+	 * @private
+	 * @static
+	 * @since 1.1.0
+	 */
+	s._validateSprite = function (sprite, name, errors) {
+		if (sprite == null || typeof(sprite) != "object") {
+			errors.push(name + " must be an object");
+			return;
+		}
+		if (sprite.id == null) { errors.push(name + ": id is required"); }
+		if (!(sprite.startTime >= 0)) { errors.push(name + ": startTime must be a time in milliseconds"); }
+		if (!(sprite.duration > 0)) { errors.push(name + ": duration must be a positive time in milliseconds"); }
+		if (sprite.loopStart != null && !(sprite.loopStart >= 0)) { errors.push(name + ": loopStart must be a time in milliseconds"); }
+		if (sprite.loopEnd != null && !(sprite.loopEnd >= 0)) { errors.push(name + ": loopEnd must be a time in milliseconds"); }
+		if (sprite.defaultPlayProps != null) { s._validatePlayProps(sprite.defaultPlayProps, name + ".defaultPlayProps", errors); }
+	};
+
+	/**
+	 * Check a container in a manifest. See {{#crossLink "Sound/registerContainer"}}{{/crossLink}}.
+	 * @method _validateContainer
+	 * @param {Object} container The container.
+	 * @param {String} name The name of the container in error messages.
+	 * @param {Array} errors The list to add problems to.
+	 * @private
+	 * @static
+	 * @since 1.1.0
+	 */
+	s._validateContainer = function (container, name, errors) {
+		if (container == null || typeof(container) != "object") {
+			errors.push(name + " must be an object");
+			return;
+		}
+		if (!(container.sources instanceof Array) || container.sources.length == 0) {
+			errors.push(name + ": sources must be an array of the src or ID of each variation");
+		}
+		var modes = [createjs.SoundContainer.MODE_RANDOM, createjs.SoundContainer.MODE_SHUFFLE, createjs.SoundContainer.MODE_SEQUENTIAL];
+		if (container.mode != null && createjs.indexOf(modes, container.mode) == -1) {
+			errors.push(name + ": mode must be one of \"" + modes.join("\", \"") + "\"");
+		}
+		var ranges = ["volume", "pitch"];
+		for (var i = 0; i < ranges.length; i++) {
+			var range = container[ranges[i]];
+			if (range != null && !(range instanceof Array && range.length == 2 && !isNaN(range[0]) && !isNaN(range[1]))) {
+				errors.push(name + ": " + ranges[i] + " must be a range in the format [min, max]");
+			}
+		}
+	};
+
+	/**
+	 * Check the default play properties in a manifest, which can only contain the properties of {{#crossLink "PlayPropsConfig"}}{{/crossLink}}.
+	 * @method _validatePlayProps
+	 * @param {Object} playProps The play properties.
+	 * @param {String} name The name of the play properties in error messages.
+	 * @param {Array} errors The list to add problems to.
+	 * @private
+	 * @static
+	 * @since 1.1.0
+	 */
+	s._validatePlayProps = function (playProps, name, errors) {
+		if (typeof(playProps) != "object") {
+			errors.push(name + " must be an object");
+			return;
+		}
+		var config = new createjs.PlayPropsConfig();
+		for (var n in playProps) {
+			if (!config.hasOwnProperty(n)) { errors.push(name + ": \"" + n + "\" is not a play property"); }
+		}
+	};
+
+	/**
+	 * Convert the JSON passed to {{#crossLink "Sound/registerAudioSpriteJSON"}}{{/crossLink}} into an item for
+	 * {{#crossLink "Sound/registerSound"}}{{/crossLink}}, with <code>audioSprite</code> data.
+	 * @method _parseAudioSpriteJSON
+	 * @param {Object} value The JSON.
+	 * @param {Array} errors The list to add problems to.
+	 * @return {Object} The item, with a null src if none of the files are supported, or null if there are errors.
+	 * @private
+	 * @static
+	 * @since 1.1.0
+	 */
+	s._parseAudioSpriteJSON = function (value, errors) {
+		if (value == null || typeof(value) != "object") {
+			errors.push("The audio sprite JSON must be an object");
+			return null;
+		}
+
+		var resources = value.resources || value.src || value.urls;
+		if (typeof(resources) == "string") { resources = [resources]; }
+		if (!(resources instanceof Array) || resources.length == 0) {
+			errors.push("resources, src or urls must list the audio files");
+		}
+
+		var sprites = [], entry, name;
+		if (value.data && value.data.audioSprite instanceof Array) {
+			sprites = value.data.audioSprite;
+			for (var i = 0; i < sprites.length; i++) {
+				s._validateSprite(sprites[i], "data.audioSprite[" + i + "]", errors);
+			}
+		} else if (value.spritemap != null) {
+			for (var n in value.spritemap) {
+				entry = value.spritemap[n];
+				name = "spritemap[\"" + n + "\"]";
+				if (entry == null || !(entry.start >= 0) || !(entry.end > entry.start)) {
+					errors.push(name + ": start and end must be times in seconds, with end after start");
+					continue;
+				}
+				sprites.push(s._createSpriteData(n, entry.start * 1000, (entry.end - entry.start) * 1000, entry.loop));
+			}
+		} else if (value.sprite != null) {
+			for (n in value.sprite) {
+				entry = value.sprite[n];
+				name = "sprite[\"" + n + "\"]";
+				if (!(entry instanceof Array) || !(entry[0] >= 0) || !(entry[1] > 0)) {
+					errors.push(name + " must be [offset, duration, loop], with times in milliseconds");
+					continue;
+				}
+				sprites.push(s._createSpriteData(n, entry[0], entry[1], entry[2]));
+			}
+		} else {
+			errors.push("spritemap or sprite must list the audio sprites");
+		}
+		if (errors.length) { return null; }
+
+		return {src: s._pickResource(resources), data: {audioSprite: sprites}};
+	};
+
+	/**
+	 * Create the <code>audioSprite</code> data of one entry of audio sprite JSON.
+	 * @method _createSpriteData
+	 * @param {String} id The id of the audio sprite.
+	 * @param {Number} startTime The start time in milliseconds.
+	 * @param {Number} duration The duration in milliseconds.
+	 * @param {Boolean} loop If the audio sprite loops by default.
+	 * @return {Object} The audio sprite data.
+	 * @private
+	 * @static
+	 * @since 1.1.0
+	 */
+	s._createSpriteData = function (id, startTime, duration, loop) {
+		var sprite = {id: id, startTime: Math.round(startTime), duration: Math.round(duration)};	// times in seconds do not convert exactly
+		if (loop) { sprite.defaultPlayProps = {loop: -1}; }
+		return sprite;
+	};
+
+	/**
+	 * Pick the file to load from a list of alternate formats. The first file is used if its extension is supported,
+	 * then the alternate extensions are tried in order, then any supported file.
+	 * @method _pickResource
+	 * @param {Array} resources The src of each file.
+	 * @param {Array} [alternateExtensions] The extensions to try after the first file. The default is the
+	 * {{#crossLink "Sound/alternateExtensions:property"}}{{/crossLink}}.
+	 * @return {String} The src of the file, or null if none are supported.
+	 * @private
+	 * @static
+	 * @since 1.1.0
+	 */
+	s._pickResource = function (resources, alternateExtensions) {
+		var c = s.capabilities, byExtension = {}, extensions = [];
+		for (var i = 0, l = resources.length; i < l; i++) {
+			var match = String(resources[i]).match(s.FILE_PATTERN);
+			if (match == null || byExtension[match[5]] != null) { continue; }
+			byExtension[match[5]] = resources[i];
+			extensions.push(match[5]);
+		}
+
+		var preferred = extensions.slice(0, 1).concat(alternateExtensions || s.alternateExtensions, extensions);
+		for (i = 0, l = preferred.length; i < l; i++) {
+			if (c[preferred[i]] && byExtension[preferred[i]] != null) { return byExtension[preferred[i]]; }
+		}
+		return null;
+	};
+
+	/**
+	 * Determine if a path ends in one of the {{#crossLink "Sound/SUPPORTED_EXTENSIONS:property"}}{{/crossLink}}. Unlike
+	 * {{#crossLink "Sound/_parsePath"}}{{/crossLink}}, this does not depend on the browser.
+	 * @method _isSupportedPath
+	 * @param {String} value The path.
+	 * @return {Boolean} If the extension is supported.
+	 * @private
+	 * @static
+	 * @since 1.1.0
+	 */
+	s._isSupportedPath = function (value) {
+		var match = value.match(s.FILE_PATTERN);
+		return match != null && createjs.indexOf(s.SUPPORTED_EXTENSIONS, match[5]) != -1;
+	};
+
+	/**
+	 * Register and load the sounds of a manifest that has been checked. The default play properties and channel
+	 * limits of each sound are reset first, and the sounds it no longer lists are removed, so a manifest that is
+	 * registered again replaces them.
+	 * @method _registerManifest
+	 * @param {Object | Array} manifest The manifest.
+	 * @param {String} [basePath] A path to prepend to each src.
+	 * @param {String | Object} key The URL of the manifest, or the manifest that was passed in, to find the sounds
+	 * it registered before.
+	 * @return {Promise} A Promise that resolves with the registered items once the sounds have loaded.
+	 * @private
+	 * @static
+	 * @since 1.1.0
+	 */
+	s._registerManifest = function (manifest, basePath, key) {
+		var sounds = manifest, extensions = [];
+		basePath = basePath || "";
+		if (!(manifest instanceof Array)) {
+			basePath += manifest.path || "";
+			sounds = manifest.manifest;
+			extensions = manifest.alternateExtensions || [];
+		}
+
+		var items = [], srcs = [], names = [];
+		for (var i = 0; i < sounds.length; i++) {
+			var item = sounds[i];
+			if (item.src == null) {
+				names.push(item.id);
+				continue;
+			}
+
+			item = {src: item.src, id: item.id, data: item.data, defaultPlayProps: item.defaultPlayProps};
+			if (typeof(item.src) == "string" && extensions.length) {
+				item.src = s._pickResource(s._getAlternatePaths(item.src, extensions), extensions) || item.src;
+			}
+			items[i] = item;
+
+			var details = item.src instanceof Object ? s._parseSrc(item.src) : s._parsePath(basePath + item.src);
+			if (details) {
+				srcs[i] = (item.src instanceof Object ? basePath : "") + details.src;
+				names.push(srcs[i]);
+			}
+			var containers = (item.data && item.data.containers) || [];
+			for (var j = 0; j < containers.length; j++) {
+				names.push(containers[j].id);
+			}
+		}
+		s._removeDroppedSounds(key, names);
+
+		var promises = [];
+		for (i = 0; i < sounds.length; i++) {
+			item = items[i];
+			if (item == null) {
+				promises[i] = s.registerContainer(sounds[i].id, sounds[i].container.sources, sounds[i].container);
+				continue;
+			}
+
+			if (srcs[i]) {
+				var channel = SoundChannel.get(srcs[i]),
+					data = item.data;
+				delete(s._defaultPlayPropsHash[srcs[i]]);
+				// a sound that is already registered keeps its channel, so apply the new limit to it
+				if (channel) { channel.setMax(parseInt(data != null && data.channels != null ? data.channels : data)); }
+			}
+			var sprites = (item.data && item.data.audioSprite) || [];
+			for (j = 0; j < sprites.length; j++) {
+				delete(s._defaultPlayPropsHash[sprites[j].id]);
+			}
+			promises[i] = s._loadSound(item, basePath);
+		}
+		return Promise.all(promises);
+	};
+
+	/**
+	 * Get a path with its extension replaced by each of a list of extensions.
+	 * @method _getAlternatePaths
+	 * @param {String} path The path.
+	 * @param {Array} extensions The extensions.
+	 * @return {Array} The path, followed by a path for each extension.
+	 * @private
+	 * @static
+	 * @since 1.1.0
+	 */
+	s._getAlternatePaths = function (path, extensions) {
+		var match = path.match(s.FILE_PATTERN), paths = [path];
+		for (var i = 0, l = extensions.length; match && i < l; i++) {
+			paths.push(path.replace("." + match[5], "." + extensions[i]));
+		}
+		return paths;
+	};
+
+	/**
+	 * Remove the sounds and containers that a manifest registered before, but no longer lists, and store the ones it
+	 * lists now.
+	 * @method _removeDroppedSounds
+	 * @param {String | Object} key The URL of the manifest, or the manifest that was passed in.
+	 * @param {Array} names The src of each sound, and the id of each container, in the manifest.
+	 * @private
+	 * @static
+	 * @since 1.1.0
+	 */
+	s._removeDroppedSounds = function (key, names) {
+		for (var i = 0, l = s._manifests.length; i < l; i++) {
+			if (s._manifests[i].key !== key) { continue; }
+			var previous = s._manifests[i].names;
+			for (var j = 0; j < previous.length; j++) {
+				if (createjs.indexOf(names, previous[j]) == -1) { s.removeSound(previous[j]); }
+			}
+			s._manifests[i].names = names;
+			return;
+		}
+		s._manifests.push({key: key, names: names});
+	};
+
+	/**
+	 * Apply the {{#crossLink "Sound/listener:property"}}{{/crossLink}} to the active plugin, or to each positioned
+	 * instance if the plugin does not handle it. This is called by the listener when it changes.
+	 * @method _updateListener
+	 * @private
+	 * @static
+	 * @since 1.1.0
+	 */
+	s._updateListener = function () {
+		if (!s.activePlugin || !s.activePlugin.updateListener || !s.activePlugin.updateListener(s.listener)) {
+			s._updateSpatialInstances();
+		}
+	};
+
+	/**
+	 * Update the 3D settings of every positioned instance.
+	 * @method _updateSpatialInstances
+	 * @private
+	 * @static
+	 * @since 1.1.0
+	 */
+	s._updateSpatialInstances = function () {
+		var instances = s._instances;
+		for (var i = 0, l = instances.length; i < l; i++) {
+			if (instances[i]._spatial) { instances[i]._updateSpatial(); }
+		}
+	};
+
+	/**
+	 * Add a rule that automatically ducks (lowers the volume of) some sounds while others are playing, for example to
+	 * dip music while dialogue plays. While any sound matching the trigger is playing, the volume of every other
+	 * playing sound matching the target is ramped down to the rule amount over the attack time, and is ramped back
+	 * up over the release time once no trigger sound is playing. If more than one rule applies to a sound, the
+	 * lowest amount is used.
+	 *
+	 * Triggers and targets are matched against the {{#crossLink "AbstractSoundInstance/id:property"}}{{/crossLink}},
+	 * src, and {{#crossLink "AbstractSoundInstance/tag:property"}}{{/crossLink}} of each instance. Each can be a
+	 * string, which may use * as a wildcard, a RegExp, or an array of either.
+	 *
+	 * <h4>Example</h4>
+	 *
+	 *      createjs.Sound.addDuckingRule({trigger:["vo_*"], target:["music_main"], amount:0.3, attack:200, release:800});
+	 *      createjs.Sound.play("music_main", {loop:-1});
+	 *      createjs.Sound.play("vo_intro");	// music_main dips to 30% volume until vo_intro ends
+	 *
+	 * The WebAudioPlugin ramps the ducking on a GainNode of each instance, while other plugins step the volume with
+	 * a timer.
+	 *
+	 * @method addDuckingRule
+	 * @param {Object} rule The rule, with the following properties:
+	 * <ul>
+	 * <li>trigger - The sounds that cause ducking while they play.</li>
+	 * <li>target - The sounds to duck.</li>
+	 * <li>amount - The volume to duck targets to, between 0 and 1. The default is 0.5.</li>
+	 * <li>attack - The amount of time to ramp down over, in milliseconds. The default is 0.</li>
+	 * <li>release - The amount of time to ramp back up over, in milliseconds. The default is 0.</li>
+	 * </ul>
+	 * @return {Object} The rule that was added, which can be passed to {{#crossLink "Sound/removeDuckingRule"}}{{/crossLink}}.
+	 * @static
+	 * @since 1.1.0
+	 */
+	s.addDuckingRule = function (rule) {
+		var duckingRule = {
+			trigger: s._createDuckingPatterns(rule.trigger),
+			target: s._createDuckingPatterns(rule.target),
+			amount: rule.amount == null ? 0.5 : Math.max(0, Math.min(1, rule.amount)),
+			attack: rule.attack || 0,
+			release: rule.release || 0
+		};
+		s._duckingRules.push(duckingRule);
+		s._updateDucking();
+		return duckingRule;
+	};
+
+	/**
+	 * Remove a rule added with {{#crossLink "Sound/addDuckingRule"}}{{/crossLink}}. Sounds that it ducked are
+	 * released over its release time.
+	 * @method removeDuckingRule
+	 * @param {Object} rule The rule returned by addDuckingRule.
+	 * @return {Boolean} If the rule was found and removed.
+	 * @static
+	 * @since 1.1.0
+	 */
+	s.removeDuckingRule = function (rule) {
+		var index = createjs.indexOf(s._duckingRules, rule);
+		if (index == -1) { return false; }
+		s._duckingRules.splice(index, 1);
+		s._updateDucking();
 		return true;
 	};
 
+	/**
+	 * Convert the trigger or target of a ducking rule into an array of RegExp.
+	 * @method _createDuckingPatterns
+	 * @param {String | RegExp | Array} value The trigger or target.
+	 * @return {Array} An array of RegExp.
+	 * @private
+	 * @static
+	 */
+	s._createDuckingPatterns = function (value) {
+		if (value == null) { return []; }
+		if (!(value instanceof Array)) { value = [value]; }
+
+		var patterns = [];
+		for (var i = 0, l = value.length; i < l; i++) {
+			if (value[i] instanceof RegExp) {
+				patterns.push(value[i]);
+			} else {
+				var str = String(value[i]).replace(/[.+?^${}()|[\]\\]/g, "\\$&").replace(/\*/g, ".*");
+				patterns.push(new RegExp("^" + str + "$"));
+			}
+		}
+		return patterns;
+	};
+
+	/**
+	 * Determine if an instance matches any of the patterns of a ducking rule, by id, src or tag.
+	 * @method _matchesDucking
+	 * @param {AbstractSoundInstance} instance The instance to check.
+	 * @param {Array} patterns An array of RegExp.
+	 * @return {Boolean} If the instance matches.
+	 * @private
+	 * @static
+	 */
+	s._matchesDucking = function (instance, patterns) {
+		for (var i = 0, l = patterns.length; i < l; i++) {
+			var pattern = patterns[i];
+			if ((instance.id != null && pattern.test(instance.id)) ||
+				(instance.src != null && pattern.test(instance.src)) ||
+				(instance.tag != null && pattern.test(instance.tag))) {
+				return true;
+			}
+		}
+		return false;
+	};
+
+	/**
+	 * Apply the ducking rules to all playing instances. This is called whenever an instance starts, stops, pauses or
+	 * resumes, and when rules are added or removed. Paused instances do not trigger ducking.
+	 * @method _updateDucking
+	 * @param {AbstractSoundInstance} [started] An instance that just started playing, which is ducked immediately
+	 * rather than ramped.
+	 * @private
+	 * @static
+	 */
+	s._updateDucking = function (started) {
+		var rules = s._duckingRules, instances = s._instances;
+		var i, j, instance;
+		// instances that start immediately are added to _instances after they start
+		if (started && createjs.indexOf(instances, started) == -1) { instances = instances.concat(started); }
+
+		// find the instances triggering each rule
+		var triggers = [];
+		for (i = 0; i < rules.length; i++) {
+			triggers[i] = [];
+			for (j = 0; j < instances.length; j++) {
+				instance = instances[j];
+				if (instance.playState == s.PLAY_SUCCEEDED && !instance._paused && s._matchesDucking(instance, rules[i].trigger)) {
+					triggers[i].push(instance);
+				}
+			}
+		}
+
+		for (j = 0; j < instances.length; j++) {
+			instance = instances[j];
+			if (instance.playState != s.PLAY_SUCCEEDED) { continue; }
+
+			var rule = null;
+			for (i = 0; i < rules.length; i++) {
+				// a sound can not duck itself
+				var l = triggers[i].length;
+				if (l == 0 || (l == 1 && triggers[i][0] == instance)) { continue; }
+				if ((rule == null || rules[i].amount < rule.amount) && s._matchesDucking(instance, rules[i].target)) {
+					rule = rules[i];
+				}
+			}
+
+			var volume = rule ? rule.amount : 1;
+			if (volume == instance._duckVolume) {
+				if (rule) { instance._duckRule = rule; }
+				continue;
+			}
+			var duration = 0;
+			if (instance != started) {
+				duration = volume < instance._duckVolume ? rule.attack : (instance._duckRule ? instance._duckRule.release : 0);
+			}
+			instance._duckRule = rule;
+			instance._setDuckVolume(volume, duration);
+		}
+	};
+
+	/**
+	 * Find the voices to steal so an instance can start playing, choosing the least important playing instances until
+	 * fewer than {{#crossLink "Sound/maxVoices:property"}}{{/crossLink}} are playing. Nothing is interrupted here.
+	 * @method _getVoice
+	 * @param {AbstractSoundInstance} instance The instance that is about to start playing.
+	 * @param {String} interrupt The interrupt value the instance was played with.
+	 * @param {AbstractSoundInstance} [replaced] An instance the SoundChannel will interrupt, which frees its voice.
+	 * @return {Array} The instances to interrupt to free a voice, or null if there is no voice for the instance.
+	 * @private
+	 * @static
+	 */
+	s._getVoice = function (instance, interrupt, replaced) {
+		var victims = [];
+		if (s.maxVoices < 0) { return victims; }
+
+		var playing = [], target, i, l;
+		var instances = s._instances;
+		for (i = 0, l = instances.length; i < l; i++) {
+			target = instances[i];
+			if (target != instance && target != replaced && target.playState == s.PLAY_SUCCEEDED) { playing.push(target); }
+		}
+
+		while (playing.length >= s.maxVoices) {
+			// instances are in the order they were played, so the oldest wins a tie
+			var replacement = null, index = -1;
+			for (i = 0, l = playing.length; i < l; i++) {
+				target = playing[i];
+				if (replacement == null || target.priority < replacement.priority ||
+					(target.priority == replacement.priority && s._getVoiceVolume(target) < s._getVoiceVolume(replacement))) {
+					replacement = target;
+					index = i;
+				}
+			}
+			if (replacement == null || replacement.priority > instance.priority ||
+				(replacement.priority == instance.priority && interrupt == s.INTERRUPT_NONE)) {
+				return null;
+			}
+			victims.push(playing.splice(index, 1)[0]);
+		}
+		return victims;
+	};
+
+	/**
+	 * Get the volume an instance is heard at for voice stealing, including mute and its bus.
+	 * @method _getVoiceVolume
+	 * @param {AbstractSoundInstance} instance The instance to check.
+	 * @return {Number} The volume of the instance, between 0 and 1.
+	 * @private
+	 * @static
+	 */
+	s._getVoiceVolume = function (instance) {
+		return instance.muted ? 0 : instance.volume * instance._getBusVolume();
+	};
+
 	/**
 	 * Get the source of a sound via the ID passed in with a register call. If no ID is found the value is returned
 	 * instead.
@@ -1496,6 +3289,7 @@ this.createjs = this.createjs || {};
 		SoundChannel.remove(instance);
 		var index = createjs.indexOf(this._instances, instance);
 		if (index > -1) {this._instances.splice(index, 1);}	// OJR this will always be > -1, there is no way for an instance to exist without being added to this._instances
+		s._updateDucking();
 	};
 
 	createjs.Sound = Sound;
@@ -1586,6 +3380,21 @@ this.createjs = this.createjs || {};
 		if (channel == null) {return false;}
 		return channel._add(instance, interrupt);
 	};
+	/**
+	 * Get the instance that adding a new instance to its sound channel would interrupt, without interrupting it.
+	 * #method getReplacement
+	 * @param {AbstractSoundInstance} instance The instance that would be added to the channel
+	 * @param {String} interrupt The interrupt value to use.
+	 * @return {AbstractSoundInstance|Boolean} The instance that would be interrupted, true if there is a free slot,
+	 * or false if the channel is full.
+	 * @static
+	 * @since 1.1.0
+	 */
+	SoundChannel.getReplacement = function (instance, interrupt) {
+		var channel = SoundChannel.get(instance.src);
+		if (channel == null) {return false;}
+		return channel._getReplacement(interrupt);
+	};
 	/**
 	 * Remove an instance from the channel.
 	 * #method remove
@@ -1659,9 +3468,20 @@ this.createjs = this.createjs || {};
 	 */
 	p.init = function (src, max) {
 		this.src = src;
+		this.setMax(max);
+		this._instances = [];
+	};
+
+	/**
+	 * Set the maximum number of instances in the channel. Instances that are already playing are not interrupted if
+	 * the channel holds more than the new maximum.
+	 * #method setMax
+	 * @param {Number} max The maximum number of instances in the channel
+	 * @since 1.1.0
+	 */
+	p.setMax = function (max) {
 		this.max = max || this.maxDefault;
 		if (this.max == -1) {this.max = this.maxDefault;}
-		this._instances = [];
 	};
 
 	/**
@@ -1722,6 +3542,23 @@ this.createjs = this.createjs || {};
 	 * an existing AbstractSoundInstance may be interrupted. If there are no slots, this method returns false.
 	 */
 	p._getSlot = function (interrupt, instance) {
+		var replacement = this._getReplacement(interrupt);
+		if (replacement === true || replacement === false) {return replacement;}
+
+		replacement._interrupt();
+		this._remove(replacement);
+		return true;
+	};
+
+	/**
+	 * Find the instance to replace depending on interrupt value and if slots are available, without interrupting it.
+	 * #method getReplacement
+	 * @param {String} interrupt The interrupt value to use.
+	 * @return {AbstractSoundInstance|Boolean} The instance to replace, true if there is an available slot, or false if
+	 * there are no slots.
+	 * @since 1.1.0
+	 */
+	p._getReplacement = function (interrupt) {
 		var target, replacement;
 
 		if (interrupt != Sound.INTERRUPT_NONE) {
@@ -1759,12 +3596,7 @@ this.createjs = this.createjs || {};
 			}
 		}
 
-		if (replacement != null) {
-			replacement._interrupt();
-			this._remove(replacement);
-			return true;
-		}
-		return false;
+		return replacement || false;
 	};
 
 	p.toString = function () {
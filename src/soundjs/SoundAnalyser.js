@@ -0,0 +1,227 @@
+/*
+ * SoundAnalyser
+ * Visit http://createjs.com/ for documentation, updates and examples.
+ *
+ *
+ * Copyright (c) 2012 gskinner.com, inc.
+ *
+ * Permission is hereby granted, free of charge, to any person
+ * obtaining a copy of this software and associated documentation
+ * files (the "Software"), to deal in the Software without
+ * restriction, including without limitation the rights to use,
+ * copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following
+ * conditions:
+ *
+ * The above copyright notice and this permission notice shall be
+ * included in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND,
+ * EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES
+ * OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT
+ * HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY,
+ * WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR
+ * OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+/**
+ * @module SoundJS
+ */
+
+// namespace:
+this.createjs = this.createjs || {};
+
+(function () {
+	"use strict";
+
+	/**
+	 * A SoundAnalyser provides real-time spectrum, waveform and level data for the master output, a
+	 * {{#crossLink "SoundBus"}}{{/crossLink}}, or a single sound, which can be used to build visualizers and meters.
+	 * Analysers are created using {{#crossLink "Sound/createAnalyser"}}{{/crossLink}}, and should not be constructed
+	 * directly. They are only supported by plugins with the <code>analysis</code> {{#crossLink "Sound/capabilities:property"}}{{/crossLink}}.
+	 *
+	 * An analyser for a sound is disposed when the sound finishes, and an analyser for a bus is disposed when the bus
+	 * is removed. Call {{#crossLink "SoundAnalyser/dispose"}}{{/crossLink}} once an analyser is no longer needed.
+	 *
+	 * <h4>Example</h4>
+	 *
+	 *      var analyser = createjs.Sound.createAnalyser({bus:"music", fftSize:512});
+	 *      createjs.Ticker.on("tick", function() {
+	 *          var spectrum = analyser.getFrequencyData();
+	 *          meter.scaleY = analyser.getRMS();
+	 *      });
+	 *
+	 * @class SoundAnalyser
+	 * @param {AudioContext} context The audio context to create the AnalyserNode in.
+	 * @param {AudioNode} source The node to analyse.
+	 * @param {Object} [options] The analyser options.
+	 * @param {Number} [options.fftSize=2048] The size of the FFT, which must be a power of two between 32 and 32768.
+	 * @param {Number} [options.smoothing=0.8] How much the frequency data is averaged over time, between 0 and 1.
+	 * @constructor
+	 * @since 1.1.0
+	 */
+	function SoundAnalyser(context, source, options) {
+		options = options || {};
+
+	// public properties:
+		/**
+		 * NOTE this is only intended for use by advanced users.
+		 * <br />The AnalyserNode, which is connected to the analysed node without changing its output.
+		 * @property node
+		 * @type {AnalyserNode}
+		 */
+		this.node = context.createAnalyser();
+		this.node.fftSize = options.fftSize || 2048;
+		this.node.smoothingTimeConstant = options.smoothing != null ? options.smoothing : 0.8;
+
+		/**
+		 * Indicates the analyser has been disposed, and no longer receives audio.
+		 * @property disposed
+		 * @type {Boolean}
+		 * @default false
+		 * @readOnly
+		 */
+		this.disposed = false;
+
+	// private properties:
+		/**
+		 * The node being analysed.
+		 * @property _source
+		 * @type {AudioNode}
+		 * @protected
+		 */
+		this._source = source;
+
+		/**
+		 * The array the frequency data is copied into, if one is not passed in.
+		 * @property _frequencyData
+		 * @type {Uint8Array}
+		 * @protected
+		 */
+		this._frequencyData = new Uint8Array(this.node.frequencyBinCount);
+
+		/**
+		 * The array the waveform data is copied into, if one is not passed in.
+		 * @property _waveformData
+		 * @type {Float32Array}
+		 * @protected
+		 */
+		this._waveformData = new Float32Array(this.node.fftSize);
+
+		/**
+		 * An array used to read the waveform on older implementations without getFloatTimeDomainData.
+		 * @property _byteWaveformData
+		 * @type {Uint8Array}
+		 * @protected
+		 */
+		this._byteWaveformData = null;
+
+		this._connect();
+	}
+
+	var p = SoundAnalyser.prototype;
+	p.constructor = SoundAnalyser;
+
+
+// public methods:
+	/**
+	 * Get the current frequency spectrum, with a value between 0 and 255 for each frequency band. There are half as
+	 * many bands as the fftSize, and they are spread evenly from 0 to half of the sample rate.
+	 * @method getFrequencyData
+	 * @param {Uint8Array} [array] An array to copy the data into. If this is omitted, an array owned by the analyser
+	 * is reused for each call.
+	 * @return {Uint8Array} The frequency data.
+	 */
+	p.getFrequencyData = function (array) {
+		array = array || this._frequencyData;
+		this.node.getByteFrequencyData(array);
+		return array;
+	};
+
+	/**
+	 * Get the current waveform, with a value between -1 and 1 for each sample.
+	 * @method getWaveformData
+	 * @param {Float32Array} [array] An array to copy the data into. If this is omitted, an array owned by the analyser
+	 * is reused for each call.
+	 * @return {Float32Array} The waveform data.
+	 */
+	p.getWaveformData = function (array) {
+		array = array || this._waveformData;
+		if (this.node.getFloatTimeDomainData) {
+			this.node.getFloatTimeDomainData(array);
+			return array;
+		}
+
+		var bytes = this._byteWaveformData;
+		if (bytes == null || bytes.length != array.length) {
+			bytes = this._byteWaveformData = new Uint8Array(array.length);
+		}
+		this.node.getByteTimeDomainData(bytes);
+		for (var i = 0, l = bytes.length; i < l; i++) {
+			array[i] = (bytes[i] - 128) / 128;
+		}
+		return array;
+	};
+
+	/**
+	 * Get the root mean square level of the current waveform, which is a good measure of how loud it sounds.
+	 * @method getRMS
+	 * @return {Number} The level, between 0 and 1.
+	 */
+	p.getRMS = function () {
+		var data = this.getWaveformData(), sum = 0;
+		for (var i = 0, l = data.length; i < l; i++) {
+			sum += data[i] * data[i];
+		}
+		return Math.sqrt(sum / data.length);
+	};
+
+	/**
+	 * Get the peak level of the current waveform, which is useful for detecting clipping.
+	 * @method getPeak
+	 * @return {Number} The level, between 0 and 1.
+	 */
+	p.getPeak = function () {
+		var data = this.getWaveformData(), peak = 0;
+		for (var i = 0, l = data.length; i < l; i++) {
+			peak = Math.max(peak, Math.abs(data[i]));
+		}
+		return Math.min(1, peak);
+	};
+
+	/**
+	 * Disconnect the analyser from the node it is analysing. After this, the data will no longer change.
+	 * @method dispose
+	 */
+	p.dispose = function () {
+		if (this.disposed) { return; }
+		this.disposed = true;
+		try {
+			this._source.disconnect(this.node);
+		} catch (e) {
+			// the source was already disconnected
+		}
+		this._source = null;
+	};
+
+	p.toString = function () {
+		return "[SoundAnalyser]";
+	};
+
+
+// private methods:
+	/**
+	 * Connect the analysed node to the analyser. This is called again by the owner of the node when it reconnects
+	 * its outputs, as that disconnects the analyser.
+	 * @method _connect
+	 * @protected
+	 */
+	p._connect = function () {
+		if (!this.disposed) { this._source.connect(this.node); }
+	};
+
+	createjs.SoundAnalyser = SoundAnalyser;
+}());
@@ -0,0 +1,249 @@
+/*
+ * SoundBus
+ * Visit http://createjs.com/ for documentation, updates and examples.
+ *
+ *
+ * Copyright (c) 2012 gskinner.com, inc.
+ *
+ * Permission is hereby granted, free of charge, to any person
+ * obtaining a copy of this software and associated documentation
+ * files (the "Software"), to deal in the Software without
+ * restriction, including without limitation the rights to use,
+ * copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following
+ * conditions:
+ *
+ * The above copyright notice and this permission notice shall be
+ * included in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND,
+ * EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES
+ * OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT
+ * HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY,
+ * WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR
+ * OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+/**
+ * @module SoundJS
+ */
+
+// namespace:
+this.createjs = this.createjs || {};
+
+(function () {
+	"use strict";
+
+	/**
+	 * A SoundBus groups {{#crossLink "AbstractSoundInstance"}}{{/crossLink}} instances so their volume, mute and pause
+	 * state can be controlled together, for example to keep separate "music", "sfx" and "voice" levels. Buses can be
+	 * nested, in which case the volume of a bus is multiplied against the volume of each of its parents, and the
+	 * master volume is applied last.
+	 *
+	 * Buses are created and looked up by name using {{#crossLink "Sound/createBus"}}{{/crossLink}} and
+	 * {{#crossLink "Sound/getBus"}}{{/crossLink}}, and should not be constructed directly. Instances are assigned to a
+	 * bus by name, either with the {{#crossLink "PlayPropsConfig/bus:property"}}{{/crossLink}} play property (which can
+	 * also be set in the defaultPlayProps of {{#crossLink "Sound/registerSound"}}{{/crossLink}}), or with the
+	 * {{#crossLink "AbstractSoundInstance/bus:property"}}{{/crossLink}} property. Instances that are not assigned to
+	 * an existing bus play through the master output only.
+	 *
+	 * <h4>Example</h4>
+	 *
+	 *      createjs.Sound.createBus("music");
+	 *      createjs.Sound.createBus("sfx");
+	 *      createjs.Sound.createBus("ui", "sfx");
+	 *
+	 *      createjs.Sound.registerSound("click.ogg", "click", null, null, {bus:"ui"});
+	 *      createjs.Sound.play("theme", {bus:"music", loop:-1});
+	 *
+	 *      createjs.Sound.getBus("sfx").volume = 0.5;	// also affects the "ui" bus
+	 *      createjs.Sound.getBus("music").paused = true;
+	 *
+	 * The WebAudioPlugin creates a GainNode for each bus, while other plugins apply the bus volume to each instance when
+	 * it computes its volume.
+	 *
+	 * @class SoundBus
+	 * @param {String} name The name of the bus.
+	 * @param {SoundBus} [parent=null] The parent bus, or null if this bus outputs directly to the master volume.
+	 * @constructor
+	 * @since 1.1.0
+	 */
+	function SoundBus(name, parent) {
+
+	// public properties:
+		/**
+		 * The name of the bus, which is used to assign instances to it.
+		 * @property name
+		 * @type {String}
+		 * @readOnly
+		 */
+		this.name = name;
+
+		/**
+		 * The parent bus, or null if this bus outputs directly to the master volume. Use
+		 * {{#crossLink "Sound/createBus"}}{{/crossLink}} to change the parent of a bus.
+		 * @property parent
+		 * @type {SoundBus}
+		 * @default null
+		 * @readOnly
+		 */
+		this.parent = parent || null;
+
+	// getter / setter properties:
+		/**
+		 * The volume of the bus, between 0 and 1. This is multiplied against the volume of each instance on the bus,
+		 * and against the volume of any child bus.
+		 * @property volume
+		 * @type {Number}
+		 * @default 1
+		 */
+		this._volume = 1;
+		Object.defineProperty(this, "volume", {
+			get: this._getVolume,
+			set: this._setVolume
+		});
+
+		/**
+		 * Mutes or unmutes all instances on the bus and any child buses. Like {{#crossLink "Sound/muted:property"}}{{/crossLink}},
+		 * this overrides but does not change the mute property of individual instances.
+		 * @property muted
+		 * @type {Boolean}
+		 * @default false
+		 */
+		this._muted = false;
+		Object.defineProperty(this, "muted", {
+			get: this._getMuted,
+			set: this._setMuted
+		});
+
+		/**
+		 * Pauses or resumes all instances playing on the bus and any child buses. Instances that begin playing on a
+		 * paused bus start paused, and resume when the bus does.
+		 * @property paused
+		 * @type {Boolean}
+		 * @default false
+		 */
+		this._paused = false;
+		Object.defineProperty(this, "paused", {
+			get: this._getPaused,
+			set: this._setPaused
+		});
+	}
+
+	var p = SoundBus.prototype;
+	p.constructor = SoundBus;
+
+
+// public methods:
+	/**
+	 * Get the volume this bus contributes to its instances, which is its own volume multiplied by the volume of each of
+	 * its parents. This will be 0 if the bus or any of its parents are muted. Note that the master volume is not included.
+	 * @method getOutputVolume
+	 * @return {Number} The combined volume, between 0 and 1.
+	 */
+	p.getOutputVolume = function () {
+		if (this._muted) { return 0; }
+		return this._volume * (this.parent ? this.parent.getOutputVolume() : 1);
+	};
+
+	/**
+	 * Determine if this bus is paused, either directly or because one of its parents is paused.
+	 * @method isPaused
+	 * @return {Boolean} If instances on this bus should be paused.
+	 */
+	p.isPaused = function () {
+		return this._paused || (this.parent != null && this.parent.isPaused());
+	};
+
+	/**
+	 * Determine if this bus is the passed bus, or is nested inside of it.
+	 * @method isWithin
+	 * @param {SoundBus} bus The bus to check.
+	 * @return {Boolean} If this bus is or is a descendant of the passed bus.
+	 */
+	p.isWithin = function (bus) {
+		for (var b = this; b != null; b = b.parent) {
+			if (b == bus) { return true; }
+		}
+		return false;
+	};
+
+	p.toString = function () {
+		return "[SoundBus (name=" + this.name + ")]";
+	};
+
+
+// get/set methods:
+	/**
+	 * Please use {{#crossLink "SoundBus/volume:property"}}{{/crossLink}} directly as a property.
+	 * @method _getVolume
+	 * @protected
+	 * @return {Number}
+	 */
+	p._getVolume = function () {
+		return this._volume;
+	};
+
+	/**
+	 * Please use {{#crossLink "SoundBus/volume:property"}}{{/crossLink}} directly as a property.
+	 * @method _setVolume
+	 * @protected
+	 * @param {Number} value The volume to set, between 0 and 1.
+	 */
+	p._setVolume = function (value) {
+		if (Number(value) == null) { return; }
+		value = Math.max(0, Math.min(1, value));
+		if (value == this._volume) { return; }
+		this._volume = value;
+		createjs.Sound._updateBusVolume(this);
+	};
+
+	/**
+	 * Please use {{#crossLink "SoundBus/muted:property"}}{{/crossLink}} directly as a property.
+	 * @method _getMuted
+	 * @protected
+	 * @return {Boolean}
+	 */
+	p._getMuted = function () {
+		return this._muted;
+	};
+
+	/**
+	 * Please use {{#crossLink "SoundBus/muted:property"}}{{/crossLink}} directly as a property.
+	 * @method _setMuted
+	 * @protected
+	 * @param {Boolean} value If the bus should be muted.
+	 */
+	p._setMuted = function (value) {
+		if ((value !== true && value !== false) || value == this._muted) { return; }
+		this._muted = value;
+		createjs.Sound._updateBusVolume(this);
+	};
+
+	/**
+	 * Please use {{#crossLink "SoundBus/paused:property"}}{{/crossLink}} directly as a property.
+	 * @method _getPaused
+	 * @protected
+	 * @return {Boolean}
+	 */
+	p._getPaused = function () {
+		return this._paused;
+	};
+
+	/**
+	 * Please use {{#crossLink "SoundBus/paused:property"}}{{/crossLink}} directly as a property.
+	 * @method _setPaused
+	 * @protected
+	 * @param {Boolean} value If the bus should be paused.
+	 */
+	p._setPaused = function (value) {
+		if ((value !== true && value !== false) || value == this._paused) { return; }
+		this._paused = value;
+		createjs.Sound._updateBusPaused(this);
+	};
+
+	createjs.SoundBus = SoundBus;
+}());
@@ -0,0 +1,326 @@
+/*
+ * SoundClock
+ * Visit http://createjs.com/ for documentation, updates and examples.
+ *
+ *
+ * Copyright (c) 2012 gskinner.com, inc.
+ *
+ * Permission is hereby granted, free of charge, to any person
+ * obtaining a copy of this software and associated documentation
+ * files (the "Software"), to deal in the Software without
+ * restriction, including without limitation the rights to use,
+ * copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following
+ * conditions:
+ *
+ * The above copyright notice and this permission notice shall be
+ * included in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND,
+ * EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES
+ * OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT
+ * HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY,
+ * WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR
+ * OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+/**
+ * @module SoundJS
+ */
+
+// namespace:
+this.createjs = this.createjs || {};
+
+(function () {
+	"use strict";
+
+	/**
+	 * The SoundClock keeps musical time on the audio clock returned by {{#crossLink "Sound/getAudioTime"}}{{/crossLink}},
+	 * using a tempo in beats per minute and a time signature. It dispatches <code>beat</code> and <code>bar</code>
+	 * events, and is used by the {{#crossLink "PlayPropsConfig/quantize:property"}}{{/crossLink}} play property to
+	 * start sounds on the next beat, bar, or note. There is a single clock, available as
+	 * {{#crossLink "Sound/clock:property"}}{{/crossLink}}, and it should not be constructed directly.
+	 *
+	 * Quantized sounds are scheduled on the audio clock using the {{#crossLink "PlayPropsConfig/when:property"}}{{/crossLink}}
+	 * play property, so they start exactly on the beat with the {{#crossLink "WebAudioPlugin"}}{{/crossLink}}. Other
+	 * plugins use a timer. The events are dispatched using a timer, and include the exact time of the beat.
+	 *
+	 * <h4>Example</h4>
+	 *
+	 *      var clock = createjs.Sound.clock;
+	 *      clock.bpm = 128;
+	 *      clock.start();
+	 *      clock.on("bar", function(event) {
+	 *          createjs.Sound.play("drums", {when: event.time});
+	 *      });
+	 *      createjs.Sound.play("stab", {quantize: "1/8"});
+	 *
+	 * @class SoundClock
+	 * @extends EventDispatcher
+	 * @constructor
+	 * @since 1.1.0
+	 */
+	function SoundClock() {
+		this.EventDispatcher_constructor();
+
+	// public properties:
+		/**
+		 * The number of beats in each bar, which is the top number of the time signature.
+		 * @property beatsPerBar
+		 * @type {Number}
+		 * @default 4
+		 */
+		this.beatsPerBar = 4;
+
+		/**
+		 * The note value of each beat, which is the bottom number of the time signature. This is used to find the
+		 * length of note values such as "1/8" for the {{#crossLink "PlayPropsConfig/quantize:property"}}{{/crossLink}}
+		 * play property.
+		 * @property beatUnit
+		 * @type {Number}
+		 * @default 4
+		 */
+		this.beatUnit = 4;
+
+		/**
+		 * The time on the audio clock of the first beat, in seconds, or null if the clock has not been started.
+		 * @property startTime
+		 * @type {Number}
+		 * @default null
+		 * @readOnly
+		 */
+		this.startTime = null;
+
+		/**
+		 * Indicates the clock has been started, and is dispatching events.
+		 * @property running
+		 * @type {Boolean}
+		 * @default false
+		 * @readOnly
+		 */
+		this.running = false;
+
+	// getter / setter properties:
+		/**
+		 * The tempo in beats per minute. Changing the tempo while the clock is running keeps the current position,
+		 * so beats continue from the current beat at the new tempo.
+		 * @property bpm
+		 * @type {Number}
+		 * @default 120
+		 */
+		this._bpm = 120;
+		Object.defineProperty(this, "bpm", {
+			get: this._getBpm,
+			set: this._setBpm
+		});
+
+	// private properties:
+		/**
+		 * The number of the next beat to dispatch events for, counting from 0 at the start time.
+		 * @property _nextBeat
+		 * @type {Number}
+		 * @default 0
+		 * @protected
+		 */
+		this._nextBeat = 0;
+
+		/**
+		 * Timeout that is created to dispatch the events of the next beat.
+		 * @property _beatTimeout
+		 * @type {timeoutVariable}
+		 * @default null
+		 * @protected
+		 */
+		this._beatTimeout = null;
+
+		// Proxies, make removing listeners easier.
+		this._beatHandler = createjs.proxy(this._handleBeatTimeout, this);
+	}
+
+	var p = createjs.extend(SoundClock, createjs.EventDispatcher);
+
+
+// events:
+	/**
+	 * Dispatched on each beat while the clock is running.
+	 * @event beat
+	 * @param {Object} target The object that dispatched the event.
+	 * @param {String} type The event type.
+	 * @param {Number} beat The beat in the bar, starting from 0.
+	 * @param {Number} bar The bar, starting from 0.
+	 * @param {Number} time The time of the beat on the audio clock, in seconds.
+	 */
+
+	/**
+	 * Dispatched on the first beat of each bar while the clock is running, before the beat event.
+	 * @event bar
+	 * @param {Object} target The object that dispatched the event.
+	 * @param {String} type The event type.
+	 * @param {Number} beat The beat in the bar, which is always 0.
+	 * @param {Number} bar The bar, starting from 0.
+	 * @param {Number} time The time of the bar on the audio clock, in seconds.
+	 */
+
+
+// public methods:
+	/**
+	 * Start the clock, with the first beat at a time on the audio clock. If the clock is already running, it is
+	 * restarted.
+	 * @method start
+	 * @param {Number} [when] The time of the first beat on the audio clock, in seconds. The default is the current
+	 * time.
+	 * @return {SoundClock} A reference to itself, intended for chaining calls.
+	 */
+	p.start = function (when) {
+		var now = createjs.Sound.getAudioTime();
+		this.startTime = when != null ? when : now;
+		this.running = true;
+		this._nextBeat = Math.max(0, Math.ceil(this.getBeat(now)));	// beats that have already passed are not dispatched
+		this._scheduleBeat();
+		return this;
+	};
+
+	/**
+	 * Stop the clock. Sounds that have already been scheduled are not affected.
+	 * @method stop
+	 * @return {SoundClock} A reference to itself, intended for chaining calls.
+	 */
+	p.stop = function () {
+		clearTimeout(this._beatTimeout);
+		this._beatTimeout = null;
+		this.running = false;
+		return this;
+	};
+
+	/**
+	 * Get the number of beats from the start of the clock to a time, which includes the fraction of the current beat.
+	 * @method getBeat
+	 * @param {Number} [time] The time on the audio clock, in seconds. The default is the current time.
+	 * @return {Number} The number of beats, or 0 if the clock has not been started.
+	 */
+	p.getBeat = function (time) {
+		if (this.startTime == null) { return 0; }
+		if (time == null) { time = createjs.Sound.getAudioTime(); }
+		return (time - this.startTime) * this._bpm / 60;
+	};
+
+	/**
+	 * Get the time of the next point on a grid of beats, bars or notes, on or after a time. If the clock is not
+	 * running, the time is returned unchanged.
+	 * @method getNextTime
+	 * @param {String} quantize The grid, which is "beat", "bar", or a note value such as "1/8" or "1/16".
+	 * @param {Number} [time] The time on the audio clock, in seconds. The default is the current time.
+	 * @return {Number} The time of the next point on the grid on the audio clock, in seconds.
+	 */
+	p.getNextTime = function (quantize, time) {
+		if (time == null) { time = createjs.Sound.getAudioTime(); }
+		var grid = this._getGridDuration(quantize);
+		if (!this.running || !(grid > 0)) { return time; }
+
+		var n = Math.ceil((time - this.startTime) / grid - 1e-9);	// allow for rounding on the grid point itself
+		return this.startTime + Math.max(0, n) * grid;
+	};
+
+	p.toString = function () {
+		return "[SoundClock]";
+	};
+
+
+// get/set methods that allow support for IE8
+	/**
+	 * Use the {{#crossLink "SoundClock/bpm:property"}}{{/crossLink}} property instead.
+	 * @method _getBpm
+	 * @return {Number}
+	 * @protected
+	 */
+	p._getBpm = function () {
+		return this._bpm;
+	};
+
+	/**
+	 * Use the {{#crossLink "SoundClock/bpm:property"}}{{/crossLink}} property instead.
+	 * @method _setBpm
+	 * @param {Number} value The tempo in beats per minute.
+	 * @protected
+	 */
+	p._setBpm = function (value) {
+		value = Number(value);
+		if (!(value > 0) || value == this._bpm) { return; }
+		if (this.running) {
+			var now = createjs.Sound.getAudioTime(), beat = this.getBeat(now);
+			this._bpm = value;
+			this.startTime = now - beat * 60 / value;
+			this._scheduleBeat();
+		} else {
+			this._bpm = value;
+		}
+	};
+
+
+// private methods:
+	/**
+	 * Get the length of each point on a grid, used by {{#crossLink "SoundClock/getNextTime"}}{{/crossLink}}.
+	 * @method _getGridDuration
+	 * @param {String} quantize The grid, which is "beat", "bar", or a note value such as "1/8".
+	 * @return {Number} The length of the grid in seconds, or 0 if it is not recognized.
+	 * @protected
+	 */
+	p._getGridDuration = function (quantize) {
+		var beat = 60 / this._bpm;
+		if (quantize == "beat") { return beat; }
+		if (quantize == "bar") { return beat * this.beatsPerBar; }
+
+		var note = /^(\d+)\/(\d+)$/.exec(quantize);
+		return note ? beat * this.beatUnit * note[1] / note[2] : 0;
+	};
+
+	/**
+	 * Set the timeout for the next beat.
+	 * @method _scheduleBeat
+	 * @protected
+	 */
+	p._scheduleBeat = function () {
+		clearTimeout(this._beatTimeout);
+		var time = this.startTime + this._nextBeat * 60 / this._bpm;
+		this._beatTimeout = setTimeout(this._beatHandler, Math.max(0, (time - createjs.Sound.getAudioTime()) * 1000));
+	};
+
+	/**
+	 * Dispatch the events for the beat the timeout was set for, and any others that have passed since, then
+	 * schedule the next beat.
+	 * @method _handleBeatTimeout
+	 * @protected
+	 */
+	p._handleBeatTimeout = function () {
+		this._beatTimeout = null;
+		var beat = Math.max(this._nextBeat, Math.floor(this.getBeat()));
+		while (this.running && this._nextBeat <= beat) {
+			this._sendBeat(this._nextBeat++);
+		}
+		if (this.running) { this._scheduleBeat(); }
+	};
+
+	/**
+	 * Dispatch the bar and beat events for a beat.
+	 * @method _sendBeat
+	 * @param {Number} beat The number of the beat, counting from 0 at the start time.
+	 * @protected
+	 */
+	p._sendBeat = function (beat) {
+		var beatsPerBar = Math.max(1, this.beatsPerBar),
+			time = this.startTime + beat * 60 / this._bpm,
+			types = beat % beatsPerBar == 0 ? ["bar", "beat"] : ["beat"];
+		for (var i = 0; i < types.length; i++) {
+			var event = new createjs.Event(types[i]);
+			event.beat = beat % beatsPerBar;
+			event.bar = Math.floor(beat / beatsPerBar);
+			event.time = time;
+			this.dispatchEvent(event);
+		}
+	};
+
+	createjs.SoundClock = createjs.promote(SoundClock, "EventDispatcher");
+}());
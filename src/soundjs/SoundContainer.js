@@ -0,0 +1,251 @@
+/*
+ * SoundContainer
+ * Visit http://createjs.com/ for documentation, updates and examples.
+ *
+ *
+ * Copyright (c) 2012 gskinner.com, inc.
+ *
+ * Permission is hereby granted, free of charge, to any person
+ * obtaining a copy of this software and associated documentation
+ * files (the "Software"), to deal in the Software without
+ * restriction, including without limitation the rights to use,
+ * copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following
+ * conditions:
+ *
+ * The above copyright notice and this permission notice shall be
+ * included in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND,
+ * EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES
+ * OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT
+ * HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY,
+ * WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR
+ * OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+/**
+ * @module SoundJS
+ */
+
+// namespace:
+this.createjs = this.createjs || {};
+
+(function () {
+	"use strict";
+
+	/**
+	 * A SoundContainer maps one id to several variations of a sound, such as footsteps, impacts or UI ticks, so each
+	 * play picks a variation without repeating the same one too often. The variations are the src or ID of sounds
+	 * or audio sprites that are registered separately. Containers are registered using {{#crossLink "Sound/registerContainer"}}{{/crossLink}},
+	 * or in the data of a sound or manifest passed to {{#crossLink "Sound/registerSounds"}}{{/crossLink}}, and should
+	 * not be constructed directly.
+	 *
+	 * Playing the id of a container with {{#crossLink "Sound/play"}}{{/crossLink}} plays the next variation, with a
+	 * random volume and pitch if ranges are set. The ranges multiply the volume and playback rate of the play
+	 * properties.
+	 *
+	 * <h4>Example</h4>
+	 *
+	 *      createjs.Sound.registerSounds([
+	 *          {src:"step1.ogg", id:"step1"},
+	 *          {src:"step2.ogg", id:"step2"},
+	 *          {src:"step3.ogg", id:"step3"},
+	 *          {id:"footstep", container:{sources:["step1", "step2", "step3"], mode:"shuffle", pitch:[0.9, 1.1]}}
+	 *      ], "sounds/");
+	 *      createjs.Sound.play("footstep");
+	 *
+	 * @class SoundContainer
+	 * @param {String} id The id the container is played with.
+	 * @param {Array} sources The src or ID of each variation.
+	 * @param {Object} [options] The container options.
+	 * @param {String} [options.mode="random"] How the variations are picked, which is one of the <code>MODE</code>
+	 * constants.
+	 * @param {Array} [options.volume] The range to multiply the volume by, as <code>[min, max]</code>.
+	 * @param {Array} [options.pitch] The range to multiply the playback rate by, as <code>[min, max]</code>, which
+	 * changes both the pitch and speed.
+	 * @constructor
+	 * @since 1.1.0
+	 */
+	function SoundContainer(id, sources, options) {
+		options = options || {};
+
+	// public properties:
+		/**
+		 * The id the container is played with.
+		 * @property id
+		 * @type {String}
+		 * @readOnly
+		 */
+		this.id = id;
+
+		/**
+		 * The src or ID of each variation.
+		 * @property sources
+		 * @type {Array}
+		 */
+		this.sources = sources ? sources.slice() : [];
+
+		/**
+		 * How the variations are picked, which is {{#crossLink "SoundContainer/MODE_RANDOM:property"}}{{/crossLink}},
+		 * {{#crossLink "SoundContainer/MODE_SHUFFLE:property"}}{{/crossLink}} or {{#crossLink "SoundContainer/MODE_SEQUENTIAL:property"}}{{/crossLink}}.
+		 * @property mode
+		 * @type {String}
+		 * @default "random"
+		 */
+		this.mode = options.mode || s.MODE_RANDOM;
+
+		/**
+		 * The range to multiply the volume by on each play, as <code>[min, max]</code>, or null to keep the volume.
+		 * @property volume
+		 * @type {Array}
+		 * @default null
+		 */
+		this.volume = options.volume || null;
+
+		/**
+		 * The range to multiply the playback rate by on each play, as <code>[min, max]</code>, or null to keep the
+		 * playback rate.
+		 * @property pitch
+		 * @type {Array}
+		 * @default null
+		 */
+		this.pitch = options.pitch || null;
+
+	// private properties:
+		/**
+		 * The index of the last variation that was picked.
+		 * @property _last
+		 * @type {Number}
+		 * @default -1
+		 * @protected
+		 */
+		this._last = -1;
+
+		/**
+		 * The indices of the variations that are left to pick in the current shuffle, in reverse order.
+		 * @property _order
+		 * @type {Array}
+		 * @protected
+		 */
+		this._order = [];
+	}
+
+	var p = SoundContainer.prototype;
+	var s = SoundContainer;
+
+
+// static properties:
+	/**
+	 * A random variation is picked each time, which is never the same as the last one.
+	 * @property MODE_RANDOM
+	 * @type {String}
+	 * @default "random"
+	 * @static
+	 */
+	s.MODE_RANDOM = "random";
+
+	/**
+	 * The variations are picked in a random order, and every variation is picked once before any is repeated.
+	 * @property MODE_SHUFFLE
+	 * @type {String}
+	 * @default "shuffle"
+	 * @static
+	 */
+	s.MODE_SHUFFLE = "shuffle";
+
+	/**
+	 * The variations are picked in order, starting again from the first after the last.
+	 * @property MODE_SEQUENTIAL
+	 * @type {String}
+	 * @default "sequential"
+	 * @static
+	 */
+	s.MODE_SEQUENTIAL = "sequential";
+
+
+// public methods:
+	/**
+	 * Pick the next variation.
+	 * @method pick
+	 * @return {String} The src or ID of the variation, or null if the container is empty.
+	 */
+	p.pick = function () {
+		var l = this.sources.length, index;
+		if (l == 0) { return null; }
+
+		if (this.mode == s.MODE_SEQUENTIAL) {
+			index = (this._last + 1) % l;
+		} else if (this.mode == s.MODE_SHUFFLE) {
+			if (this._order.length == 0) { this._createOrder(); }
+			index = this._order.pop();
+		} else if (this._last < 0 || this._last >= l || l == 1) {
+			index = Math.floor(Math.random() * l);
+		} else {
+			index = Math.floor(Math.random() * (l - 1));	// skip over the last variation
+			if (index >= this._last) { index++; }
+		}
+
+		this._last = index;
+		return this.sources[index];
+	};
+
+	p.toString = function () {
+		return "[SoundContainer]";
+	};
+
+
+// private methods:
+	/**
+	 * Create a new shuffled order of the variations, which does not start with the last variation picked.
+	 * @method _createOrder
+	 * @protected
+	 */
+	p._createOrder = function () {
+		var order = [], l = this.sources.length;
+		for (var i = 0; i < l; i++) {
+			var j = Math.floor(Math.random() * (i + 1));
+			order[i] = order[j];
+			order[j] = i;
+		}
+		if (l > 1 && order[l - 1] == this._last) {	// the order is picked from the end
+			order[l - 1] = order[0];
+			order[0] = this._last;
+		}
+		this._order = order;
+	};
+
+	/**
+	 * Apply the random volume and pitch to the play properties of a variation. This is called by
+	 * {{#crossLink "Sound/play"}}{{/crossLink}}.
+	 * @method _applyVariation
+	 * @param {PlayPropsConfig} playProps The play properties.
+	 * @param {AbstractSoundInstance} instance The instance playing the variation, which has its default play
+	 * properties applied.
+	 * @protected
+	 */
+	p._applyVariation = function (playProps, instance) {
+		if (this.volume) {
+			playProps.volume = (playProps.volume != null ? playProps.volume : instance.volume) * this._getRandom(this.volume);
+		}
+		if (this.pitch) {
+			playProps.playbackRate = (playProps.playbackRate != null ? playProps.playbackRate : instance.playbackRate) * this._getRandom(this.pitch);
+		}
+	};
+
+	/**
+	 * Get a random value in a range.
+	 * @method _getRandom
+	 * @param {Array} range The range, as <code>[min, max]</code>.
+	 * @return {Number} The random value.
+	 * @protected
+	 */
+	p._getRandom = function (range) {
+		return range[0] + Math.random() * (range[1] - range[0]);
+	};
+
+	createjs.SoundContainer = SoundContainer;
+}());
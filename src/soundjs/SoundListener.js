@@ -0,0 +1,135 @@
+/*
+ * SoundListener
+ * Visit http://createjs.com/ for documentation, updates and examples.
+ *
+ *
+ * Copyright (c) 2012 gskinner.com, inc.
+ *
+ * Permission is hereby granted, free of charge, to any person
+ * obtaining a copy of this software and associated documentation
+ * files (the "Software"), to deal in the Software without
+ * restriction, including without limitation the rights to use,
+ * copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following
+ * conditions:
+ *
+ * The above copyright notice and this permission notice shall be
+ * included in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND,
+ * EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES
+ * OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT
+ * HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY,
+ * WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR
+ * OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+/**
+ * @module SoundJS
+ */
+
+// namespace:
+this.createjs = this.createjs || {};
+
+(function () {
+	"use strict";
+
+	/**
+	 * The SoundListener is the position and orientation that 3D positioned sounds are heard from, which is usually
+	 * the camera or the player. There is a single listener, available as {{#crossLink "Sound/listener:property"}}{{/crossLink}},
+	 * and it should not be constructed directly.
+	 *
+	 * Sounds are positioned using {{#crossLink "AbstractSoundInstance/setSpatialPosition"}}{{/crossLink}}. The
+	 * {{#crossLink "WebAudioPlugin"}}{{/crossLink}} applies the listener to the audio context, while other plugins
+	 * approximate positioned sounds by adjusting their volume by distance, and their pan by direction.
+	 *
+	 * <h4>Example</h4>
+	 *
+	 *      createjs.Sound.listener.setPosition(player.x, 0, player.y);
+	 *      createjs.Sound.listener.setOrientation(Math.sin(player.angle), 0, -Math.cos(player.angle), 0, 1, 0);
+	 *
+	 * @class SoundListener
+	 * @constructor
+	 * @since 1.1.0
+	 */
+	function SoundListener() {
+
+	// public properties:
+		/**
+		 * The position of the listener, as an array of x, y and z. Use {{#crossLink "SoundListener/setPosition"}}{{/crossLink}}
+		 * to change it.
+		 * @property position
+		 * @type {Array}
+		 * @default [0, 0, 0]
+		 * @readOnly
+		 */
+		this.position = [0, 0, 0];
+
+		/**
+		 * The direction the listener is facing, as an array of x, y and z. Use
+		 * {{#crossLink "SoundListener/setOrientation"}}{{/crossLink}} to change it.
+		 * @property forward
+		 * @type {Array}
+		 * @default [0, 0, -1]
+		 * @readOnly
+		 */
+		this.forward = [0, 0, -1];
+
+		/**
+		 * The direction of the top of the listener's head, as an array of x, y and z. Use
+		 * {{#crossLink "SoundListener/setOrientation"}}{{/crossLink}} to change it.
+		 * @property up
+		 * @type {Array}
+		 * @default [0, 1, 0]
+		 * @readOnly
+		 */
+		this.up = [0, 1, 0];
+	}
+
+	var p = SoundListener.prototype;
+	p.constructor = SoundListener;
+
+
+// public methods:
+	/**
+	 * Set the position of the listener.
+	 * @method setPosition
+	 * @param {Number} x The x position.
+	 * @param {Number} y The y position.
+	 * @param {Number} z The z position.
+	 * @return {SoundListener} A reference to itself, intended for chaining calls.
+	 */
+	p.setPosition = function (x, y, z) {
+		this.position = [x || 0, y || 0, z || 0];
+		createjs.Sound._updateListener();
+		return this;
+	};
+
+	/**
+	 * Set the orientation of the listener, using a vector for the direction it is facing and a vector for the
+	 * direction of the top of its head.
+	 * @method setOrientation
+	 * @param {Number} forwardX The x direction the listener is facing.
+	 * @param {Number} forwardY The y direction the listener is facing.
+	 * @param {Number} forwardZ The z direction the listener is facing.
+	 * @param {Number} [upX=0] The x direction of the top of the listener's head.
+	 * @param {Number} [upY=1] The y direction of the top of the listener's head.
+	 * @param {Number} [upZ=0] The z direction of the top of the listener's head.
+	 * @return {SoundListener} A reference to itself, intended for chaining calls.
+	 */
+	p.setOrientation = function (forwardX, forwardY, forwardZ, upX, upY, upZ) {
+		this.forward = [forwardX || 0, forwardY || 0, forwardZ || 0];
+		if (upX != null) { this.up = [upX || 0, upY || 0, upZ || 0]; }
+		createjs.Sound._updateListener();
+		return this;
+	};
+
+	p.toString = function () {
+		return "[SoundListener]";
+	};
+
+	createjs.SoundListener = SoundListener;
+}());
@@ -0,0 +1,320 @@
+/*
+ * SoundRecorder
+ * Visit http://createjs.com/ for documentation, updates and examples.
+ *
+ *
+ * Copyright (c) 2012 gskinner.com, inc.
+ *
+ * Permission is hereby granted, free of charge, to any person
+ * obtaining a copy of this software and associated documentation
+ * files (the "Software"), to deal in the Software without
+ * restriction, including without limitation the rights to use,
+ * copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following
+ * conditions:
+ *
+ * The above copyright notice and this permission notice shall be
+ * included in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND,
+ * EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES
+ * OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT
+ * HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY,
+ * WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR
+ * OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+/**
+ * @module SoundJS
+ */
+
+// namespace:
+this.createjs = this.createjs || {};
+
+(function () {
+	"use strict";
+
+	/**
+	 * A SoundRecorder captures the master output as PCM audio, which is encoded as a WAV file when recording stops.
+	 * Recorders are created using {{#crossLink "Sound/startRecording"}}{{/crossLink}}, and should not be constructed
+	 * directly. They are only supported by plugins with the <code>recording</code> {{#crossLink "Sound/capabilities:property"}}{{/crossLink}}.
+	 *
+	 * Recording stops automatically once it reaches the {{#crossLink "SoundRecorder/maxDuration:property"}}{{/crossLink}},
+	 * so a forgotten recording does not use all of the available memory.
+	 *
+	 * <h4>Example</h4>
+	 *
+	 *      var recorder = createjs.Sound.startRecording({maxDuration:60000});
+	 *      recorder.on("complete", function(event) {
+	 *          upload(event.blob);
+	 *      });
+	 *      // later
+	 *      createjs.Sound.stopRecording();
+	 *
+	 * @class SoundRecorder
+	 * @param {AudioContext} context The audio context to record in.
+	 * @param {AudioNode} source The node to record.
+	 * @param {Object} [options] The recording options.
+	 * @param {Number} [options.maxDuration=300000] The longest time to record for, in milliseconds.
+	 * @param {Number} [options.channels=2] The number of channels to record.
+	 * @param {Number} [options.bitDepth=16] The bit depth of the WAV file, which can be 16, 24 or 32.
+	 * @extends EventDispatcher
+	 * @constructor
+	 * @since 1.1.0
+	 */
+	function SoundRecorder(context, source, options) {
+		this.EventDispatcher_constructor();
+		options = options || {};
+
+	// public properties:
+		/**
+		 * The longest time to record for, in milliseconds. Recording stops once this is reached.
+		 * @property maxDuration
+		 * @type {Number}
+		 * @default 300000
+		 */
+		this.maxDuration = options.maxDuration || s.DEFAULT_MAX_DURATION;
+
+		/**
+		 * Indicates the recorder is recording, which includes while it is paused.
+		 * @property recording
+		 * @type {Boolean}
+		 * @readOnly
+		 */
+		this.recording = true;
+
+		/**
+		 * Indicates recording is paused. Use {{#crossLink "SoundRecorder/pause"}}{{/crossLink}} and
+		 * {{#crossLink "SoundRecorder/resume"}}{{/crossLink}} to change it.
+		 * @property paused
+		 * @type {Boolean}
+		 * @default false
+		 * @readOnly
+		 */
+		this.paused = false;
+
+		/**
+		 * The recording, as a WAV file, once recording has stopped. This is also set when recording stops at the
+		 * {{#crossLink "SoundRecorder/maxDuration:property"}}{{/crossLink}}.
+		 * @property blob
+		 * @type {Blob}
+		 * @default null
+		 * @readOnly
+		 */
+		this.blob = null;
+
+		/**
+		 * NOTE this is only intended for use by advanced users.
+		 * <br />The ScriptProcessorNode that collects the audio.
+		 * @property node
+		 * @type {ScriptProcessorNode}
+		 */
+		this.node = null;
+
+	// getter / setter properties:
+		/**
+		 * The length of the recording so far, in milliseconds.
+		 * @property duration
+		 * @type {Number}
+		 * @readOnly
+		 */
+		Object.defineProperty(this, "duration", {
+			get: this._getDuration
+		});
+
+	// private properties:
+		/**
+		 * The node being recorded.
+		 * @property _source
+		 * @type {AudioNode}
+		 * @protected
+		 */
+		this._source = source;
+
+		/**
+		 * The sample rate of the recording.
+		 * @property _sampleRate
+		 * @type {Number}
+		 * @protected
+		 */
+		this._sampleRate = context.sampleRate;
+
+		/**
+		 * The bit depth of the WAV file.
+		 * @property _bitDepth
+		 * @type {Number}
+		 * @protected
+		 */
+		this._bitDepth = options.bitDepth;
+
+		/**
+		 * An array of recorded chunks for each channel.
+		 * @property _chunks
+		 * @type {Array}
+		 * @protected
+		 */
+		this._chunks = [];
+
+		/**
+		 * The number of samples recorded in each channel.
+		 * @property _length
+		 * @type {Number}
+		 * @default 0
+		 * @protected
+		 */
+		this._length = 0;
+
+		var channels = options.channels || 2;
+		for (var i = 0; i < channels; i++) { this._chunks.push([]); }
+
+		this.node = context.createScriptProcessor(s.BUFFER_SIZE, channels, channels);
+		this.node.onaudioprocess = createjs.proxy(this._handleAudioProcess, this);
+		source.connect(this.node);
+		this.node.connect(context.destination);	// the node only processes while connected, and outputs silence
+	}
+
+	var p = createjs.extend(SoundRecorder, createjs.EventDispatcher);
+	var s = SoundRecorder;
+
+
+// static properties:
+	/**
+	 * The longest time to record for, in milliseconds, when a maxDuration is not passed in.
+	 * @property DEFAULT_MAX_DURATION
+	 * @type {Number}
+	 * @default 300000
+	 * @static
+	 */
+	s.DEFAULT_MAX_DURATION = 300000;
+
+	/**
+	 * The number of samples collected at a time.
+	 * @property BUFFER_SIZE
+	 * @type {Number}
+	 * @default 4096
+	 * @static
+	 */
+	s.BUFFER_SIZE = 4096;
+
+
+// events:
+	/**
+	 * Dispatched when recording stops, either when {{#crossLink "SoundRecorder/stop"}}{{/crossLink}} is called, or
+	 * when the {{#crossLink "SoundRecorder/maxDuration:property"}}{{/crossLink}} is reached.
+	 * @event complete
+	 * @param {Object} target The object that dispatched the event.
+	 * @param {String} type The event type.
+	 * @param {Blob} blob The recording, as a WAV file.
+	 */
+
+
+// getter / setters:
+	/**
+	 * Use the {{#crossLink "SoundRecorder/duration:property"}}{{/crossLink}} property instead.
+	 * @method _getDuration
+	 * @return {Number}
+	 * @protected
+	 */
+	p._getDuration = function () {
+		return this._length / this._sampleRate * 1000;
+	};
+
+
+// public methods:
+	/**
+	 * Pause recording. The audio played while paused is not included in the recording.
+	 * @method pause
+	 */
+	p.pause = function () {
+		if (this.recording) { this.paused = true; }
+	};
+
+	/**
+	 * Resume a paused recording.
+	 * @method resume
+	 */
+	p.resume = function () {
+		this.paused = false;
+	};
+
+	/**
+	 * Stop recording, and encode the recording as a WAV file. This dispatches a
+	 * {{#crossLink "SoundRecorder/complete:event"}}{{/crossLink}} event.
+	 * @method stop
+	 * @return {Blob} The recording, as a WAV file, or null if recording has already stopped.
+	 */
+	p.stop = function () {
+		if (!this.recording) { return null; }
+		this.recording = this.paused = false;
+
+		this.node.onaudioprocess = null;
+		try {
+			this._source.disconnect(this.node);
+		} catch (e) {
+			// the source was already disconnected
+		}
+		this.node.disconnect(0);
+		this._source = null;
+
+		var channels = [];
+		for (var i = 0, l = this._chunks.length; i < l; i++) {
+			channels.push(this._mergeChunks(this._chunks[i]));
+		}
+		this._chunks = [];
+		this.blob = new Blob([createjs.WAVEncoder.encodeChannels(channels, this._sampleRate, this._bitDepth)], {type: "audio/wav"});
+
+		var event = new createjs.Event("complete");
+		event.blob = this.blob;
+		this.dispatchEvent(event);
+		return this.blob;
+	};
+
+	p.toString = function () {
+		return "[SoundRecorder]";
+	};
+
+
+// private methods:
+	/**
+	 * Collect the audio, and stop once the maximum duration is reached.
+	 * @method _handleAudioProcess
+	 * @param {AudioProcessingEvent} event The event with the audio to collect.
+	 * @protected
+	 */
+	p._handleAudioProcess = function (event) {
+		if (!this.recording || this.paused) { return; }
+
+		var input = event.inputBuffer,
+			maxLength = Math.floor(this.maxDuration * 0.001 * this._sampleRate),
+			length = Math.min(input.length, maxLength - this._length);
+		for (var i = 0, l = this._chunks.length; i < l; i++) {
+			// the input is reused, so it must be copied
+			var data = input.getChannelData(Math.min(i, input.numberOfChannels - 1));
+			this._chunks[i].push(new Float32Array(data.subarray(0, length)));
+		}
+		this._length += length;
+
+		if (this._length >= maxLength) { this.stop(); }
+	};
+
+	/**
+	 * Combine the chunks recorded for a channel.
+	 * @method _mergeChunks
+	 * @param {Array} chunks The Float32Array chunks.
+	 * @return {Float32Array} The channel data.
+	 * @protected
+	 */
+	p._mergeChunks = function (chunks) {
+		var result = new Float32Array(this._length), offset = 0;
+		for (var i = 0, l = chunks.length; i < l; i++) {
+			result.set(chunks[i], offset);
+			offset += chunks[i].length;
+		}
+		return result;
+	};
+
+	createjs.SoundRecorder = createjs.promote(SoundRecorder, "EventDispatcher");
+}());
@@ -0,0 +1,297 @@
+/*
+ * StemGroup
+ * Visit http://createjs.com/ for documentation, updates and examples.
+ *
+ *
+ * Copyright (c) 2012 gskinner.com, inc.
+ *
+ * Permission is hereby granted, free of charge, to any person
+ * obtaining a copy of this software and associated documentation
+ * files (the "Software"), to deal in the Software without
+ * restriction, including without limitation the rights to use,
+ * copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following
+ * conditions:
+ *
+ * The above copyright notice and this permission notice shall be
+ * included in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND,
+ * EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES
+ * OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT
+ * HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY,
+ * WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR
+ * OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+/**
+ * @module SoundJS
+ */
+
+// namespace:
+this.createjs = this.createjs || {};
+
+(function () {
+	"use strict";
+
+	/**
+	 * A StemGroup plays several sounds, such as the drum, bass and string stems of a piece of music, locked together
+	 * so they can be layered in and out by changing their volume. Stem groups are created using
+	 * {{#crossLink "Sound/playStems"}}{{/crossLink}}, and should not be constructed directly.
+	 *
+	 * All of the stems start at the same time on the audio clock, and pausing, seeking and resuming restart them at
+	 * the same time, so they stay on the same sample with the {{#crossLink "WebAudioPlugin"}}{{/crossLink}}. Other
+	 * plugins use a timer, so the stems can drift slightly. Stems loop together when they have the same duration.
+	 *
+	 * <h4>Example</h4>
+	 *
+	 *      var music = createjs.Sound.playStems(["drums", "bass", "strings"], {loop:-1});
+	 *      music.setStemVolume("strings", 0);
+	 *      // when the action starts
+	 *      music.setStemVolume("strings", 1, 2000);
+	 *
+	 * @class StemGroup
+	 * @param {Array} ids The src or ID of each stem.
+	 * @param {PlayPropsConfig} playProps The play properties used for every stem, which include the time to start at.
+	 * @extends EventDispatcher
+	 * @constructor
+	 * @since 1.1.0
+	 */
+	function StemGroup(ids, playProps) {
+		this.EventDispatcher_constructor();
+
+	// public properties:
+		/**
+		 * The src or ID of each stem, in the order they were passed in.
+		 * @property ids
+		 * @type {Array}
+		 * @readOnly
+		 */
+		this.ids = ids.slice();
+
+		/**
+		 * An object hash of the instance playing each stem, by src or ID.
+		 * @property stems
+		 * @type {Object}
+		 * @readOnly
+		 */
+		this.stems = {};
+
+	// getter / setter properties:
+		/**
+		 * Pauses or resumes all of the stems. The stems are resumed at the same time.
+		 * @property paused
+		 * @type {Boolean}
+		 * @default false
+		 */
+		Object.defineProperty(this, "paused", {
+			get: this._getPaused,
+			set: this._setPaused
+		});
+
+		/**
+		 * The position of the playhead of the stems, in milliseconds. Setting this seeks all of the stems to the
+		 * same position.
+		 * @property position
+		 * @type {Number}
+		 */
+		Object.defineProperty(this, "position", {
+			get: this._getPosition,
+			set: this._setPosition
+		});
+
+	// private properties:
+		/**
+		 * The number of stems that are still playing, or waiting to start.
+		 * @property _playing
+		 * @type {Number}
+		 * @protected
+		 */
+		this._playing = 0;
+
+		// Proxies, make removing listeners easier.
+		this._completeHandler = createjs.proxy(this._handleComplete, this);
+
+		for (var i = 0, l = ids.length; i < l; i++) {
+			var instance = createjs.Sound.play(ids[i], createjs.PlayPropsConfig.create(playProps));
+			this.stems[ids[i]] = instance;
+			if (instance.playState != createjs.Sound.PLAY_FAILED) {	// stems can be waiting for a delay
+				this._playing++;
+				instance.addEventListener("complete", this._completeHandler);
+				instance.addEventListener("failed", this._completeHandler);
+			}
+		}
+	}
+
+	var p = createjs.extend(StemGroup, createjs.EventDispatcher);
+	var s = StemGroup;
+
+
+// static properties:
+	/**
+	 * The time to schedule the stems ahead of the audio clock when they are resumed or seeked, in milliseconds, so
+	 * all of them can be restarted before the first one starts.
+	 * @property LOOKAHEAD
+	 * @type {Number}
+	 * @default 50
+	 * @static
+	 */
+	s.LOOKAHEAD = 50;
+
+
+// events:
+	/**
+	 * Dispatched when all of the stems have completed playing, including their loops.
+	 * @event complete
+	 * @param {Object} target The object that dispatched the event.
+	 * @param {String} type The event type.
+	 */
+
+
+// public methods:
+	/**
+	 * Set the volume of a stem, optionally fading to it.
+	 * @method setStemVolume
+	 * @param {String} id The src or ID of the stem.
+	 * @param {Number} volume The volume, between 0 and 1.
+	 * @param {Number} [fadeMs=0] The time to fade over, in milliseconds. See {{#crossLink "AbstractSoundInstance/fadeTo"}}{{/crossLink}}.
+	 * @return {StemGroup} A reference to itself, intended for chaining calls.
+	 */
+	p.setStemVolume = function (id, volume, fadeMs) {
+		var instance = this.stems[id];
+		if (instance == null) { return this; }
+		if (fadeMs > 0) {
+			instance.fadeTo(volume, fadeMs);
+		} else {
+			instance.volume = volume;
+		}
+		return this;
+	};
+
+	/**
+	 * Stop all of the stems.
+	 * @method stop
+	 * @param {Object} [props] The stop properties, which can fade the stems out. See {{#crossLink "AbstractSoundInstance/stop"}}{{/crossLink}}.
+	 * @return {StemGroup} A reference to itself, intended for chaining calls.
+	 */
+	p.stop = function (props) {
+		this._playing = 0;
+		for (var n in this.stems) {
+			this.stems[n].off("complete", this._completeHandler);
+			this.stems[n].off("failed", this._completeHandler);
+			this.stems[n].stop(props);
+		}
+		return this;
+	};
+
+	p.toString = function () {
+		return "[StemGroup]";
+	};
+
+
+// get/set methods that allow support for IE8
+	/**
+	 * Use the {{#crossLink "StemGroup/paused:property"}}{{/crossLink}} property instead.
+	 * @method _getPaused
+	 * @return {Boolean}
+	 * @protected
+	 */
+	p._getPaused = function () {
+		var instance = this._getFirstStem();
+		return instance ? instance.paused : false;
+	};
+
+	/**
+	 * Use the {{#crossLink "StemGroup/paused:property"}}{{/crossLink}} property instead.
+	 * @method _setPaused
+	 * @param {Boolean} value
+	 * @protected
+	 */
+	p._setPaused = function (value) {
+		value = !!value;
+		if (value == this._getPaused()) { return; }
+		if (value) {
+			for (var n in this.stems) { this.stems[n].paused = true; }
+		} else {
+			this._restart(this._getPosition(), false);
+		}
+	};
+
+	/**
+	 * Use the {{#crossLink "StemGroup/position:property"}}{{/crossLink}} property instead.
+	 * @method _getPosition
+	 * @return {Number}
+	 * @protected
+	 */
+	p._getPosition = function () {
+		var instance = this._getFirstStem();
+		return instance ? instance.position : 0;
+	};
+
+	/**
+	 * Use the {{#crossLink "StemGroup/position:property"}}{{/crossLink}} property instead.
+	 * @method _setPosition
+	 * @param {Number} value The position in milliseconds.
+	 * @protected
+	 */
+	p._setPosition = function (value) {
+		this._restart(value, this._getPaused());
+	};
+
+
+// private methods:
+	/**
+	 * Get the instance of the first stem that is still playing, which the position and paused state are read from.
+	 * @method _getFirstStem
+	 * @return {AbstractSoundInstance}
+	 * @protected
+	 */
+	p._getFirstStem = function () {
+		for (var i = 0, l = this.ids.length; i < l; i++) {
+			var instance = this.stems[this.ids[i]];
+			if (instance.playState == createjs.Sound.PLAY_SUCCEEDED) { return instance; }
+		}
+		return null;
+	};
+
+	/**
+	 * Move all of the stems to a position, and start them again at the same time on the audio clock, a
+	 * {{#crossLink "StemGroup/LOOKAHEAD:property"}}{{/crossLink}} from now, unless they are paused.
+	 * @method _restart
+	 * @param {Number} position The position in milliseconds.
+	 * @param {Boolean} paused If the stems stay paused.
+	 * @protected
+	 */
+	p._restart = function (position, paused) {
+		var time = createjs.Sound.getAudioTime() + s.LOOKAHEAD * 0.001;
+		for (var n in this.stems) {
+			var instance = this.stems[n];
+			if (instance.playState != createjs.Sound.PLAY_SUCCEEDED) { continue; }
+			instance._when = time;	// every stem starts at this time, so restarting them one at a time does not offset them
+			if (paused) {
+				instance.position = position;
+			} else {
+				instance.paused = true;
+				instance.position = position;
+				instance.paused = false;
+			}
+		}
+	};
+
+	/**
+	 * A stem has completed or failed to start, and the group completes once all of them have ended.
+	 * @method _handleComplete
+	 * @param {Object} event The complete or failed event.
+	 * @protected
+	 */
+	p._handleComplete = function (event) {
+		event.target.off("complete", this._completeHandler);
+		event.target.off("failed", this._completeHandler);
+		if (--this._playing == 0) { this.dispatchEvent("complete"); }
+	};
+
+	createjs.StemGroup = createjs.promote(StemGroup, "EventDispatcher");
+}());
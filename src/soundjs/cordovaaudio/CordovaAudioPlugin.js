@@ -129,7 +129,14 @@ this.createjs = this.createjs || {};
 		s._capabilities = {
 			panning:false,
 			volume:true,
-			tracks:-1
+			tracks:-1,
+			preciseScheduling:false,
+			effects:false,
+			spatial:false,
+			analysis:false,
+			offline:false,
+			recording:false,
+			mediaStream:false
 		};
 
 		// determine which extensions our browser supports for this plugin by iterating through Sound.SUPPORTED_EXTENSIONS
@@ -158,6 +158,7 @@ this.createjs = this.createjs || {};
 		clearTimeout(this.delayTimeoutId); // clear timeout that plays delayed sound
 
 		this.playState = createjs.Sound.PLAY_FAILED;
+		this._settleFinished(this.playState);
 		this._sendEvent("failed");
 	};
 
@@ -186,11 +187,10 @@ this.createjs = this.createjs || {};
 	p._handleSoundReady = function (event) {
 		this._playbackResource.seekTo(this._startTime + this._position);
 
-		if (this._audioSprite) {
-			this._audioSpriteTimeout = setTimeout(this._audioSpriteEndHandler, this._duration - this._position)
-		}
+		this._updateSpriteTimeout();
 
 		this._playbackResource.play({playAudioWhenScreenIsLocked: this.playWhenScreenLocked});
+		this._updatePlaybackRate();
 		this._playStartTime = Date.now();
 	};
 
@@ -198,7 +198,7 @@ this.createjs = this.createjs || {};
 		clearTimeout(this._audioSpriteTimeout);
 		this._playbackResource.pause();
 		if (this._playStartTime) {
-			this._position = Date.now() - this._playStartTime;
+			this._position = (Date.now() - this._playStartTime) * this._playbackRate;
 			this._playStartTime = null;
 		}
 		this._playbackResource.getCurrentPosition(createjs.proxy(this._updatePausePos, this));
@@ -218,9 +218,7 @@ this.createjs = this.createjs || {};
 	};
 
 	p._resume = function () {
-		if (this._audioSprite) {
-			this._audioSpriteTimeout = setTimeout(this._audioSpriteEndHandler, this._duration - this._position)
-		}
+		this._updateSpriteTimeout();
 
 		this._playbackResource.play({playAudioWhenScreenIsLocked: this.playWhenScreenLocked});
 		this._playStartTime = Date.now();
@@ -237,7 +235,7 @@ this.createjs = this.createjs || {};
 	};
 
 	p._updateVolume = function () {
-		var newVolume = (this._muted || createjs.Sound._masterMute) ? 0 : this._volume * createjs.Sound._masterVolume;
+		var newVolume = (this._muted || createjs.Sound._masterMute) ? 0 : this._volume * this._getBusVolume() * this._getDuckVolume() * this._getSpatialVolume() * createjs.Sound._masterVolume;
 		this._playbackResource.setVolume(newVolume);
 	};
 
@@ -245,7 +243,7 @@ this.createjs = this.createjs || {};
 		// return best guess position.
 		// Note if Media and js clock are out of sync, this value will become increasingly inaccurate over time
 		if (this._playStartTime) {
-			this._position = Date.now() - this._playStartTime + this._position;
+			this._position = (Date.now() - this._playStartTime) * this._playbackRate + this._position;
 			this._playStartTime = Date.now();
 		}
 		return this._position;
@@ -254,10 +252,13 @@ this.createjs = this.createjs || {};
 	p._updatePosition = function() {
 		this._playbackResource.seekTo(this._startTime + this._position);
 		this._playStartTime = Date.now();
-		if (this._audioSprite) {
-			clearTimeout(this._audioSpriteTimeout);
-			this._audioSpriteTimeout = setTimeout(this._audioSpriteEndHandler, this._duration - this._position)
-		}
+		this._updateSpriteTimeout();
+	};
+
+	// Media.setRate is not available on every platform, in which case the sound plays at normal speed
+	p._updatePlaybackRate = function () {
+		if (this._playbackResource.setRate) { this._playbackResource.setRate(this._playbackRate); }
+		if (this.playState == createjs.Sound.PLAY_SUCCEEDED && !this._paused) { this._updateSpriteTimeout(); }
 	};
 
 	p._handleLoop = function (event) {
@@ -276,11 +277,30 @@ this.createjs = this.createjs || {};
 		this._audioSprite
 
 		if(this.playState == createjs.Sound.PLAY_SUCCEEDED) {
-			clearTimeout(this._audioSpriteTimeout);
-			this._audioSpriteTimeout = setTimeout(this._audioSpriteEndHandler, this._duration - this.position)
+			this._getPosition();
+			this._updateSpriteTimeout();
 		}
 	};
 
+	p._updateLoopRegion = function () {
+		if (this.playState == createjs.Sound.PLAY_SUCCEEDED && !this._paused) { this._updateSpriteTimeout(); }
+	};
+
+	/**
+	 * Set the timeout for the end of an audio sprite, or the loopEnd of a loop region while looping, as Media can not
+	 * stop at a set time. Loop regions are emulated by seeking back to the loopStart when it completes.
+	 * @method _updateSpriteTimeout
+	 * @protected
+	 * @since 1.1.0
+	 */
+	p._updateSpriteTimeout = function () {
+		clearTimeout(this._audioSpriteTimeout);
+		var region = this._loop != 0 && this._hasLoopRegion();
+		if (!this._audioSprite && !region) { return; }
+		var end = region ? this._getLoopEndTime() : this._duration;
+		this._audioSpriteTimeout = setTimeout(this._audioSpriteEndHandler, (end - this._position) / this._playbackRate);
+	};
+
 	p._setDurationFromSource = function () {
 		this._duration = createjs.Sound.activePlugin.getSrcDuration(this.src);	// TODO find a better way to do this that does not break flow
 	};
@@ -57,10 +57,16 @@
  *
  * 		createjs.Sound.play("MyAudioSprite", {startTime: 1000, duration: 400});
  *
+ * Sounds with an intro can set a loopStart and loopEnd, in milliseconds from the startTime, so only that region
+ * repeats when they loop. The audio after the loopEnd plays once, on the final loop.
+ *
+ * 		{id:"music", startTime:2700, duration:30000, loopStart:4000, loopEnd:28000}
+ *
  * The excellent CreateJS community has created a tool to create audio sprites, available at
- * <a href="https://github.com/tonistiigi/audiosprite" target="_blank">https://github.com/tonistiigi/audiosprite</a>,
- * as well as a <a href="http://jsfiddle.net/bharat_battu/g8fFP/12/" target="_blank">jsfiddle</a> to convert the output
- * to SoundJS format.
+ * <a href="https://github.com/tonistiigi/audiosprite" target="_blank">https://github.com/tonistiigi/audiosprite</a>.
+ * Its JSON output, and the Howler sprite format, can be registered directly using {{#crossLink "Sound/registerAudioSpriteJSON"}}{{/crossLink}}.
+ *
+ * 		createjs.Sound.registerAudioSpriteJSON("assets/sprite.json", "assets/");
  *
  * @class AudioSprite
  * @since 0.6.0
@@ -46,6 +46,8 @@ this.createjs = this.createjs || {};
 	 * if the maximum number of instances of the sound are already playing. Values are defined as <code>INTERRUPT_TYPE</code>
 	 * constants on the Sound class, with the default defined by {{#crossLink "Sound/defaultInterruptBehavior:property"}}{{/crossLink}}.</li>
 	 * <li>delay - The amount of time to delay the start of audio playback, in milliseconds.</li>
+	 * <li>when - The time on the audio clock to start playback at, in seconds, which replaces delay.</li>
+	 * <li>quantize - Delays the start to the next "beat", "bar", or note value such as "1/8" on {{#crossLink "Sound/clock:property"}}{{/crossLink}}.</li>
 	 * <li>offset - The offset from the start of the audio to begin playback, in milliseconds.</li>
 	 * <li>loop - How many times the audio loops when it reaches the end of playback. The default is 0 (no
 	 * loops), and -1 can be used for infinite playback.</li>
@@ -54,6 +56,15 @@ this.createjs = this.createjs || {};
 	 * <li>pan - The left-right pan of the sound (if supported), between -1 (left) and 1 (right).</li>
 	 * <li>startTime - To create an audio sprite (with duration), the initial offset to start playback and loop from, in milliseconds.</li>
 	 * <li>duration - To create an audio sprite (with startTime), the amount of time to play the clip for, in milliseconds.</li>
+	 * <li>loopStart - The position that loops return to, in milliseconds from startTime, so the audio before it plays once as an intro.</li>
+	 * <li>loopEnd - The position that loops return from, in milliseconds from startTime, so the audio after it plays once as an outro.</li>
+	 * <li>playbackRate - The rate to play the sound at, which changes both speed and pitch. 1 is normal speed.</li>
+	 * <li>bus - The name of the {{#crossLink "SoundBus"}}{{/crossLink}} to play the sound through.</li>
+	 * <li>fadeIn - The amount of time to fade in from silence over when playback begins, in milliseconds.</li>
+	 * <li>fadeOut - The amount of time to fade out over at the end of the final loop, in milliseconds.</li>
+	 * <li>priority - How important the sound is when {{#crossLink "Sound/maxVoices:property"}}{{/crossLink}} are
+	 * playing. Higher priority sounds can steal voices from lower priority sounds.</li>
+	 * <li>tag - A tag used to match the sound in {{#crossLink "Sound/addDuckingRule"}}{{/crossLink}} rules.</li>
 	 * </ul>
 	 *
 	 * <h4>Example</h4>
@@ -89,6 +100,31 @@ this.createjs = this.createjs || {};
 		 */
 		this.delay = null;
 
+		/**
+		 * The time to start playback at, in seconds, on the clock returned by {{#crossLink "Sound/getAudioTime"}}{{/crossLink}}.
+		 * This is used instead of {{#crossLink "PlayPropsConfig/delay:property"}}{{/crossLink}}, and times that have
+		 * already passed start immediately. With the {{#crossLink "WebAudioPlugin"}}{{/crossLink}} playback starts
+		 * exactly at this time, while other plugins use a timer, as indicated by the <code>preciseScheduling</code>
+		 * {{#crossLink "Sound/capabilities:property"}}{{/crossLink}}.
+		 * @property when
+		 * @type {number}
+		 * @default null
+		 * @since 1.1.0
+		 */
+		this.when = null;
+
+		/**
+		 * Delays the start of playback to the next point on a grid of the {{#crossLink "Sound/clock:property"}}{{/crossLink}},
+		 * which is "beat", "bar", or a note value such as "1/8". The start is scheduled using
+		 * {{#crossLink "PlayPropsConfig/when:property"}}{{/crossLink}}, after any delay. This has no effect if the
+		 * clock is not running. See {{#crossLink "SoundClock/getNextTime"}}{{/crossLink}}.
+		 * @property quantize
+		 * @type {string}
+		 * @default null
+		 * @since 1.1.0
+		 */
+		this.quantize = null;
+
 		/**
 		 * The offset from the start of the audio to begin playback, in milliseconds.
 		 * @property offset
@@ -138,6 +174,86 @@ this.createjs = this.createjs || {};
 		 * @default null
 		 */
 		this.duration = null;
+
+		/**
+		 * The position that each loop returns to, in milliseconds from the {{#crossLink "PlayPropsConfig/startTime:property"}}{{/crossLink}}.
+		 * The audio before it plays once as an intro. See {{#crossLink "AbstractSoundInstance/loopStart:property"}}{{/crossLink}}.
+		 * @property loopStart
+		 * @type {number}
+		 * @default null
+		 * @since 1.1.0
+		 */
+		this.loopStart = null;
+
+		/**
+		 * The position that each loop returns from, in milliseconds from the {{#crossLink "PlayPropsConfig/startTime:property"}}{{/crossLink}}.
+		 * The audio after it plays once, on the final loop, as an outro. See {{#crossLink "AbstractSoundInstance/loopEnd:property"}}{{/crossLink}}.
+		 * @property loopEnd
+		 * @type {number}
+		 * @default null
+		 * @since 1.1.0
+		 */
+		this.loopEnd = null;
+
+		/**
+		 * The rate to play the sound at, which changes both speed and pitch. 1 is normal speed, 0.5 is half speed,
+		 * and 2 is double speed. See {{#crossLink "AbstractSoundInstance/playbackRate:property"}}{{/crossLink}}.
+		 * @property playbackRate
+		 * @type {number}
+		 * @default null
+		 * @since 1.1.0
+		 */
+		this.playbackRate = null;
+
+		/**
+		 * The name of the {{#crossLink "SoundBus"}}{{/crossLink}} to play the sound through, created using
+		 * {{#crossLink "Sound/createBus"}}{{/crossLink}}.
+		 * @property bus
+		 * @type {string}
+		 * @default null
+		 * @since 1.1.0
+		 */
+		this.bus = null;
+
+		/**
+		 * The amount of time to fade in from silence over when playback begins, in milliseconds. See
+		 * {{#crossLink "AbstractSoundInstance/fadeTo"}}{{/crossLink}}.
+		 * @property fadeIn
+		 * @type {number}
+		 * @default null
+		 * @since 1.1.0
+		 */
+		this.fadeIn = null;
+
+		/**
+		 * The amount of time to fade out over at the end of playback, in milliseconds. The fade out happens during
+		 * the final loop, and the volume is restored once playback completes.
+		 * @property fadeOut
+		 * @type {number}
+		 * @default null
+		 * @since 1.1.0
+		 */
+		this.fadeOut = null;
+
+		/**
+		 * How important the sound is when the number of voices playing reaches {{#crossLink "Sound/maxVoices:property"}}{{/crossLink}}.
+		 * See {{#crossLink "AbstractSoundInstance/priority:property"}}{{/crossLink}}.
+		 * @property priority
+		 * @type {number}
+		 * @default null
+		 * @since 1.1.0
+		 */
+		this.priority = null;
+
+		/**
+		 * A tag used to match the sound in {{#crossLink "Sound/addDuckingRule"}}{{/crossLink}} rules, for example
+		 * "dialogue" or "music". See {{#crossLink "AbstractSoundInstance/tag:property"}}{{/crossLink}}.
+		 * @property tag
+		 * @type {string}
+		 * @default null
+		 * @since 1.1.0
+		 */
+		this.tag = null;
 	};
 	var p = PlayPropsConfig.prototype = {};
 	var s = PlayPropsConfig;
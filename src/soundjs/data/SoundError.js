@@ -0,0 +1,150 @@
+/*
+ * SoundError
+ * Visit http://createjs.com/ for documentation, updates and examples.
+ *
+ *
+ * Copyright (c) 2012 gskinner.com, inc.
+ *
+ * Permission is hereby granted, free of charge, to any person
+ * obtaining a copy of this software and associated documentation
+ * files (the "Software"), to deal in the Software without
+ * restriction, including without limitation the rights to use,
+ * copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following
+ * conditions:
+ *
+ * The above copyright notice and this permission notice shall be
+ * included in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND,
+ * EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES
+ * OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT
+ * HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY,
+ * WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR
+ * OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+/**
+ * @module SoundJS
+ */
+
+// namespace:
+this.createjs = this.createjs || {};
+
+(function () {
+	"use strict";
+
+	/**
+	 * An Error that describes why a promise returned or exposed by Sound was rejected, such as the promise returned by
+	 * {{#crossLink "Sound/load"}}{{/crossLink}}, or the {{#crossLink "AbstractSoundInstance/finished:property"}}{{/crossLink}}
+	 * promise of an instance. Check the {{#crossLink "SoundError/type:property"}}{{/crossLink}} against the static
+	 * constants to find out what went wrong.
+	 *
+	 * <h4>Example</h4>
+	 *
+	 *      createjs.Sound.load("music.ogg").catch(function (error) {
+	 *          if (error.type == createjs.SoundError.LOAD_FAILED) {
+	 *              console.log("Could not load", error.data.src);
+	 *          }
+	 *      });
+	 *
+	 * @class SoundError
+	 * @extends Error
+	 * @param {String} type The type of error, one of the static constants on SoundError.
+	 * @param {String} [message] The error description.
+	 * @param {Object} [data] Additional error data, such as the item that failed to load or the instance that failed.
+	 * @constructor
+	 * @since 1.1.0
+	 */
+	function SoundError(type, message, data) {
+		/**
+		 * The name of the error, used when the error is logged.
+		 * @property name
+		 * @type {String}
+		 * @default "SoundError"
+		 */
+		this.name = "SoundError";
+
+		/**
+		 * The type of error that occurred, which will match one of the static constants on SoundError.
+		 * @property type
+		 * @type {String}
+		 */
+		this.type = type;
+
+		/**
+		 * The verbose error message, containing details about the error.
+		 * @property message
+		 * @type {String}
+		 */
+		this.message = message || type;
+
+		/**
+		 * Additional data attached to the error.
+		 * @property data
+		 * @type {Object}
+		 */
+		this.data = data;
+
+		if (Error.captureStackTrace) {
+			Error.captureStackTrace(this, SoundError);
+		} else {
+			this.stack = (new Error(this.message)).stack;
+		}
+	}
+
+	var p = createjs.extend(SoundError, Error);
+	var s = SoundError;
+
+// static properties
+	/**
+	 * The source could not be loaded, for example because the file was missing or could not be decoded. The data
+	 * property contains the item that failed.
+	 * @property LOAD_FAILED
+	 * @type {String}
+	 * @default loadFailed
+	 * @static
+	 */
+	s.LOAD_FAILED = "loadFailed";
+
+	/**
+	 * The source could not be registered, because none of its extensions are supported or no plugin could be
+	 * initialized. The data property contains the item that was passed in.
+	 * @property UNSUPPORTED
+	 * @type {String}
+	 * @default unsupported
+	 * @static
+	 */
+	s.UNSUPPORTED = "unsupported";
+
+	/**
+	 * The data describing sounds, such as a manifest passed to {{#crossLink "Sound/registerManifest"}}{{/crossLink}},
+	 * is not valid. The data property contains the <code>src</code> of the data, and a list of <code>errors</code>.
+	 * @property INVALID_DATA
+	 * @type {String}
+	 * @default invalidData
+	 * @static
+	 * @since 1.1.0
+	 */
+	s.INVALID_DATA = "invalidData";
+
+	/**
+	 * An instance failed to play, for example because the sound was not loaded or there were no channels available.
+	 * The data property contains the {{#crossLink "AbstractSoundInstance"}}{{/crossLink}}.
+	 * @property PLAY_FAILED
+	 * @type {String}
+	 * @default playFailed
+	 * @static
+	 */
+	s.PLAY_FAILED = "playFailed";
+
+// public methods
+	p.toString = function () {
+		return "[SoundError (type=" + this.type + " message=" + this.message + ")]";
+	};
+
+	createjs.SoundError = SoundError;
+}());
@@ -0,0 +1,239 @@
+/*
+ * AbstractEffect
+ * Visit http://createjs.com/ for documentation, updates and examples.
+ *
+ *
+ * Copyright (c) 2012 gskinner.com, inc.
+ *
+ * Permission is hereby granted, free of charge, to any person
+ * obtaining a copy of this software and associated documentation
+ * files (the "Software"), to deal in the Software without
+ * restriction, including without limitation the rights to use,
+ * copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following
+ * conditions:
+ *
+ * The above copyright notice and this permission notice shall be
+ * included in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND,
+ * EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES
+ * OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT
+ * HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY,
+ * WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR
+ * OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+/**
+ * @module SoundJS
+ */
+
+// namespace:
+this.createjs = this.createjs || {};
+
+(function () {
+	"use strict";
+
+	/**
+	 * The base class for audio effects, which can be added to the output of an {{#crossLink "AbstractSoundInstance"}}{{/crossLink}}
+	 * with {{#crossLink "AbstractSoundInstance/addEffect"}}{{/crossLink}}, or to the master output with
+	 * {{#crossLink "Sound/masterEffects:property"}}{{/crossLink}}. Effects are applied in the order they are added.
+	 *
+	 * Each effect has parameters that are exposed as properties, and can be changed at any time, including while the
+	 * effect is processing audio. Parameters can also be passed to the constructor, or set with
+	 * {{#crossLink "AbstractEffect/set"}}{{/crossLink}}.
+	 *
+	 * Effects are only supported by plugins that report the <code>effects</code> {{#crossLink "Sound/capabilities:property"}}{{/crossLink}},
+	 * which is currently the {{#crossLink "WebAudioPlugin"}}{{/crossLink}}. Other plugins keep track of the effects
+	 * that are added, but play without them.
+	 *
+	 * The AbstractEffect is not meant to be used directly. SoundJS includes the {{#crossLink "FilterEffect"}}{{/crossLink}},
+	 * {{#crossLink "DelayEffect"}}{{/crossLink}}, {{#crossLink "ReverbEffect"}}{{/crossLink}},
+	 * {{#crossLink "DistortionEffect"}}{{/crossLink}} and {{#crossLink "CompressorEffect"}}{{/crossLink}}. Custom
+	 * effects can extend AbstractEffect and implement {{#crossLink "AbstractEffect/_createNodes"}}{{/crossLink}} and
+	 * {{#crossLink "AbstractEffect/_updateParam"}}{{/crossLink}}.
+	 *
+	 * Note an effect can only be used in one place at a time.
+	 *
+	 * <h4>Example</h4>
+	 *
+	 *      var echo = new createjs.DelayEffect({delay:300, feedback:0.5});
+	 *      var instance = createjs.Sound.play("voice");
+	 *      instance.addEffect(echo);
+	 *      echo.feedback = 0.2;
+	 *
+	 *      createjs.Sound.masterEffects = [new createjs.CompressorEffect({threshold:-30})];
+	 *
+	 * @class AbstractEffect
+	 * @constructor
+	 * @since 1.1.0
+	 */
+	var AbstractEffect = function () {
+
+	// public properties:
+		/**
+		 * The node that audio is connected to, to be processed by the effect. This is null until the effect has been
+		 * added to a plugin that supports effects.
+		 * @property input
+		 * @type {AudioNode}
+		 * @default null
+		 * @readOnly
+		 */
+		this.input = null;
+
+		/**
+		 * The node that the processed audio is output from. This is null until the effect has been added to a plugin
+		 * that supports effects.
+		 * @property output
+		 * @type {AudioNode}
+		 * @default null
+		 * @readOnly
+		 */
+		this.output = null;
+
+		/**
+		 * The audio context the effect nodes were created in.
+		 * @property context
+		 * @type {AudioContext}
+		 * @default null
+		 * @readOnly
+		 */
+		this.context = null;
+
+
+	// private properties:
+		/**
+		 * An object hash of the current value of each parameter, by name.
+		 * @property _params
+		 * @type {Object}
+		 * @protected
+		 */
+		this._params = {};
+	};
+
+	var p = AbstractEffect.prototype;
+	p.constructor = AbstractEffect;
+	var s = AbstractEffect;
+
+
+// Static Methods
+	/**
+	 * Connect a node through an array of effects to a destination node. The source node and each effect are
+	 * disconnected from their previous outputs first. Should not be called externally.
+	 * @method connectChain
+	 * @param {AudioNode} source The node to connect to the first effect.
+	 * @param {Array} effects An array of effects.
+	 * @param {AudioNode} destination The node to connect the last effect to.
+	 * @static
+	 */
+	s.connectChain = function (source, effects, destination) {
+		source.disconnect(0);
+		var node = source;
+		for (var i = 0, l = effects.length; i < l; i++) {
+			effects[i]._attach(source.context);
+			effects[i].output.disconnect(0);
+			node.connect(effects[i].input);
+			node = effects[i].output;
+		}
+		node.connect(destination);
+	};
+
+
+// Public Methods
+	/**
+	 * Provides a chainable shortcut method for setting a number of parameters on the effect.
+	 *
+	 * <h4>Example</h4>
+	 *
+	 *      var filter = new createjs.FilterEffect().set({type:"highpass", frequency:800});
+	 *
+	 * @method set
+	 * @param {Object} props A generic object containing parameter values to copy to the effect.
+	 * @return {AbstractEffect} Returns the instance the method is called on (useful for chaining calls.)
+	 */
+	p.set = function (props) {
+		if (props != null) {
+			for (var n in props) {
+				if (n in this._params) { this[n] = props[n]; }
+			}
+		}
+		return this;
+	};
+
+	/**
+	 * Disconnect the output of the effect. This is called when the effect is removed.
+	 * @method disconnect
+	 */
+	p.disconnect = function () {
+		if (this.output) { this.output.disconnect(0); }
+	};
+
+	p.toString = function () {
+		return "[AbstractEffect]";
+	};
+
+
+// Private Methods
+	/**
+	 * Define a parameter as a property of the effect. When the property is set, the new value is applied with
+	 * {{#crossLink "AbstractEffect/_updateParam"}}{{/crossLink}} if the effect nodes have been created.
+	 * @method _defineParam
+	 * @param {String} name The name of the parameter.
+	 * @param {*} value The default value of the parameter.
+	 * @protected
+	 */
+	p._defineParam = function (name, value) {
+		this._params[name] = value;
+		Object.defineProperty(this, name, {
+			get: function () {
+				return this._params[name];
+			},
+			set: function (value) {
+				this._params[name] = value;
+				if (this.input) { this._updateParam(name, value); }
+			}
+		});
+	};
+
+	/**
+	 * Create the effect nodes in an audio context, and apply each parameter. Nodes are only created once.
+	 * @method _attach
+	 * @param {AudioContext} context The audio context to create the nodes in.
+	 * @protected
+	 */
+	p._attach = function (context) {
+		if (this.context == context) { return; }
+		this.context = context;
+		this._createNodes(context);
+		for (var n in this._params) {
+			this._updateParam(n, this._params[n]);
+		}
+	};
+
+	/**
+	 * Create the nodes of the effect, and set the {{#crossLink "AbstractEffect/input:property"}}{{/crossLink}} and
+	 * {{#crossLink "AbstractEffect/output:property"}}{{/crossLink}} nodes. Effects must override this.
+	 * @method _createNodes
+	 * @param {AudioContext} context The audio context to create the nodes in.
+	 * @protected
+	 */
+	p._createNodes = function (context) {
+		this.input = this.output = context.createGain();
+	};
+
+	/**
+	 * Apply the value of a parameter to the effect nodes. Effects must override this.
+	 * @method _updateParam
+	 * @param {String} name The name of the parameter.
+	 * @param {*} value The value of the parameter.
+	 * @protected
+	 */
+	p._updateParam = function (name, value) {
+		// plugin specific code
+	};
+
+	createjs.AbstractEffect = AbstractEffect;
+}());
@@ -0,0 +1,120 @@
+/*
+ * CompressorEffect
+ * Visit http://createjs.com/ for documentation, updates and examples.
+ *
+ *
+ * Copyright (c) 2012 gskinner.com, inc.
+ *
+ * Permission is hereby granted, free of charge, to any person
+ * obtaining a copy of this software and associated documentation
+ * files (the "Software"), to deal in the Software without
+ * restriction, including without limitation the rights to use,
+ * copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following
+ * conditions:
+ *
+ * The above copyright notice and this permission notice shall be
+ * included in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND,
+ * EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES
+ * OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT
+ * HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY,
+ * WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR
+ * OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+/**
+ * @module SoundJS
+ */
+
+// namespace:
+this.createjs = this.createjs || {};
+
+(function () {
+	"use strict";
+
+	/**
+	 * A compressor effect, which uses a DynamicsCompressorNode to reduce the volume of loud audio, evening out the
+	 * overall level. See {{#crossLink "AbstractEffect"}}{{/crossLink}} for details on using effects.
+	 *
+	 * Note the {{#crossLink "WebAudioPlugin"}}{{/crossLink}} already applies a compressor with the default settings
+	 * to the final output, which is available as {{#crossLink "WebAudioPlugin/dynamicsCompressorNode:property"}}{{/crossLink}}.
+	 *
+	 * <h4>Example</h4>
+	 *
+	 *      var compressor = new createjs.CompressorEffect({threshold:-40, ratio:4});
+	 *      createjs.Sound.masterEffects = [compressor];
+	 *
+	 * @class CompressorEffect
+	 * @extends AbstractEffect
+	 * @param {Object} [props] An object with parameter values to set on the effect.
+	 * @constructor
+	 * @since 1.1.0
+	 */
+	function CompressorEffect(props) {
+		this.AbstractEffect_constructor();
+
+		/**
+		 * The level above which audio is compressed, in decibels.
+		 * @property threshold
+		 * @type {Number}
+		 * @default -24
+		 */
+		this._defineParam("threshold", -24);
+
+		/**
+		 * The range above the threshold over which compression is gradually applied, in decibels.
+		 * @property knee
+		 * @type {Number}
+		 * @default 30
+		 */
+		this._defineParam("knee", 30);
+
+		/**
+		 * The amount of compression, as the change in input level in decibels for a 1 decibel change in output.
+		 * @property ratio
+		 * @type {Number}
+		 * @default 12
+		 */
+		this._defineParam("ratio", 12);
+
+		/**
+		 * The amount of time to reduce the volume over, in milliseconds.
+		 * @property attack
+		 * @type {Number}
+		 * @default 3
+		 */
+		this._defineParam("attack", 3);
+
+		/**
+		 * The amount of time to restore the volume over, in milliseconds.
+		 * @property release
+		 * @type {Number}
+		 * @default 250
+		 */
+		this._defineParam("release", 250);
+
+		this.set(props);
+	}
+
+	var p = createjs.extend(CompressorEffect, createjs.AbstractEffect);
+
+	p.toString = function () {
+		return "[CompressorEffect]";
+	};
+
+	p._createNodes = function (context) {
+		this.input = this.output = context.createDynamicsCompressor();
+	};
+
+	p._updateParam = function (name, value) {
+		if (name == "attack" || name == "release") { value *= 0.001; }
+		this.input[name].value = value;
+	};
+
+	createjs.CompressorEffect = createjs.promote(CompressorEffect, "AbstractEffect");
+}());
@@ -0,0 +1,168 @@
+/*
+ * DelayEffect
+ * Visit http://createjs.com/ for documentation, updates and examples.
+ *
+ *
+ * Copyright (c) 2012 gskinner.com, inc.
+ *
+ * Permission is hereby granted, free of charge, to any person
+ * obtaining a copy of this software and associated documentation
+ * files (the "Software"), to deal in the Software without
+ * restriction, including without limitation the rights to use,
+ * copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following
+ * conditions:
+ *
+ * The above copyright notice and this permission notice shall be
+ * included in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND,
+ * EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES
+ * OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT
+ * HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY,
+ * WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR
+ * OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+/**
+ * @module SoundJS
+ */
+
+// namespace:
+this.createjs = this.createjs || {};
+
+(function () {
+	"use strict";
+
+	/**
+	 * An echo effect, which mixes a delayed copy of the audio back in with itself. Feedback feeds the delayed audio
+	 * back into the delay, so the echo repeats and dies away. See {{#crossLink "AbstractEffect"}}{{/crossLink}} for
+	 * details on using effects.
+	 *
+	 * <h4>Example</h4>
+	 *
+	 *      var echo = new createjs.DelayEffect({delay:400, feedback:0.5, mix:0.4});
+	 *      createjs.Sound.play("shout").addEffect(echo);
+	 *
+	 * @class DelayEffect
+	 * @extends AbstractEffect
+	 * @param {Object} [props] An object with parameter values to set on the effect.
+	 * @constructor
+	 * @since 1.1.0
+	 */
+	function DelayEffect(props) {
+		this.AbstractEffect_constructor();
+
+		/**
+		 * The time between echoes, in milliseconds, up to {{#crossLink "DelayEffect/MAX_DELAY:property"}}{{/crossLink}}.
+		 * @property delay
+		 * @type {Number}
+		 * @default 250
+		 */
+		this._defineParam("delay", 250);
+
+		/**
+		 * The amount of each echo that is fed back into the delay, between 0 and 1. Higher values repeat for longer.
+		 * @property feedback
+		 * @type {Number}
+		 * @default 0.4
+		 */
+		this._defineParam("feedback", 0.4);
+
+		/**
+		 * The amount of the echo in the output, between 0 (only the original audio) and 1 (only the echo).
+		 * @property mix
+		 * @type {Number}
+		 * @default 0.5
+		 */
+		this._defineParam("mix", 0.5);
+
+		/**
+		 * The DelayNode used to delay the audio.
+		 * @property _delayNode
+		 * @type {DelayNode}
+		 * @protected
+		 */
+		this._delayNode = null;
+
+		/**
+		 * The GainNode that feeds the delayed audio back into the delay.
+		 * @property _feedbackNode
+		 * @type {AudioGainNode}
+		 * @protected
+		 */
+		this._feedbackNode = null;
+
+		/**
+		 * The GainNode for the original audio.
+		 * @property _dryNode
+		 * @type {AudioGainNode}
+		 * @protected
+		 */
+		this._dryNode = null;
+
+		/**
+		 * The GainNode for the delayed audio.
+		 * @property _wetNode
+		 * @type {AudioGainNode}
+		 * @protected
+		 */
+		this._wetNode = null;
+
+		this.set(props);
+	}
+
+	var p = createjs.extend(DelayEffect, createjs.AbstractEffect);
+	var s = DelayEffect;
+
+	/**
+	 * The longest delay supported, in milliseconds.
+	 * @property MAX_DELAY
+	 * @type {Number}
+	 * @default 5000
+	 * @static
+	 */
+	s.MAX_DELAY = 5000;
+
+	p.toString = function () {
+		return "[DelayEffect]";
+	};
+
+	p._createNodes = function (context) {
+		this.input = context.createGain();
+		this.output = context.createGain();
+		this._dryNode = context.createGain();
+		this._wetNode = context.createGain();
+		this._delayNode = context.createDelay(s.MAX_DELAY * 0.001);
+		this._feedbackNode = context.createGain();
+
+		this.input.connect(this._dryNode);
+		this._dryNode.connect(this.output);
+		this.input.connect(this._delayNode);
+		this._delayNode.connect(this._feedbackNode);
+		this._feedbackNode.connect(this._delayNode);
+		this._delayNode.connect(this._wetNode);
+		this._wetNode.connect(this.output);
+	};
+
+	p._updateParam = function (name, value) {
+		switch (name) {
+			case "delay":
+				this._delayNode.delayTime.value = Math.max(0, Math.min(s.MAX_DELAY, value)) * 0.001;
+				break;
+			case "feedback":
+				this._feedbackNode.gain.value = Math.max(0, Math.min(0.95, value));	// 1 or more would never die away
+				break;
+			case "mix":
+				value = Math.max(0, Math.min(1, value));
+				this._dryNode.gain.value = 1 - value;
+				this._wetNode.gain.value = value;
+				break;
+		}
+	};
+
+	createjs.DelayEffect = createjs.promote(DelayEffect, "AbstractEffect");
+}());
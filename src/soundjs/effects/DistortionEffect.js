@@ -0,0 +1,124 @@
+/*
+ * DistortionEffect
+ * Visit http://createjs.com/ for documentation, updates and examples.
+ *
+ *
+ * Copyright (c) 2012 gskinner.com, inc.
+ *
+ * Permission is hereby granted, free of charge, to any person
+ * obtaining a copy of this software and associated documentation
+ * files (the "Software"), to deal in the Software without
+ * restriction, including without limitation the rights to use,
+ * copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following
+ * conditions:
+ *
+ * The above copyright notice and this permission notice shall be
+ * included in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND,
+ * EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES
+ * OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT
+ * HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY,
+ * WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR
+ * OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+/**
+ * @module SoundJS
+ */
+
+// namespace:
+this.createjs = this.createjs || {};
+
+(function () {
+	"use strict";
+
+	/**
+	 * A distortion effect, which shapes the audio with a WaveShaperNode to add overdrive. See
+	 * {{#crossLink "AbstractEffect"}}{{/crossLink}} for details on using effects.
+	 *
+	 * <h4>Example</h4>
+	 *
+	 *      var radio = new createjs.DistortionEffect({amount:0.8});
+	 *      createjs.Sound.play("transmission").addEffect(radio);
+	 *
+	 * @class DistortionEffect
+	 * @extends AbstractEffect
+	 * @param {Object} [props] An object with parameter values to set on the effect.
+	 * @constructor
+	 * @since 1.1.0
+	 */
+	function DistortionEffect(props) {
+		this.AbstractEffect_constructor();
+
+		/**
+		 * The amount of distortion, between 0 (none) and 1 (heavy).
+		 * @property amount
+		 * @type {Number}
+		 * @default 0.5
+		 */
+		this._defineParam("amount", 0.5);
+
+		/**
+		 * The oversampling used to reduce aliasing, which can be "none", "2x" or "4x".
+		 * @property oversample
+		 * @type {String}
+		 * @default "4x"
+		 */
+		this._defineParam("oversample", "4x");
+
+		this.set(props);
+	}
+
+	var p = createjs.extend(DistortionEffect, createjs.AbstractEffect);
+	var s = DistortionEffect;
+
+	/**
+	 * The number of points in the distortion curve.
+	 * @property CURVE_LENGTH
+	 * @type {Number}
+	 * @default 4096
+	 * @static
+	 */
+	s.CURVE_LENGTH = 4096;
+
+	p.toString = function () {
+		return "[DistortionEffect]";
+	};
+
+	p._createNodes = function (context) {
+		this.input = this.output = context.createWaveShaper();
+	};
+
+	p._updateParam = function (name, value) {
+		if (name == "oversample") {
+			this.input.oversample = value;
+		} else {
+			this.input.curve = this._createCurve(Math.max(0, Math.min(1, value)));
+		}
+	};
+
+	/**
+	 * Create a distortion curve for the WaveShaperNode.
+	 * @method _createCurve
+	 * @param {Number} amount The amount of distortion, between 0 and 1.
+	 * @return {Float32Array} The curve.
+	 * @protected
+	 */
+	p._createCurve = function (amount) {
+		var k = amount * 100,
+			length = s.CURVE_LENGTH,
+			curve = new Float32Array(length);
+		for (var i = 0; i < length; i++) {
+			var x = i * 2 / length - 1;
+			curve[i] = (1 + k) * x / (1 + k * Math.abs(x));
+		}
+		return curve;
+	};
+
+	createjs.DistortionEffect = createjs.promote(DistortionEffect, "AbstractEffect");
+}());
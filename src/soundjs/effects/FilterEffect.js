@@ -0,0 +1,114 @@
+/*
+ * FilterEffect
+ * Visit http://createjs.com/ for documentation, updates and examples.
+ *
+ *
+ * Copyright (c) 2012 gskinner.com, inc.
+ *
+ * Permission is hereby granted, free of charge, to any person
+ * obtaining a copy of this software and associated documentation
+ * files (the "Software"), to deal in the Software without
+ * restriction, including without limitation the rights to use,
+ * copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following
+ * conditions:
+ *
+ * The above copyright notice and this permission notice shall be
+ * included in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND,
+ * EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES
+ * OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT
+ * HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY,
+ * WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR
+ * OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+/**
+ * @module SoundJS
+ */
+
+// namespace:
+this.createjs = this.createjs || {};
+
+(function () {
+	"use strict";
+
+	/**
+	 * An effect that filters audio with a BiquadFilterNode, for example to muffle a sound with a lowpass filter, or to
+	 * thin it out with a highpass filter. See {{#crossLink "AbstractEffect"}}{{/crossLink}} for details on using effects.
+	 *
+	 * <h4>Example</h4>
+	 *
+	 *      var muffle = new createjs.FilterEffect({type:"lowpass", frequency:800});
+	 *      createjs.Sound.play("music").addEffect(muffle);
+	 *      muffle.frequency = 20000;	// open the filter back up
+	 *
+	 * @class FilterEffect
+	 * @extends AbstractEffect
+	 * @param {Object} [props] An object with parameter values to set on the effect.
+	 * @constructor
+	 * @since 1.1.0
+	 */
+	function FilterEffect(props) {
+		this.AbstractEffect_constructor();
+
+		/**
+		 * The type of filter, which can be "lowpass", "highpass", "bandpass", "lowshelf", "highshelf", "peaking",
+		 * "notch" or "allpass".
+		 * @property type
+		 * @type {String}
+		 * @default "lowpass"
+		 */
+		this._defineParam("type", "lowpass");
+
+		/**
+		 * The frequency the filter is centered on or cuts off at, in hertz.
+		 * @property frequency
+		 * @type {Number}
+		 * @default 350
+		 */
+		this._defineParam("frequency", 350);
+
+		/**
+		 * The quality factor of the filter, which controls the width of the band or the resonance at the cut off.
+		 * @property Q
+		 * @type {Number}
+		 * @default 1
+		 */
+		this._defineParam("Q", 1);
+
+		/**
+		 * The boost or cut applied by the "lowshelf", "highshelf" and "peaking" filter types, in decibels.
+		 * @property gain
+		 * @type {Number}
+		 * @default 0
+		 */
+		this._defineParam("gain", 0);
+
+		this.set(props);
+	}
+
+	var p = createjs.extend(FilterEffect, createjs.AbstractEffect);
+
+	p.toString = function () {
+		return "[FilterEffect]";
+	};
+
+	p._createNodes = function (context) {
+		this.input = this.output = context.createBiquadFilter();
+	};
+
+	p._updateParam = function (name, value) {
+		if (name == "type") {
+			this.input.type = value;
+		} else {
+			this.input[name].value = value;
+		}
+	};
+
+	createjs.FilterEffect = createjs.promote(FilterEffect, "AbstractEffect");
+}());
@@ -0,0 +1,200 @@
+/*
+ * ReverbEffect
+ * Visit http://createjs.com/ for documentation, updates and examples.
+ *
+ *
+ * Copyright (c) 2012 gskinner.com, inc.
+ *
+ * Permission is hereby granted, free of charge, to any person
+ * obtaining a copy of this software and associated documentation
+ * files (the "Software"), to deal in the Software without
+ * restriction, including without limitation the rights to use,
+ * copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following
+ * conditions:
+ *
+ * The above copyright notice and this permission notice shall be
+ * included in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND,
+ * EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES
+ * OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT
+ * HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY,
+ * WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR
+ * OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+/**
+ * @module SoundJS
+ */
+
+// namespace:
+this.createjs = this.createjs || {};
+
+(function () {
+	"use strict";
+
+	/**
+	 * A convolution reverb effect, which places the audio in a space described by an impulse response. An impulse
+	 * response recorded in a real space can be passed as an AudioBuffer, otherwise one is generated from the
+	 * duration and decay parameters. See {{#crossLink "AbstractEffect"}}{{/crossLink}} for details on using effects.
+	 *
+	 * <h4>Example</h4>
+	 *
+	 *      var hall = new createjs.ReverbEffect({duration:3000, decay:3, mix:0.4});
+	 *      createjs.Sound.masterEffects = [hall];
+	 *
+	 * @class ReverbEffect
+	 * @extends AbstractEffect
+	 * @param {Object} [props] An object with parameter values to set on the effect.
+	 * @constructor
+	 * @since 1.1.0
+	 */
+	function ReverbEffect(props) {
+		this.AbstractEffect_constructor();
+
+		/**
+		 * An AudioBuffer with the impulse response to use, or null to generate one using the
+		 * {{#crossLink "ReverbEffect/duration:property"}}{{/crossLink}} and {{#crossLink "ReverbEffect/decay:property"}}{{/crossLink}}.
+		 * @property impulse
+		 * @type {AudioBuffer}
+		 * @default null
+		 */
+		this._defineParam("impulse", null);
+
+		/**
+		 * The length of the generated impulse response, in milliseconds. Larger values sound like larger spaces.
+		 * @property duration
+		 * @type {Number}
+		 * @default 2000
+		 */
+		this._defineParam("duration", 2000);
+
+		/**
+		 * How quickly the generated impulse response dies away. Higher values die away faster.
+		 * @property decay
+		 * @type {Number}
+		 * @default 2
+		 */
+		this._defineParam("decay", 2);
+
+		/**
+		 * The amount of reverb in the output, between 0 (only the original audio) and 1 (only the reverb).
+		 * @property mix
+		 * @type {Number}
+		 * @default 0.3
+		 */
+		this._defineParam("mix", 0.3);
+
+		/**
+		 * The ConvolverNode used to apply the impulse response.
+		 * @property _convolverNode
+		 * @type {ConvolverNode}
+		 * @protected
+		 */
+		this._convolverNode = null;
+
+		/**
+		 * The GainNode for the original audio.
+		 * @property _dryNode
+		 * @type {AudioGainNode}
+		 * @protected
+		 */
+		this._dryNode = null;
+
+		/**
+		 * The GainNode for the reverb.
+		 * @property _wetNode
+		 * @type {AudioGainNode}
+		 * @protected
+		 */
+		this._wetNode = null;
+
+		/**
+		 * The duration and decay the current impulse response was generated with, so it is only generated again when
+		 * they change.
+		 * @property _impulseSettings
+		 * @type {String}
+		 * @protected
+		 */
+		this._impulseSettings = null;
+
+		this.set(props);
+	}
+
+	var p = createjs.extend(ReverbEffect, createjs.AbstractEffect);
+
+	p.toString = function () {
+		return "[ReverbEffect]";
+	};
+
+	p._createNodes = function (context) {
+		this.input = context.createGain();
+		this.output = context.createGain();
+		this._dryNode = context.createGain();
+		this._wetNode = context.createGain();
+		this._convolverNode = context.createConvolver();
+
+		this.input.connect(this._dryNode);
+		this._dryNode.connect(this.output);
+		this.input.connect(this._convolverNode);
+		this._convolverNode.connect(this._wetNode);
+		this._wetNode.connect(this.output);
+	};
+
+	p._updateParam = function (name, value) {
+		if (name == "mix") {
+			value = Math.max(0, Math.min(1, value));
+			this._dryNode.gain.value = 1 - value;
+			this._wetNode.gain.value = value;
+		} else {
+			this._updateImpulse();
+		}
+	};
+
+	/**
+	 * Set the impulse response on the convolver, generating one if needed.
+	 * @method _updateImpulse
+	 * @protected
+	 */
+	p._updateImpulse = function () {
+		var params = this._params;
+		if (params.impulse) {
+			this._impulseSettings = null;
+			this._convolverNode.buffer = params.impulse;
+			return;
+		}
+
+		var settings = params.duration + ":" + params.decay;
+		if (settings == this._impulseSettings) { return; }
+		this._impulseSettings = settings;
+		this._convolverNode.buffer = this._createImpulse(params.duration, params.decay);
+	};
+
+	/**
+	 * Generate a stereo impulse response of exponentially decaying noise.
+	 * @method _createImpulse
+	 * @param {Number} duration The length of the impulse response, in milliseconds.
+	 * @param {Number} decay How quickly the impulse response dies away.
+	 * @return {AudioBuffer} The impulse response.
+	 * @protected
+	 */
+	p._createImpulse = function (duration, decay) {
+		var rate = this.context.sampleRate,
+			length = Math.max(1, Math.floor(rate * duration * 0.001)),
+			buffer = this.context.createBuffer(2, length, rate);
+
+		for (var c = 0; c < 2; c++) {
+			var data = buffer.getChannelData(c);
+			for (var i = 0; i < length; i++) {
+				data[i] = (Math.random() * 2 - 1) * Math.pow(1 - i / length, decay);
+			}
+		}
+		return buffer;
+	};
+
+	createjs.ReverbEffect = createjs.promote(ReverbEffect, "AbstractEffect");
+}());
@@ -248,6 +248,13 @@ this.createjs = this.createjs || {};
 			panning:true,
 			volume:true,
 			tracks:-1,
+			preciseScheduling:false,
+			effects:false,
+			spatial:false,
+			analysis:false,
+			offline:false,
+			recording:false,
+			mediaStream:false,
 			mp3:true,
 			ogg:false,
 			mpeg:true,
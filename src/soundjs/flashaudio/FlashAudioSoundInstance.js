@@ -122,7 +122,7 @@ this.createjs = this.createjs || {};
 
 	p._updatePan = function () {
 		if (this.flashId == null) { return; }
-		s._flash.setPan(this.flashId, this._pan);
+		s._flash.setPan(this.flashId, this._getSpatialPan());
 	};
 
 	p._setDurationFromSource = function() {
@@ -149,13 +149,14 @@ this.createjs = this.createjs || {};
 		this.loop = playProps.loop;
 		this.volume = playProps.volume;
 		this.pan = playProps.pan;
+		this.bus = playProps.bus;
 		if (playProps.startTime != null) {
 			this.startTime = playProps.startTime;
 			this.duration = playProps.duration;
 		}
 		this._paused = false;
 
-		this.flashId = s._flash.playSound(this.src, this._position, this._loop, this._volume, this._pan, this._startTime, this._duration);
+		this.flashId = s._flash.playSound(this.src, this._position, this._loop, this._volume * this._getBusVolume() * this._getDuckVolume() * this._getSpatialVolume(), this._getSpatialPan(), this._startTime, this._duration);
 		if (this.flashId == null) {
 			this._playFailed();
 			return false;
@@ -165,6 +166,8 @@ this.createjs = this.createjs || {};
 		this._sendEvent(createjs.FlashAudioPlugin._REG_FLASHID);
 
 		this.playState = createjs.Sound.PLAY_SUCCEEDED;
+		this._beginFades(playProps);
+		this._seekMarkers();
 		this._sendEvent("succeeded");
 		return true;
 	};
@@ -186,7 +189,7 @@ this.createjs = this.createjs || {};
 	};
 
 	p._updateVolume = function () {
-		var newVolume = this._muted ? 0 : this._volume;
+		var newVolume = this._muted ? 0 : this._volume * this._getBusVolume() * this._getDuckVolume() * this._getSpatialVolume();
 		s._flash.setVolume(this.flashId, newVolume);
 	};
 	// TODO remove unused .muteSound and .unmuteSound from Flash
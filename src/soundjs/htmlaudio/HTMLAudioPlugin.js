@@ -95,6 +95,16 @@ this.createjs = this.createjs || {};
 	// Public Properties
 		this._capabilities = s._capabilities;
 
+		/**
+		 * An object hash of the object URLs created for sounds registered with {{#crossLink "Sound/registerSoundData"}}{{/crossLink}},
+		 * indexed by source, which are revoked when the sound is removed.
+		 * @property _objectURLs
+		 * @type {Object}
+		 * @protected
+		 * @since 1.1.0
+		 */
+		this._objectURLs = {};
+
 		this._loaderClass = createjs.SoundLoader;
 		this._soundInstanceClass = createjs.HTMLAudioSoundInstance;
 	}
@@ -205,7 +215,14 @@ this.createjs = this.createjs || {};
 		s._capabilities = {
 			panning:false,
 			volume:true,
-			tracks:-1
+			tracks:-1,
+			preciseScheduling:false,
+			effects:false,
+			spatial:false,
+			analysis:false,
+			offline:false,
+			recording:false,
+			mediaStream:false
 		};
 
 		// determine which extensions our browser supports for this plugin by iterating through Sound.SUPPORTED_EXTENSIONS
@@ -231,6 +248,64 @@ this.createjs = this.createjs || {};
 	p.removeSound = function (src) {
 		this.AbstractPlugin_removeSound(src);
 		createjs.HTMLAudioTagPool.remove(src);
+		if (this._objectURLs[src]) {
+			URL.revokeObjectURL(this._objectURLs[src]);
+			delete(this._objectURLs[src]);
+		}
+	};
+
+	p.removeAllSounds = function () {
+		this.AbstractPlugin_removeAllSounds();
+		// removeSound only reaches sounds in _audioSources, so clear anything that is left
+		for (var src in this._objectURLs) {
+			URL.revokeObjectURL(this._objectURLs[src]);
+		}
+		this._objectURLs = {};
+		createjs.HTMLAudioTagPool.removeAll();
+	};
+
+	/**
+	 * Register a sound from data in memory, which is played from an object URL, or from the data URI that is passed.
+	 * AudioBuffers are encoded as WAV files. Should not be called externally, use {{#crossLink "Sound/registerSoundData"}}{{/crossLink}}
+	 * instead.
+	 * @method registerData
+	 * @param {String} src The source to register the sound as.
+	 * @param {AudioBuffer | ArrayBuffer | Blob | String} data The audio data, or a data URI.
+	 * @return {Promise} A Promise that resolves once the sound can be played, or rejects if it can not be loaded.
+	 * @since 1.1.0
+	 */
+	p.registerData = function (src, data) {
+		var url = data;
+		if (typeof(data) != "string") {
+			if (data.getChannelData) {
+				data = createjs.WAVEncoder.encodeBlob(data);
+			} else if (!(data instanceof Blob)) {
+				data = new Blob([data]);
+			}
+			url = this._objectURLs[src] = URL.createObjectURL(data);
+		}
+		this._audioSources[src] = true;
+		this._soundInstances[src] = [];
+		createjs.HTMLAudioTagPool.setURL(src, url);
+
+		var plugin = this, tag = createjs.HTMLAudioTagPool.get(src);
+		return new Promise(function (resolve, reject) {
+			var handler = function (event) {
+				tag.removeEventListener("canplaythrough", handler, false);
+				tag.removeEventListener("error", handler, false);
+				createjs.HTMLAudioTagPool.set(src, tag);
+				if (event.type == "error") {
+					reject(event);
+				} else {
+					plugin._setAudioSource(src, tag);
+					resolve();
+				}
+			};
+			tag.addEventListener("canplaythrough", handler, false);
+			tag.addEventListener("error", handler, false);
+			tag.preload = "auto";
+			tag.load();
+		});
 	};
 
 	p.create = function (src, startTime, duration) {
@@ -105,7 +105,7 @@ this.createjs = this.createjs || {};
 	};
 
 	p._addLooping = function() {
-		if(this._playbackResource == null  || this._audioSpriteStopTime) {return;}
+		if(this._playbackResource == null  || this._audioSpriteStopTime || this._hasLoopRegion()) {return;}
 		this._playbackResource.addEventListener(createjs.HTMLAudioPlugin._AUDIO_SEEKED, this._loopHandler, false);
 		this._playbackResource.loop = true;
 	};
@@ -146,20 +146,34 @@ this.createjs = this.createjs || {};
 		}
 
 		this._updateVolume();
+		this._updatePlaybackRate();
 		this._playbackResource.currentTime = (this._startTime + this._position) * 0.001;
-		if (this._audioSpriteStopTime) {
-			this._playbackResource.addEventListener(createjs.HTMLAudioPlugin._TIME_UPDATE, this._audioSpriteEndHandler, false);
-		} else {
-			this._playbackResource.addEventListener(createjs.HTMLAudioPlugin._AUDIO_ENDED, this._endedHandler, false);
-			if(this._loop != 0) {
-				this._playbackResource.addEventListener(createjs.HTMLAudioPlugin._AUDIO_SEEKED, this._loopHandler, false);
-				this._playbackResource.loop = true;
-			}
-		}
+		this._addPlaybackListeners();
 
 		this._playbackResource.play();
 	};
 
+	/**
+	 * Add the listeners that end and loop playback. Audio sprites and loop regions are ended and looped by seeking
+	 * when the timeupdate event passes their end, while other sounds use the tag's native looping.
+	 * @method _addPlaybackListeners
+	 * @protected
+	 * @since 1.1.0
+	 */
+	p._addPlaybackListeners = function () {
+		var tag = this._playbackResource, region = this._hasLoopRegion();
+		if (this._audioSpriteStopTime || region) {
+			tag.addEventListener(createjs.HTMLAudioPlugin._TIME_UPDATE, this._audioSpriteEndHandler, false);
+		}
+		if (!this._audioSpriteStopTime) {
+			tag.addEventListener(createjs.HTMLAudioPlugin._AUDIO_ENDED, this._endedHandler, false);
+			if(this._loop != 0 && !region) {
+				tag.addEventListener(createjs.HTMLAudioPlugin._AUDIO_SEEKED, this._loopHandler, false);
+				tag.loop = true;
+			}
+		}
+	};
+
 	/**
 	 * Used to handle when a tag is not ready for immediate playback when it is returned from the HTMLAudioTagPool.
 	 * @method _handleTagReady
@@ -183,11 +197,19 @@ this.createjs = this.createjs || {};
 
 	p._updateVolume = function () {
 		if (this._playbackResource != null) {
-			var newVolume = (this._muted || createjs.Sound._masterMute) ? 0 : this._volume * createjs.Sound._masterVolume;
+			var newVolume = (this._muted || createjs.Sound._masterMute) ? 0 : this._volume * this._getBusVolume() * this._getDuckVolume() * this._getSpatialVolume() * createjs.Sound._masterVolume;
 			if (newVolume != this._playbackResource.volume) {this._playbackResource.volume = newVolume;}
 		}
 	};
 
+	p._updatePlaybackRate = function () {
+		var tag = this._playbackResource;
+		if (tag == null) { return; }
+		// change pitch along with speed, to match the other plugins
+		tag.preservesPitch = tag.mozPreservesPitch = tag.webkitPreservesPitch = false;
+		tag.playbackRate = this._playbackRate;
+	};
+
 	p._calculateCurrentPosition = function() {
 		return (this._playbackResource.currentTime * 1000) - this._startTime;
 	};
@@ -211,7 +233,9 @@ this.createjs = this.createjs || {};
 	p._handleSetPositionSeek = function(event) {
 		if (this._playbackResource == null) { return; }
 		this._playbackResource.removeEventListener(createjs.HTMLAudioPlugin._AUDIO_SEEKED, this._handleSetPositionSeek, false);
-		this._playbackResource.addEventListener(createjs.HTMLAudioPlugin._AUDIO_SEEKED, this._loopHandler, false);
+		if (this._playbackResource.loop) {
+			this._playbackResource.addEventListener(createjs.HTMLAudioPlugin._AUDIO_SEEKED, this._loopHandler, false);
+		}
 	};
 
 	/**
@@ -224,15 +248,21 @@ this.createjs = this.createjs || {};
 	 * @private
 	 */
 	p._handleAudioSpriteLoop = function (event) {
-		if(this._playbackResource.currentTime <= this._audioSpriteStopTime) {return;}
+		var region = this._loop != 0 && this._hasLoopRegion(),
+			stopTime = region ? (this._startTime + this._getLoopEndTime()) * 0.001 : this._audioSpriteStopTime;
+		if(stopTime == null || this._playbackResource.currentTime <= stopTime) {return;}
 		this._playbackResource.pause();
 		if(this._loop == 0) {
 			this._handleSoundComplete(null);
 		} else {
-			this._position = 0;
+			this._sendMarkers(this._getPassEndTime());
+			if (this.playState != createjs.Sound.PLAY_SUCCEEDED) { return; }	// stopped by a marker listener
+			this._position = region ? this._loopStart : 0;
 			this._loop--;
-			this._playbackResource.currentTime = this._startTime * 0.001;
+			this._playbackResource.currentTime = (this._startTime + this._position) * 0.001;
 			if(!this._paused) {this._playbackResource.play();}
+			this._seekMarkers();
+			this._updateFadeOut();
 			this._sendEvent("loop");
 		}
 	};
@@ -240,6 +270,11 @@ this.createjs = this.createjs || {};
 	// NOTE with this approach audio will loop as reliably as the browser allows
 	// but we could end up sending the loop event after next loop playback begins
 	p._handleLoop = function (event) {
+		if (this._hasLoopRegion()) {	// the tag ended before a timeupdate passed the loopEnd
+			this._playbackResource.currentTime = (this._startTime + this._position) * 0.001;
+			this._playbackResource.play();
+			return;
+		}
 		if(this._loop == 0) {
 			this._playbackResource.loop = false;
 			this._playbackResource.removeEventListener(createjs.HTMLAudioPlugin._AUDIO_SEEKED, this._loopHandler, false);
@@ -264,6 +299,16 @@ this.createjs = this.createjs || {};
 		}
 	};
 
+	p._updateLoopRegion = function () {
+		var tag = this._playbackResource;
+		if (tag == null || this.playState != createjs.Sound.PLAY_SUCCEEDED) { return; }
+		tag.loop = false;
+		tag.removeEventListener(createjs.HTMLAudioPlugin._AUDIO_ENDED, this._endedHandler, false);
+		tag.removeEventListener(createjs.HTMLAudioPlugin._AUDIO_SEEKED, this._loopHandler, false);
+		tag.removeEventListener(createjs.HTMLAudioPlugin._TIME_UPDATE, this._audioSpriteEndHandler, false);
+		this._addPlaybackListeners();
+	};
+
 	p._setDurationFromSource = function () {
 		this._duration = createjs.HTMLAudioTagPool.getDuration(this.src);
 		this._playbackResource = null;
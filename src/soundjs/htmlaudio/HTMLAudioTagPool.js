@@ -77,6 +77,17 @@ this.createjs = this.createjs || {};
 	 */
 	s._tagUsed = {};
 
+	/**
+	 * A hash lookup of the URL to load for sources that are not a URL themselves, such as sounds registered with
+	 * {{#crossLink "Sound/registerSoundData"}}{{/crossLink}}, indexed by the audio source.
+	 * @property _urls
+	 * @type {{}}
+	 * @private
+	 * @static
+	 * @since 1.1.0
+	 */
+	s._urls = {};
+
 // Static Methods
 	/**
 	  * Get an audio tag with the given source.
@@ -89,12 +100,12 @@ this.createjs = this.createjs || {};
 		if (t == null) {
 			// create new base tag
 			t = s._tags[src] = s._tagPool.get();
-			t.src = src;
+			t.src = s._urls[src] || src;
 		} else {
 			// get base or pool
 			if (s._tagUsed[src]) {
 				t = s._tagPool.get();
-				t.src = src;
+				t.src = s._urls[src] || src;
 			} else {
 				s._tagUsed[src] = true;
 			}
@@ -102,6 +113,18 @@ this.createjs = this.createjs || {};
 		return t;
 	 };
 
+	 /**
+	  * Set the URL that audio tags load for a source, such as an object URL for sound data.
+	  * @method setURL
+	  * @param {String} src The source of the sound.
+	  * @param {String} url The URL to load.
+	  * @static
+	  * @since 1.1.0
+	  */
+	 s.setURL = function (src, url) {
+		 s._urls[src] = url;
+	 };
+
 	 /**
 	  * Return an audio tag to the pool.
 	  * @method set
@@ -131,9 +154,24 @@ this.createjs = this.createjs || {};
 		s._tagPool.set(tag);
 		delete(s._tags[src]);
 		delete(s._tagUsed[src]);
+		delete(s._urls[src]);
 		return true;
 	};
 
+	/**
+	 * Delete all stored tag references and return them to the pool, and forget the URLs set with
+	 * {{#crossLink "HTMLAudioTagPool/setURL"}}{{/crossLink}}.
+	 * @method removeAll
+	 * @static
+	 * @since 1.1.0
+	 */
+	s.removeAll = function () {
+		for (var src in s._tags) {
+			s.remove(src);
+		}
+		s._urls = {};
+	};
+
 	/**
 	 * Gets the duration of the src audio in milliseconds
 	 * @method getDuration
@@ -0,0 +1,177 @@
+/*
+ * WAVEncoder
+ * Visit http://createjs.com/ for documentation, updates and examples.
+ *
+ *
+ * Copyright (c) 2012 gskinner.com, inc.
+ *
+ * Permission is hereby granted, free of charge, to any person
+ * obtaining a copy of this software and associated documentation
+ * files (the "Software"), to deal in the Software without
+ * restriction, including without limitation the rights to use,
+ * copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following
+ * conditions:
+ *
+ * The above copyright notice and this permission notice shall be
+ * included in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND,
+ * EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES
+ * OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT
+ * HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY,
+ * WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR
+ * OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+/**
+ * @module SoundJS
+ */
+
+// namespace:
+this.createjs = this.createjs || {};
+
+(function () {
+	"use strict";
+
+	/**
+	 * Utilities to encode audio as a PCM WAV file, for example to save the result of
+	 * {{#crossLink "Sound/renderOffline"}}{{/crossLink}}.
+	 *
+	 * <h4>Example</h4>
+	 *
+	 *      createjs.Sound.renderOffline(timeline).then(function(buffer) {
+	 *          var url = URL.createObjectURL(createjs.WAVEncoder.encodeBlob(buffer));
+	 *      });
+	 *
+	 * @class WAVEncoder
+	 * @static
+	 * @since 1.1.0
+	 */
+	var s = {};
+
+	/**
+	 * The bit depth used when one is not passed in.
+	 * @property DEFAULT_BIT_DEPTH
+	 * @type {Number}
+	 * @default 16
+	 * @static
+	 */
+	s.DEFAULT_BIT_DEPTH = 16;
+
+	/**
+	 * The size of the WAV header, in bytes.
+	 * @property HEADER_SIZE
+	 * @type {Number}
+	 * @default 44
+	 * @static
+	 * @readOnly
+	 */
+	s.HEADER_SIZE = 44;
+
+	/**
+	 * Encode an AudioBuffer as a PCM WAV file.
+	 * @method encode
+	 * @param {AudioBuffer} buffer The audio to encode.
+	 * @param {Number} [bitDepth=16] The number of bits per sample, which can be 16, 24 or 32.
+	 * @return {ArrayBuffer} The WAV file.
+	 * @static
+	 */
+	s.encode = function (buffer, bitDepth) {
+		var channels = [];
+		for (var i = 0; i < buffer.numberOfChannels; i++) {
+			channels.push(buffer.getChannelData(i));
+		}
+		return s.encodeChannels(channels, buffer.sampleRate, bitDepth);
+	};
+
+	/**
+	 * Encode an AudioBuffer as a PCM WAV file, in a Blob that can be downloaded or uploaded.
+	 * @method encodeBlob
+	 * @param {AudioBuffer} buffer The audio to encode.
+	 * @param {Number} [bitDepth=16] The number of bits per sample, which can be 16, 24 or 32.
+	 * @return {Blob} The WAV file, with the "audio/wav" type.
+	 * @static
+	 */
+	s.encodeBlob = function (buffer, bitDepth) {
+		return new Blob([s.encode(buffer, bitDepth)], {type: "audio/wav"});
+	};
+
+	/**
+	 * Encode the samples of each channel as a PCM WAV file. Samples are between -1 and 1, and are clipped outside of
+	 * that range. All channels should be the same length.
+	 * @method encodeChannels
+	 * @param {Array} channels An array of Float32Arrays, one for each channel.
+	 * @param {Number} sampleRate The sample rate of the audio.
+	 * @param {Number} [bitDepth=16] The number of bits per sample, which can be 16, 24 or 32.
+	 * @return {ArrayBuffer} The WAV file.
+	 * @static
+	 */
+	s.encodeChannels = function (channels, sampleRate, bitDepth) {
+		bitDepth = bitDepth || s.DEFAULT_BIT_DEPTH;
+		if (bitDepth != 16 && bitDepth != 24 && bitDepth != 32) {
+			throw new Error("WAVEncoder bit depth must be 16, 24 or 32.");
+		}
+
+		var numChannels = channels.length,
+			length = numChannels ? channels[0].length : 0,
+			bytesPerSample = bitDepth / 8,
+			blockAlign = numChannels * bytesPerSample,
+			dataSize = length * blockAlign,
+			result = new ArrayBuffer(s.HEADER_SIZE + dataSize),
+			view = new DataView(result);
+
+		s._writeString(view, 0, "RIFF");
+		view.setUint32(4, 36 + dataSize, true);
+		s._writeString(view, 8, "WAVE");
+		s._writeString(view, 12, "fmt ");
+		view.setUint32(16, 16, true);	// size of the format chunk
+		view.setUint16(20, 1, true);	// integer PCM
+		view.setUint16(22, numChannels, true);
+		view.setUint32(24, sampleRate, true);
+		view.setUint32(28, sampleRate * blockAlign, true);
+		view.setUint16(32, blockAlign, true);
+		view.setUint16(34, bitDepth, true);
+		s._writeString(view, 36, "data");
+		view.setUint32(40, dataSize, true);
+
+		var max = Math.pow(2, bitDepth - 1) - 1,
+			offset = s.HEADER_SIZE;
+		for (var i = 0; i < length; i++) {
+			for (var c = 0; c < numChannels; c++) {
+				var value = Math.round(Math.max(-1, Math.min(1, channels[c][i])) * max);
+				if (bitDepth == 16) {
+					view.setInt16(offset, value, true);
+				} else if (bitDepth == 32) {
+					view.setInt32(offset, value, true);
+				} else {
+					view.setUint8(offset, value & 0xFF);
+					view.setUint8(offset + 1, (value >> 8) & 0xFF);
+					view.setUint8(offset + 2, (value >> 16) & 0xFF);
+				}
+				offset += bytesPerSample;
+			}
+		}
+		return result;
+	};
+
+	/**
+	 * Write an ASCII string into the header.
+	 * @method _writeString
+	 * @param {DataView} view The view of the file.
+	 * @param {Number} offset The byte offset to write at.
+	 * @param {String} value The string to write.
+	 * @static
+	 * @private
+	 */
+	s._writeString = function (view, offset, value) {
+		for (var i = 0, l = value.length; i < l; i++) {
+			view.setUint8(offset + i, value.charCodeAt(i));
+		}
+	};
+
+	createjs.WAVEncoder = s;
+}());
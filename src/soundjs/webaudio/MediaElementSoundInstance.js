@@ -0,0 +1,200 @@
+/*
+ * MediaElementSoundInstance
+ * Visit http://createjs.com/ for documentation, updates and examples.
+ *
+ *
+ * Copyright (c) 2012 gskinner.com, inc.
+ *
+ * Permission is hereby granted, free of charge, to any person
+ * obtaining a copy of this software and associated documentation
+ * files (the "Software"), to deal in the Software without
+ * restriction, including without limitation the rights to use,
+ * copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following
+ * conditions:
+ *
+ * The above copyright notice and this permission notice shall be
+ * included in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND,
+ * EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES
+ * OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT
+ * HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY,
+ * WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR
+ * OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+/**
+ * @module SoundJS
+ */
+
+// namespace:
+this.createjs = this.createjs || {};
+
+/**
+ * MediaElementSoundInstance extends {{#crossLink "WebAudioSoundInstance"}}{{/crossLink}} to stream long sounds, such
+ * as music, through an <code>&lt;audio&gt;</code> element connected to the audio context with a
+ * MediaElementAudioSourceNode. Streamed sounds start playing before they have fully downloaded, and are not decoded
+ * into memory, while still using the master volume, buses and effects of the {{#crossLink "WebAudioPlugin"}}{{/crossLink}}.
+ *
+ * Instances are created by {{#crossLink "Sound/play"}}{{/crossLink}} and {{#crossLink "Sound/createInstance"}}{{/crossLink}}
+ * for sounds registered with the <code>stream</code> data property, and should not be constructed directly. Each
+ * instance uses its own element, so streaming is best used for sounds that only play one instance at a time.
+ *
+ * <h4>Example</h4>
+ *
+ *      createjs.Sound.registerSound("music/level1.mp3", "music", {stream:true});
+ *      createjs.Sound.play("music", {loop:-1});
+ *
+ * @param {String} src The path to and file name of the sound.
+ * @param {Number} startTime Audio sprite property used to apply an offset, in milliseconds.
+ * @param {Number} duration Audio sprite property used to set the time the clip plays for, in milliseconds.
+ * @param {HTMLAudioElement} playbackResource The loaded element, which is copied for playback.
+ * @class MediaElementSoundInstance
+ * @extends WebAudioSoundInstance
+ * @constructor
+ * @since 1.1.0
+ */
+(function () {
+	"use strict";
+
+	function MediaElementSoundInstance(src, startTime, duration, playbackResource) {
+		this.WebAudioSoundInstance_constructor(src, startTime, duration, playbackResource);
+
+// public properties
+		/**
+		 * NOTE this is only intended for use by advanced users.
+		 * <br />The <code>&lt;audio&gt;</code> element that plays the sound, which is created when the instance first
+		 * plays. It is connected to the {{#crossLink "WebAudioSoundInstance/panNode:property"}}{{/crossLink}} through
+		 * the {{#crossLink "WebAudioSoundInstance/sourceNode:property"}}{{/crossLink}}.
+		 * @property mediaElement
+		 * @type {HTMLAudioElement}
+		 * @default null
+		 */
+		this.mediaElement = null;
+
+// private properties
+		/**
+		 * Timeout that is created to start playback at a time set with the {{#crossLink "PlayPropsConfig/when:property"}}{{/crossLink}}
+		 * play property, as an element can not be scheduled on the audio clock.
+		 * @property _startTimeout
+		 * @type {timeoutVariable}
+		 * @default null
+		 * @protected
+		 */
+		this._startTimeout = null;
+
+		// Proxies, make removing listeners easier.
+		this._timeUpdateHandler = createjs.proxy(this._handleTimeUpdate, this);
+	}
+
+	var p = createjs.extend(MediaElementSoundInstance, createjs.WebAudioSoundInstance);
+
+
+// Public Methods
+	p.destroy = function () {
+		this.WebAudioSoundInstance_destroy();
+		if (this.mediaElement) {
+			this.mediaElement.removeEventListener("ended", this._endedHandler, false);
+			this.mediaElement.removeEventListener("timeupdate", this._timeUpdateHandler, false);
+			this.mediaElement.removeAttribute("src");	// stop downloading
+			this.mediaElement.load();
+			this.mediaElement = null;
+		}
+	};
+
+	p.toString = function () {
+		return "[MediaElementSoundInstance]";
+	};
+
+
+// Private Methods
+	p._handleSoundReady = function (event) {
+		var context = createjs.WebAudioSoundInstance.context,
+			delay = ((this._when || 0) - context.currentTime) * 1000;
+		if (delay > 0) {
+			this._startTimeout = setTimeout(createjs.proxy(this._handleSoundReady, this), delay);
+			this._when = null;
+			return;
+		}
+
+		if (this.mediaElement == null) {
+			this.mediaElement = this.playbackResource.cloneNode(true);
+			this.mediaElement.preload = "auto";
+			this.sourceNode = context.createMediaElementSource(this.mediaElement);
+		}
+		this._connectOutput();
+		this.sourceNode.connect(this.panNode);
+
+		var element = this.mediaElement;
+		element.playbackRate = this._playbackRate;
+		element.currentTime = (this._startTime + this._position) * 0.001;
+		element.addEventListener("ended", this._endedHandler, false);
+		element.addEventListener("timeupdate", this._timeUpdateHandler, false);
+		element.play();
+	};
+
+	p._pause = function () {
+		this._position = this._calculateCurrentPosition();
+		this._stopElement();
+	};
+
+	p._handleCleanUp = function () {
+		this._stopElement();
+	};
+
+	/**
+	 * Pause the element, and disconnect it from the nodes of the instance.
+	 * @method _stopElement
+	 * @protected
+	 */
+	p._stopElement = function () {
+		clearTimeout(this._startTimeout);
+		if (this.mediaElement) {
+			this.mediaElement.pause();
+			this.mediaElement.removeEventListener("ended", this._endedHandler, false);
+			this.mediaElement.removeEventListener("timeupdate", this._timeUpdateHandler, false);
+			this.sourceNode.disconnect(0);
+		}
+		if (this.gainNode.numberOfOutputs != 0) { this.gainNode.disconnect(0); }
+	};
+
+	/**
+	 * Complete playback once the element reaches the end of the duration, which is needed for audio sprites.
+	 * @method _handleTimeUpdate
+	 * @param {Event} event The timeupdate event.
+	 * @protected
+	 */
+	p._handleTimeUpdate = function (event) {
+		var end = (this._loop != 0 && this._hasLoopRegion()) ? this._getLoopEndTime() : this._duration;
+		if (this._calculateCurrentPosition() >= end) { this._handleSoundComplete(); }
+	};
+
+	p._calculateCurrentPosition = function () {
+		if (this.mediaElement == null) { return this._position; }
+		return Math.max(0, this.mediaElement.currentTime * 1000 - this._startTime);
+	};
+
+	p._updatePosition = function () {
+		if (this.mediaElement == null || this.playState != createjs.Sound.PLAY_SUCCEEDED) { return; }
+		this.mediaElement.currentTime = (this._startTime + this._position) * 0.001;
+	};
+
+	p._handleLoop = function () {
+		this.mediaElement.currentTime = (this._startTime + this._position) * 0.001;	// the loopStart of a loop region
+		this.mediaElement.play();
+	};
+
+	p._updatePlaybackRate = function () {
+		if (this.mediaElement) { this.mediaElement.playbackRate = this._playbackRate; }
+	};
+
+	// the element is restarted at the end of each loop, rather than queueing the next one
+	p._addLooping = function () {};
+	p._removeLooping = function () {};
+
+	createjs.MediaElementSoundInstance = createjs.promote(MediaElementSoundInstance, "WebAudioSoundInstance");
+}());
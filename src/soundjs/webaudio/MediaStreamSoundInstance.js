@@ -0,0 +1,190 @@
+/*
+ * MediaStreamSoundInstance
+ * Visit http://createjs.com/ for documentation, updates and examples.
+ *
+ *
+ * Copyright (c) 2012 gskinner.com, inc.
+ *
+ * Permission is hereby granted, free of charge, to any person
+ * obtaining a copy of this software and associated documentation
+ * files (the "Software"), to deal in the Software without
+ * restriction, including without limitation the rights to use,
+ * copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following
+ * conditions:
+ *
+ * The above copyright notice and this permission notice shall be
+ * included in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND,
+ * EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES
+ * OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT
+ * HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY,
+ * WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR
+ * OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+/**
+ * @module SoundJS
+ */
+
+// namespace:
+this.createjs = this.createjs || {};
+
+/**
+ * MediaStreamSoundInstance extends {{#crossLink "WebAudioSoundInstance"}}{{/crossLink}} to play a live MediaStream,
+ * such as a microphone, WebRTC peer audio, or a canvas capture, through the {{#crossLink "WebAudioPlugin"}}{{/crossLink}}.
+ * This gives the stream the master volume and mute, buses, effects, and the usual lifecycle events. Instances are
+ * created using {{#crossLink "Sound/createStreamInstance"}}{{/crossLink}}, and should not be constructed directly.
+ *
+ * A live stream has no duration, so it plays until it is stopped or its audio tracks end, which dispatches a
+ * <code>complete</code> event. While paused, the stream continues, and the audio played while paused is not heard.
+ * The position is the time it has been playing for, and can not be set, and the playbackRate, startTime and loop
+ * properties have no effect.
+ *
+ * <h4>Example</h4>
+ *
+ *      navigator.mediaDevices.getUserMedia({audio:true}).then(function(stream) {
+ *          var mic = createjs.Sound.createStreamInstance(stream);
+ *          mic.play({bus:"voice", volume:0.8});
+ *      });
+ *
+ * @param {String} src The unique source of the stream.
+ * @param {MediaStream} stream The stream to play.
+ * @class MediaStreamSoundInstance
+ * @extends WebAudioSoundInstance
+ * @constructor
+ * @since 1.1.0
+ */
+(function () {
+	"use strict";
+
+	function MediaStreamSoundInstance(src, stream) {
+		this.WebAudioSoundInstance_constructor(src, null, null, stream);
+
+// private properties
+		/**
+		 * Timeout that is created to start playback at a time set with the {{#crossLink "PlayPropsConfig/when:property"}}{{/crossLink}}
+		 * play property, as a stream can not be scheduled on the audio clock.
+		 * @property _startTimeout
+		 * @type {timeoutVariable}
+		 * @default null
+		 * @protected
+		 */
+		this._startTimeout = null;
+
+		/**
+		 * A bound handler for the end of the audio tracks of the stream.
+		 * @property _trackEndedHandler
+		 * @type {Function}
+		 * @protected
+		 */
+		this._trackEndedHandler = createjs.proxy(this._handleTrackEnded, this);
+
+		var tracks = this._getAudioTracks();
+		for (var i = 0, l = tracks.length; i < l; i++) {
+			tracks[i].addEventListener("ended", this._trackEndedHandler);
+		}
+	}
+
+	var p = createjs.extend(MediaStreamSoundInstance, createjs.WebAudioSoundInstance);
+
+
+// Public methods
+	p.destroy = function () {
+		var tracks = this._getAudioTracks();
+		for (var i = 0, l = tracks.length; i < l; i++) {
+			tracks[i].removeEventListener("ended", this._trackEndedHandler);
+		}
+		this.WebAudioSoundInstance_destroy();
+	};
+
+	p.toString = function () {
+		return "[MediaStreamSoundInstance]";
+	};
+
+
+// Private Methods
+	/**
+	 * Get the audio tracks of the stream.
+	 * @method _getAudioTracks
+	 * @return {Array} The tracks.
+	 * @protected
+	 */
+	p._getAudioTracks = function () {
+		var stream = this.playbackResource;
+		return stream && stream.getAudioTracks ? stream.getAudioTracks() : [];
+	};
+
+	// a live stream has no end
+	p._setDurationFromSource = function () {
+		this._duration = Infinity;
+	};
+
+	p._handleSoundReady = function (event) {
+		var context = createjs.WebAudioSoundInstance.context,
+			delay = ((this._when || 0) - context.currentTime) * 1000;
+		if (delay > 0) {
+			this._startTimeout = setTimeout(createjs.proxy(this._handleSoundReady, this), delay);
+			this._when = null;
+			return;
+		}
+
+		this._connectOutput();
+		if (this.sourceNode == null) {
+			this.sourceNode = context.createMediaStreamSource(this.playbackResource);
+		}
+		this.sourceNode.connect(this.panNode);
+		this._playbackStartTime = context.currentTime - this._position * 0.001;
+	};
+
+	p._pause = function () {
+		this._position = this._calculateCurrentPosition();
+		this._disconnectStream();
+	};
+
+	p._handleCleanUp = function () {
+		this._disconnectStream();
+		this._playbackStartTime = 0;
+	};
+
+	/**
+	 * Disconnect the stream from the nodes of the instance, and cancel any scheduled start.
+	 * @method _disconnectStream
+	 * @protected
+	 */
+	p._disconnectStream = function () {
+		clearTimeout(this._startTimeout);
+		if (this.sourceNode) { this.sourceNode.disconnect(0); }
+		if (this.gainNode.numberOfOutputs != 0) { this.gainNode.disconnect(0); }
+	};
+
+	/**
+	 * Complete playback once all of the audio tracks of the stream have ended.
+	 * @method _handleTrackEnded
+	 * @param {Event} event The ended event of a track.
+	 * @protected
+	 */
+	p._handleTrackEnded = function (event) {
+		var tracks = this._getAudioTracks();
+		for (var i = 0, l = tracks.length; i < l; i++) {
+			if (tracks[i].readyState != "ended") { return; }
+		}
+		if (this.playState != createjs.Sound.PLAY_SUCCEEDED) { return; }
+		this._loop = 0;
+		this._handleSoundComplete();
+	};
+
+	// a live stream can not be looped, seeked, or played at a different rate, and has no end to fade out at
+	p._addLooping = function () {};
+	p._removeLooping = function () {};
+	p._updatePosition = function () {};
+	p._updatePlaybackRate = function () {};
+	p._updateDuration = function () {};
+	p._updateFadeOut = function () {};
+
+	createjs.MediaStreamSoundInstance = createjs.promote(MediaStreamSoundInstance, "WebAudioSoundInstance");
+}());
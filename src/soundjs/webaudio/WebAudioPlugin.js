@@ -107,7 +107,8 @@ this.createjs = this.createjs || {};
 		this.dynamicsCompressorNode.connect(this.context.destination);
 
 		/**
-		 * A GainNode for controlling master volume. It is connected to {{#crossLink "WebAudioPlugin/dynamicsCompressorNode:property"}}{{/crossLink}}.
+		 * A GainNode for controlling master volume. It is connected to {{#crossLink "WebAudioPlugin/dynamicsCompressorNode:property"}}{{/crossLink}},
+		 * through any {{#crossLink "Sound/masterEffects:property"}}{{/crossLink}}.
 		 *
 		 * Can be accessed by advanced users through createjs.Sound.activePlugin.gainNode.
 		 * @property gainNode
@@ -117,6 +118,26 @@ this.createjs = this.createjs || {};
 		this.gainNode.connect(this.dynamicsCompressorNode);
 		createjs.WebAudioSoundInstance.destinationNode = this.gainNode;
 
+		/**
+		 * An object hash storing a GainNode for each {{#crossLink "SoundBus"}}{{/crossLink}} by name. Each node is
+		 * connected to the node of its parent bus, or to {{#crossLink "WebAudioPlugin/gainNode:property"}}{{/crossLink}}.
+		 * @property _busNodes
+		 * @type {Object}
+		 * @protected
+		 * @since 1.1.0
+		 */
+		this._busNodes = {};
+
+		/**
+		 * An object hash of the sources registered with the <code>stream</code> data property, which are loaded as
+		 * <code>&lt;audio&gt;</code> elements and played with a {{#crossLink "MediaElementSoundInstance"}}{{/crossLink}}.
+		 * @property _streamSources
+		 * @type {Object}
+		 * @protected
+		 * @since 1.1.0
+		 */
+		this._streamSources = {};
+
 		this._capabilities = s._capabilities;
 
 		this._loaderClass = createjs.WebAudioLoader;
@@ -304,7 +325,14 @@ this.createjs = this.createjs || {};
 		s._capabilities = {
 			panning:true,
 			volume:true,
-			tracks:-1
+			tracks:-1,
+			preciseScheduling:true,
+			effects:true,
+			spatial:true,
+			analysis:true,
+			offline:s._getOfflineContextClass() != null,
+			recording:s.context.createScriptProcessor != null,
+			mediaStream:s.context.createMediaStreamSource != null
 		};
 
 		// determine which extensions our browser supports for this plugin by iterating through Sound.SUPPORTED_EXTENSIONS
@@ -388,6 +416,18 @@ this.createjs = this.createjs || {};
 		s._panningModel = 0;
 	};
 
+	/**
+	 * Get the OfflineAudioContext class, which is used by {{#crossLink "Sound/renderOffline"}}{{/crossLink}}.
+	 * @method _getOfflineContextClass
+	 * @return {Function} The OfflineAudioContext class, or null if it is not supported.
+	 * @static
+	 * @private
+	 * @since 1.1.0
+	 */
+	s._getOfflineContextClass = function() {
+		return window.OfflineAudioContext || window.webkitOfflineAudioContext || null;
+	};
+
 	/**
 	 * Try to unlock audio on iOS. This is triggered from either WebAudio plugin setup (which will work if inside of
 	 * a `mousedown` or `touchend` event stack), or the first document touchend/mousedown event. If it fails (touchend
@@ -413,12 +453,391 @@ this.createjs = this.createjs || {};
 
 
 // Public Methods
+	/**
+	 * Pre-register a sound for preloading and setup. Sounds registered with a <code>stream</code> data property
+	 * are loaded as <code>&lt;audio&gt;</code> elements, which can play before they finish downloading, rather than
+	 * being decoded into an AudioBuffer. This is called by {{#crossLink "Sound"}}{{/crossLink}}.
+	 * @method register
+	 * @param {Object} loadItem An Object containing the source and data of the audio.
+	 * @return {AbstractLoader} The loader for the sound.
+	 */
+	p.register = function (loadItem) {
+		if (!(loadItem.data && loadItem.data.stream)) { return this.AbstractPlugin_register(loadItem); }
+
+		var loader = this._loaders[loadItem.src];
+		if (loader && !loader.canceled) { return loader; }	// already loading/loaded this, so don't load twice
+		this._audioSources[loadItem.src] = true;
+		this._soundInstances[loadItem.src] = [];
+		this._streamSources[loadItem.src] = true;
+		loader = new createjs.SoundLoader(loadItem);
+		loader.on("complete", this._handlePreloadComplete, this);
+		this._loaders[loadItem.src] = loader;
+		return loader;
+	};
+
+	p.create = function (src, startTime, duration) {
+		if (!this._streamSources[src]) { return this.AbstractPlugin_create(src, startTime, duration); }
+
+		var si = new createjs.MediaElementSoundInstance(src, startTime, duration, this._audioSources[src]);
+		if (this._soundInstances[src]) {
+			this._soundInstances[src].push(si);
+		}
+		return si;
+	};
+
+	p.removeSound = function (src) {
+		this.AbstractPlugin_removeSound(src);
+		delete(this._streamSources[src]);
+	};
+
+	/**
+	 * Register a sound from data in memory, which is decoded into an AudioBuffer. Should not be called externally,
+	 * use {{#crossLink "Sound/registerSoundData"}}{{/crossLink}} instead.
+	 * @method registerData
+	 * @param {String} src The source to register the sound as.
+	 * @param {AudioBuffer | ArrayBuffer | Blob | String} data The audio data, or a data URI.
+	 * @return {Promise} A Promise that resolves once the sound can be played, or rejects if it can not be decoded.
+	 * @since 1.1.0
+	 */
+	p.registerData = function (src, data) {
+		var plugin = this, context = this.context;
+		this._audioSources[src] = true;
+		this._soundInstances[src] = [];
+
+		return this._readData(data).then(function (buffer) {
+			if (buffer.getChannelData) { return buffer; }	// already decoded
+			return new Promise(function (resolve, reject) {
+				context.decodeAudioData(buffer, resolve, reject);
+			});
+		}).then(function (buffer) {
+			plugin._setAudioSource(src, buffer);
+		});
+	};
+
+	/**
+	 * Create or update the GainNode for a {{#crossLink "SoundBus"}}{{/crossLink}}, so it reflects the volume, mute,
+	 * and parent of the bus. Should not be called externally.
+	 * @method updateBus
+	 * @param {SoundBus} bus The bus to update.
+	 * @return {Boolean} True, as the bus volume is applied by the node rather than by each instance.
+	 * @since 1.1.0
+	 */
+	p.updateBus = function (bus) {
+		var node = this._busNodes[bus.name];
+		if (node == null) {
+			node = this._busNodes[bus.name] = this.context.createGain();
+		}
+
+		var parentNode = bus.parent ? this._getBusNode(bus.parent) : this.gainNode;
+		if (node.parentNode != parentNode) {
+			if (node.parentNode) { node.disconnect(0); }
+			node.connect(parentNode);
+			node.parentNode = parentNode;
+			if (node.analysers) { this._connectAnalysers(node.analysers); }
+		}
+
+		var newVolume = bus.muted ? 0 : bus.volume;
+		if (newVolume != node.gain.value) {
+			node.gain.value = newVolume;
+		}
+		return true;
+	};
+
+	/**
+	 * Disconnect and release the GainNode for a {{#crossLink "SoundBus"}}{{/crossLink}}. Should not be called externally.
+	 * @method removeBus
+	 * @param {SoundBus} bus The bus that was removed.
+	 * @since 1.1.0
+	 */
+	p.removeBus = function (bus) {
+		var node = this._busNodes[bus.name];
+		if (node == null) { return; }
+		node.disconnect(0);
+		delete(this._busNodes[bus.name]);
+		if (node.analysers) {
+			for (var i = 0, l = node.analysers.length; i < l; i++) { node.analysers[i].dispose(); }
+		}
+	};
+
+	/**
+	 * Create a {{#crossLink "SoundAnalyser"}}{{/crossLink}} for the master output, a bus, or an instance. Should not
+	 * be called externally, use {{#crossLink "Sound/createAnalyser"}}{{/crossLink}} instead.
+	 * @method createAnalyser
+	 * @param {Object} options The analyser options.
+	 * @return {SoundAnalyser} The analyser, or null if the bus or instance can not be analysed.
+	 * @since 1.1.0
+	 */
+	p.createAnalyser = function (options) {
+		var analyser;
+		if (options.instance) {
+			var instance = options.instance;
+			if (!(instance instanceof createjs.WebAudioSoundInstance) || instance.gainNode == null) { return null; }
+			analyser = new createjs.SoundAnalyser(this.context, instance.gainNode, options);
+			instance._analysers.push(analyser);
+			instance.finished.then(function () { analyser.dispose(); }, function () { analyser.dispose(); });
+		} else if (options.bus != null) {
+			var node = this._busNodes[options.bus.name || options.bus];
+			if (node == null) { return null; }
+			analyser = new createjs.SoundAnalyser(this.context, node, options);
+			(node.analysers = node.analysers || []).push(analyser);
+		} else {
+			// the compressor is analysed, as the gainNode is reconnected when the master effects change
+			analyser = new createjs.SoundAnalyser(this.context, this.dynamicsCompressorNode, options);
+		}
+		return analyser;
+	};
+
+	/**
+	 * Connect the {{#crossLink "Sound/masterEffects:property"}}{{/crossLink}} between the
+	 * {{#crossLink "WebAudioPlugin/gainNode:property"}}{{/crossLink}} and the
+	 * {{#crossLink "WebAudioPlugin/dynamicsCompressorNode:property"}}{{/crossLink}}. Should not be called externally.
+	 * @method updateEffects
+	 * @param {Array} effects The master effects.
+	 * @return {Boolean} True, as effects are supported.
+	 * @since 1.1.0
+	 */
+	p.updateEffects = function (effects) {
+		createjs.AbstractEffect.connectChain(this.gainNode, effects, this.dynamicsCompressorNode);
+		return true;
+	};
+
+	/**
+	 * Apply the position and orientation of the {{#crossLink "Sound/listener:property"}}{{/crossLink}} to the
+	 * listener of the audio context. Should not be called externally.
+	 * @method updateListener
+	 * @param {SoundListener} listener The listener.
+	 * @return {Boolean} True, as the listener is applied by the audio context rather than by each instance.
+	 * @since 1.1.0
+	 */
+	p.updateListener = function (listener) {
+		var l = this.context.listener,
+			position = listener.position, forward = listener.forward, up = listener.up;
+		if (l.positionX) {
+			l.positionX.value = position[0];
+			l.positionY.value = position[1];
+			l.positionZ.value = position[2];
+			l.forwardX.value = forward[0];
+			l.forwardY.value = forward[1];
+			l.forwardZ.value = forward[2];
+			l.upX.value = up[0];
+			l.upY.value = up[1];
+			l.upZ.value = up[2];
+		} else {
+			l.setPosition(position[0], position[1], position[2]);
+			l.setOrientation(forward[0], forward[1], forward[2], up[0], up[1], up[2]);
+		}
+		return true;
+	};
+
+	/**
+	 * Get the current time of the audio context, which is used to schedule playback with the
+	 * {{#crossLink "PlayPropsConfig/when:property"}}{{/crossLink}} play property.
+	 * @method getAudioTime
+	 * @return {Number} The <code>currentTime</code> of the audio context, in seconds.
+	 * @since 1.1.0
+	 */
+	p.getAudioTime = function () {
+		return this.context.currentTime;
+	};
+
+	/**
+	 * Render a timeline of sounds to an AudioBuffer using an OfflineAudioContext. Should not be called externally,
+	 * use {{#crossLink "Sound/renderOffline"}}{{/crossLink}} instead.
+	 * @method renderOffline
+	 * @param {Array} items The sounds to render, each with a loaded <code>src</code>, the time to start it at in
+	 * seconds (<code>when</code>), and a {{#crossLink "PlayPropsConfig"}}{{/crossLink}} (<code>playProps</code>).
+	 * @param {Object} options The render options.
+	 * @return {Promise} A Promise that resolves with the rendered AudioBuffer.
+	 * @since 1.1.0
+	 */
+	p.renderOffline = function (items, options) {
+		var sounds = [], end = 0, i, l;
+		for (i = 0, l = items.length; i < l; i++) {
+			if (this._streamSources[items[i].src]) {
+				return Promise.reject(new createjs.SoundError(createjs.SoundError.UNSUPPORTED, "Streamed sounds can not be rendered offline: " + items[i].src, items[i]));
+			}
+			var props = items[i].playProps,
+				buffer = this._audioSources[items[i].src],
+				sound = {
+					buffer: buffer,
+					when: Math.max(0, items[i].when + (props.delay || 0) * 0.001),
+					startTime: (props.startTime || 0) * 0.001,
+					duration: (props.duration || buffer.duration * 1000) * 0.001,
+					loop: props.loop || 0,
+					playbackRate: props.playbackRate > 0 ? props.playbackRate : 1,
+					volume: props.volume != null ? props.volume : 1,
+					pan: props.pan || 0
+				};
+			sound.loopStart = Math.max(0, (props.loopStart || 0) * 0.001);
+			sound.loopEnd = props.loopEnd != null ? Math.min(Math.max(0, props.loopEnd * 0.001), sound.duration) : sound.duration;
+			if (sound.loopStart >= sound.loopEnd) {	// not a valid loop region, so loop the whole duration
+				sound.loopStart = 0;
+				sound.loopEnd = sound.duration;
+			}
+			sound.offset = Math.min(Math.max(0, (props.offset || 0) * 0.001), sound.duration);
+			if (sound.loop != 0 && sound.offset >= sound.loopEnd) { sound.offset = sound.loopStart; }
+			// the time the sound plays for, which is -1 if it loops forever
+			sound.length = sound.loop < 0 ? -1 : (sound.duration - sound.offset + (sound.loopEnd - sound.loopStart) * sound.loop) / sound.playbackRate;
+			if (sound.length >= 0) { end = Math.max(end, sound.when + sound.length); }
+			sounds.push(sound);
+		}
+
+		var sampleRate = options.sampleRate || this.context.sampleRate,
+			length = options.duration != null ? options.duration * 0.001 : end,
+			OfflineContext = s._getOfflineContextClass(),
+			context = new OfflineContext(options.channels || 2, Math.max(1, Math.ceil(length * sampleRate)), sampleRate);
+
+		for (i = 0, l = sounds.length; i < l; i++) {
+			this._renderOfflineSound(context, sounds[i]);
+		}
+
+		return new Promise(function (resolve, reject) {
+			context.oncomplete = function (event) { resolve(event.renderedBuffer); };
+			var rendering = context.startRendering();
+			if (rendering && rendering.then) { rendering.then(resolve, reject); }	// older implementations only use oncomplete
+		});
+	};
+
+	/**
+	 * Create a {{#crossLink "MediaStreamSoundInstance"}}{{/crossLink}} to play a MediaStream. Should not be called
+	 * externally, use {{#crossLink "Sound/createStreamInstance"}}{{/crossLink}} instead.
+	 * @method createStreamInstance
+	 * @param {String} src The unique source of the stream.
+	 * @param {MediaStream} stream The stream to play.
+	 * @return {MediaStreamSoundInstance} The instance.
+	 * @since 1.1.0
+	 */
+	p.createStreamInstance = function (src, stream) {
+		return new createjs.MediaStreamSoundInstance(src, stream);
+	};
+
+	/**
+	 * Create a {{#crossLink "SoundRecorder"}}{{/crossLink}} for the master output. Should not be called externally,
+	 * use {{#crossLink "Sound/startRecording"}}{{/crossLink}} instead.
+	 * @method createRecorder
+	 * @param {Object} options The recording options.
+	 * @return {SoundRecorder} The recorder.
+	 * @since 1.1.0
+	 */
+	p.createRecorder = function (options) {
+		// the compressor is recorded, as the gainNode is reconnected when the master effects change
+		return new createjs.SoundRecorder(this.context, this.dynamicsCompressorNode, options);
+	};
+
 	p.toString = function () {
 		return "[WebAudioPlugin]";
 	};
 
 
 // Private Methods
+	/**
+	 * Read sound data into an ArrayBuffer that can be decoded. AudioBuffers are passed through. Data URIs can be
+	 * base64 or percent-encoded.
+	 * @method _readData
+	 * @param {AudioBuffer | ArrayBuffer | Blob | String} data The audio data, or a data URI.
+	 * @return {Promise} A Promise that resolves with the ArrayBuffer or AudioBuffer, or rejects with a
+	 * {{#crossLink "SoundError"}}{{/crossLink}} if a string is not a data URI.
+	 * @protected
+	 * @since 1.1.0
+	 */
+	p._readData = function (data) {
+		return new Promise(function (resolve, reject) {
+			if (typeof(data) == "string") {
+				var comma = data.indexOf(",");
+				if (data.indexOf("data:") != 0 || comma == -1) {
+					reject(new createjs.SoundError(createjs.SoundError.UNSUPPORTED, "Sound data strings must be data URIs: " + data.slice(0, 32)));
+					return;
+				}
+				var body = data.slice(comma + 1), bytes;
+				if (/;base64$/i.test(data.slice(0, comma))) {
+					bytes = atob(body);
+				} else {
+					// percent-encoded bytes are not UTF-8, so they are decoded one at a time
+					bytes = body.replace(/%([0-9a-f]{2})/gi, function (match, hex) {
+						return String.fromCharCode(parseInt(hex, 16));
+					});
+				}
+				var array = new Uint8Array(bytes.length);
+				for (var i = 0, l = bytes.length; i < l; i++) {
+					array[i] = bytes.charCodeAt(i);
+				}
+				resolve(array.buffer);
+			} else if (data instanceof ArrayBuffer) {
+				resolve(data.slice(0));	// decoding detaches the buffer, so the caller keeps their copy
+			} else if (data.getChannelData) {
+				resolve(data);
+			} else {
+				var reader = new FileReader();
+				reader.onload = function () { resolve(reader.result); };
+				reader.onerror = reject;
+				reader.readAsArrayBuffer(data);
+			}
+		});
+	};
+
+	/**
+	 * Reconnect analysers after the node they analyse has been disconnected, and forget any that have been disposed.
+	 * @method _connectAnalysers
+	 * @param {Array} analysers The analysers of the node.
+	 * @protected
+	 * @since 1.1.0
+	 */
+	p._connectAnalysers = function (analysers) {
+		for (var i = analysers.length; i--; ) {
+			if (analysers[i].disposed) {
+				analysers.splice(i, 1);
+			} else {
+				analysers[i]._connect();
+			}
+		}
+	};
+
+	/**
+	 * Schedule a sound to play in an OfflineAudioContext, through nodes for its pan and volume.
+	 * @method _renderOfflineSound
+	 * @param {OfflineAudioContext} context The context being rendered.
+	 * @param {Object} sound The sound, with times in seconds.
+	 * @protected
+	 * @since 1.1.0
+	 */
+	p._renderOfflineSound = function (context, sound) {
+		var instanceClass = createjs.WebAudioSoundInstance,
+			panNodes = instanceClass._createPanNodes(context),
+			gainNode = context.createGain(),
+			source = context.createBufferSource();
+
+		instanceClass._setPan(panNodes.input, panNodes.left, panNodes.right, sound.pan);
+		gainNode.gain.value = sound.volume;
+		source.buffer = sound.buffer;
+		source.playbackRate.value = sound.playbackRate;
+		source.connect(panNodes.input);
+		panNodes.output.connect(gainNode);
+		gainNode.connect(context.destination);
+
+		if (sound.loop == 0) {
+			source.start(sound.when, sound.startTime + sound.offset, sound.duration - sound.offset);
+			return;
+		}
+		source.loop = true;
+		source.loopStart = sound.startTime + sound.loopStart;
+		source.loopEnd = sound.startTime + sound.loopEnd;
+		source.start(sound.when, sound.startTime + sound.offset);
+		if (sound.length < 0) { return; }
+		if (sound.loopEnd >= sound.duration) {
+			source.stop(sound.when + sound.length);
+			return;
+		}
+
+		// the audio after the loop region plays on the final loop, so a second node plays it from the loopStart
+		var outro = context.createBufferSource(),
+			outroTime = sound.when + sound.length - (sound.duration - sound.loopStart) / sound.playbackRate;
+		outro.buffer = sound.buffer;
+		outro.playbackRate.value = sound.playbackRate;
+		outro.connect(panNodes.input);
+		source.stop(outroTime);
+		outro.start(outroTime, sound.startTime + sound.loopStart, sound.duration - sound.loopStart);
+	};
+
 	/**
 	 * Set up needed properties on supported classes WebAudioSoundInstance and WebAudioLoader.
 	 * @method _addPropsToClasses
@@ -432,11 +851,25 @@ this.createjs = this.createjs || {};
 		c._scratchBuffer = s._scratchBuffer;
 		c.destinationNode = this.gainNode;
 		c._panningModel = this._panningModel;
+		c._busNodes = this._busNodes;
 
 		this._loaderClass.context = this.context;
 	};
 
 
+	/**
+	 * Get the GainNode for a {{#crossLink "SoundBus"}}{{/crossLink}}, creating it if needed.
+	 * @method _getBusNode
+	 * @param {SoundBus} bus The bus.
+	 * @return {AudioGainNode} The node for the bus.
+	 * @protected
+	 * @since 1.1.0
+	 */
+	p._getBusNode = function (bus) {
+		if (this._busNodes[bus.name] == null) { this.updateBus(bus); }
+		return this._busNodes[bus.name];
+	};
+
 	/**
 	 * Set the gain value for master audio. Should not be called externally.
 	 * @method _updateVolume
@@ -68,14 +68,75 @@ this.createjs = this.createjs || {};
 
 		/**
 		 * NOTE this is only intended for use by advanced users.
-		 * <br />A panNode allowing left and right audio channel panning only. Connected to WebAudioSoundInstance {{#crossLink "WebAudioSoundInstance/gainNode:property"}}{{/crossLink}}.
+		 * <br />GainNode used to duck the instance with {{#crossLink "Sound/addDuckingRule"}}{{/crossLink}} rules,
+		 * separately from its volume. Connected to WebAudioSoundInstance {{#crossLink "WebAudioSoundInstance/gainNode:property"}}{{/crossLink}}.
+		 * @property duckNode
+		 * @type {AudioGainNode}
+		 * @since 1.1.0
+		 */
+		this.duckNode = s.context.createGain();
+		this.duckNode.connect(this.gainNode);
+
+		/**
+		 * NOTE this is only intended for use by advanced users.
+		 * <br />A panNode allowing left and right audio channel panning only, using equal power panning. This is a
+		 * StereoPannerNode where it is supported. Otherwise it is a GainNode that mixes the sound to mono, and splits
+		 * it between a left and right GainNode. Connected to WebAudioSoundInstance {{#crossLink "WebAudioSoundInstance/duckNode:property"}}{{/crossLink}},
+		 * through the {{#crossLink "WebAudioSoundInstance/spatialNode:property"}}{{/crossLink}} and any
+		 * {{#crossLink "AbstractSoundInstance/effects:property"}}{{/crossLink}}.
 		 * @property panNode
-		 * @type {AudioPannerNode}
+		 * @type {StereoPannerNode|AudioGainNode}
 		 * @since 0.4.0
 		 */
-		this.panNode = s.context.createPanner();
-		this.panNode.panningModel = s._panningModel;
-		this.panNode.connect(this.gainNode);
+		this.panNode = null;
+
+		/**
+		 * NOTE this is only intended for use by advanced users.
+		 * <br />A PannerNode used to position the sound in 3D, which is only created once the sound uses
+		 * {{#crossLink "AbstractSoundInstance/setSpatialPosition"}}{{/crossLink}} or the other spatial methods.
+		 * Connected after the {{#crossLink "WebAudioSoundInstance/panNode:property"}}{{/crossLink}}.
+		 * @property spatialNode
+		 * @type {AudioPannerNode}
+		 * @default null
+		 * @since 1.1.0
+		 */
+		this.spatialNode = null;
+
+		/**
+		 * The last node of the pan path, which is the {{#crossLink "WebAudioSoundInstance/panNode:property"}}{{/crossLink}}
+		 * if it is a StereoPannerNode, or the ChannelMergerNode that combines the left and right GainNodes.
+		 * @property _panOutputNode
+		 * @type {AudioNode}
+		 * @protected
+		 * @since 1.1.0
+		 */
+		this._panOutputNode = null;
+
+		/**
+		 * The GainNodes for the left and right channels, when StereoPannerNode is not supported.
+		 * @property _panLeftNode
+		 * @type {AudioGainNode}
+		 * @protected
+		 * @since 1.1.0
+		 */
+		this._panLeftNode = this._panRightNode = null;
+
+		/**
+		 * The {{#crossLink "SoundAnalyser"}}{{/crossLink}}s analysing the {{#crossLink "WebAudioSoundInstance/gainNode:property"}}{{/crossLink}},
+		 * which are reconnected when it is.
+		 * @property _analysers
+		 * @type {Array}
+		 * @protected
+		 * @since 1.1.0
+		 */
+		this._analysers = [];
+
+		var panNodes = s._createPanNodes(s.context);
+		this.panNode = panNodes.input;
+		this._panOutputNode = panNodes.output;
+		this._panLeftNode = panNodes.left;
+		this._panRightNode = panNodes.right;
+		this._panOutputNode.connect(this.duckNode);
 		this._updatePan();
 
 		/**
@@ -124,6 +185,17 @@ this.createjs = this.createjs || {};
 		 */
 		this._playbackStartTime = 0;
 
+		/**
+		 * Indicates the current fade has been scheduled on the {{#crossLink "WebAudioSoundInstance/gainNode:property"}}{{/crossLink}}
+		 * gain, so volume updates from the fade timer should not be applied.
+		 * @property _fadeScheduled
+		 * @type {Boolean}
+		 * @default false
+		 * @protected
+		 * @since 1.1.0
+		 */
+		this._fadeScheduled = false;
+
 		// Proxies, make removing listeners easier.
 		this._endedHandler = createjs.proxy(this._handleSoundComplete, this);
 	};
@@ -162,6 +234,7 @@ this.createjs = this.createjs || {};
 
 	/**
 	 * Value to set panning model to equal power for WebAudioSoundInstance.  Can be "equalpower" or 0 depending on browser implementation.
+	 * Used to detect older implementations, which use numeric panning models for the {{#crossLink "WebAudioSoundInstance/spatialNode:property"}}{{/crossLink}}.
 	 * @property _panningModel
 	 * @type {Number / String}
 	 * @protected
@@ -170,6 +243,77 @@ this.createjs = this.createjs || {};
 	 */
 	s._panningModel = "equalpower";
 
+	/**
+	 * Note this is only intended for use by advanced users.
+	 * <br />An object hash of the GainNode for each {{#crossLink "SoundBus"}}{{/crossLink}}, by name. This is and
+	 * should be the same hash referenced by {{#crossLink "WebAudioPlugin"}}{{/crossLink}}.
+	 * @property _busNodes
+	 * @type {Object}
+	 * @protected
+	 * @static
+	 * @since 1.1.0
+	 */
+	s._busNodes = null;
+
+
+// Static Methods
+	/**
+	 * Create the nodes used to pan a sound in the passed context, using a StereoPannerNode where it is supported, or
+	 * an equal power fallback. The fallback mixes the sound to mono, and splits it between a left and right GainNode
+	 * that are combined by a ChannelMergerNode. This is also used by {{#crossLink "Sound/renderOffline"}}{{/crossLink}}.
+	 * @method _createPanNodes
+	 * @param {AudioContext} context The context to create the nodes in.
+	 * @return {Object} An object with the <code>input</code> and <code>output</code> nodes, and the <code>left</code>
+	 * and <code>right</code> GainNodes, which are null if a StereoPannerNode is used.
+	 * @protected
+	 * @static
+	 * @since 1.1.0
+	 */
+	s._createPanNodes = function (context) {
+		if (context.createStereoPanner) {
+			var panner = context.createStereoPanner();
+			return {input: panner, output: panner, left: null, right: null};
+		}
+
+		// mix down to mono, so pan works the same for mono and stereo sounds
+		var nodes = {
+			input: context.createGain(),
+			output: context.createChannelMerger(2),
+			left: context.createGain(),
+			right: context.createGain()
+		};
+		nodes.input.channelCount = 1;
+		nodes.input.channelCountMode = "explicit";
+		nodes.input.channelInterpretation = "speakers";
+		nodes.input.connect(nodes.left);
+		nodes.input.connect(nodes.right);
+		nodes.left.connect(nodes.output, 0, 0);
+		nodes.right.connect(nodes.output, 0, 1);
+		return nodes;
+	};
+
+	/**
+	 * Set the pan of nodes created by {{#crossLink "WebAudioSoundInstance/_createPanNodes"}}{{/crossLink}}.
+	 * @method _setPan
+	 * @param {AudioNode} input The input node.
+	 * @param {AudioGainNode} left The left GainNode, or null if the input is a StereoPannerNode.
+	 * @param {AudioGainNode} right The right GainNode, or null if the input is a StereoPannerNode.
+	 * @param {Number} pan The pan, between -1 (left) and 1 (right).
+	 * @protected
+	 * @static
+	 * @since 1.1.0
+	 */
+	s._setPan = function (input, left, right, pan) {
+		if (left == null) {
+			input.pan.value = pan;
+			return;
+		}
+		// equal power, so the sound is not quieter in the center
+		var angle = (pan + 1) * Math.PI / 4;
+		left.gain.value = Math.cos(angle);
+		right.gain.value = Math.sin(angle);
+	};
+
 
 // Public methods
 	p.destroy = function() {
@@ -177,6 +321,26 @@ this.createjs = this.createjs || {};
 
 		this.panNode.disconnect(0);
 		this.panNode = null;
+		if (this._panLeftNode) {
+			this._panLeftNode.disconnect(0);
+			this._panRightNode.disconnect(0);
+			this._panLeftNode = this._panRightNode = null;
+		}
+		this._panOutputNode.disconnect(0);
+		this._panOutputNode = null;
+		if (this.spatialNode) {
+			this.spatialNode.disconnect(0);
+			this.spatialNode = null;
+		}
+		for (var i = 0, l = this._effects.length; i < l; i++) {
+			this._effects[i].disconnect();
+		}
+		this.duckNode.disconnect(0);
+		this.duckNode = null;
+		for (i = 0, l = this._analysers.length; i < l; i++) {
+			this._analysers[i].dispose();
+		}
+		this._analysers = [];
 		this.gainNode.disconnect(0);
 		this.gainNode = null;
 	};
@@ -188,19 +352,42 @@ this.createjs = this.createjs || {};
 
 // Private Methods
 	p._updatePan = function() {
-		this.panNode.setPosition(this._pan, 0, -0.5);
-		// z need to be -0.5 otherwise the sound only plays in left, right, or center
+		var pan = this._spatial ? 0 : this._pan;	// positioned sounds are panned by the spatialNode instead
+		s._setPan(this.panNode, this._panLeftNode, this._panRightNode, pan);
 	};
 
 	p._removeLooping = function(value) {
+		if (this._hasLoopRegion()) {
+			this._restartLoopRegion(value);
+			return;
+		}
 		this._sourceNodeNext = this._cleanUpAudioNode(this._sourceNodeNext);
 	};
 
 	p._addLooping = function(value) {
 		if (this.playState != createjs.Sound.PLAY_SUCCEEDED) { return; }
+		if (this._hasLoopRegion()) {
+			this._restartLoopRegion(value);
+			return;
+		}
 		this._sourceNodeNext = this._createAndPlayAudioNode(this._playbackStartTime, 0);
 	};
 
+	/**
+	 * Restart playback of a loop region from the current position, so the audio node is created with the new number
+	 * of loops. Looping is turned on or off for the whole node, so it can not be changed while it plays.
+	 * @method _restartLoopRegion
+	 * @param {Number} value The number of times to loop after play.
+	 * @protected
+	 * @since 1.1.0
+	 */
+	p._restartLoopRegion = function (value) {
+		if (this.playState != createjs.Sound.PLAY_SUCCEEDED) { return; }
+		this._getPosition();
+		this._loop = value;
+		this._updatePosition();
+	};
+
 	p._setDurationFromSource = function () {
 		this._duration = this.playbackResource.duration * 1000;
 	};
@@ -242,14 +429,22 @@ this.createjs = this.createjs || {};
 	};
 
 	p._handleSoundReady = function (event) {
-		this.gainNode.connect(s.destinationNode);  // this line can cause a memory leak.  Nodes need to be disconnected from the audioDestination or any sequence that leads to it.
+		this._connectOutput();  // this line can cause a memory leak.  Nodes need to be disconnected from the audioDestination or any sequence that leads to it.
 
 		var dur = this._duration * 0.001,
-			pos = Math.min(Math.max(0, this._position) * 0.001, dur);
-		this.sourceNode = this._createAndPlayAudioNode((s.context.currentTime - dur), pos);
-		this._playbackStartTime = this.sourceNode.startTime - pos;
+			pos = Math.min(Math.max(0, this._position) * 0.001, dur),
+			rate = this._playbackRate,
+			now = s.context.currentTime,
+			start = Math.max(now, this._when || 0);	// scheduled playback can start in the future
+		if (this._hasLoopRegion()) {
+			this._playLoopRegion(start, pos);
+			return;
+		}
+
+		this.sourceNode = this._createAndPlayAudioNode((start - dur / rate), pos);
+		this._playbackStartTime = this.sourceNode.startTime - pos / rate;
 
-		this._soundCompleteTimeout = setTimeout(this._endedHandler, (dur - pos) * 1000);
+		this._soundCompleteTimeout = setTimeout(this._endedHandler, ((start - now) + (dur - pos) / rate) * 1000);
 
 		if(this._loop != 0) {
 			this._sourceNodeNext = this._createAndPlayAudioNode(this._playbackStartTime, 0);
@@ -258,6 +453,7 @@ this.createjs = this.createjs || {};
 
 	/**
 	 * Creates an audio node using the current src and context, connects it to the gain node, and starts playback.
+	 * The node starts one clip duration (at the current playback rate) after the passed startTime.
 	 * @method _createAndPlayAudioNode
 	 * @param {Number} startTime The time to add this to the web audio context, in seconds.
 	 * @param {Number} offset The amount of time into the src audio to start playback, in seconds.
@@ -268,15 +464,71 @@ this.createjs = this.createjs || {};
 	p._createAndPlayAudioNode = function(startTime, offset) {
 		var audioNode = s.context.createBufferSource();
 		audioNode.buffer = this.playbackResource;
+		audioNode.playbackRate.value = this._playbackRate;
 		audioNode.connect(this.panNode);
 		var dur = this._duration * 0.001;
-		audioNode.startTime = startTime + dur;
+		audioNode.startTime = startTime + dur / this._playbackRate;
 		audioNode.start(audioNode.startTime, offset+(this._startTime*0.001), dur - offset);
 		return audioNode;
 	};
 
+	/**
+	 * Play a sound with a loop region. A single audio node loops natively between the loopStart and loopEnd, so the
+	 * audio before the region plays once as an intro. The audio after the region is played by a second node on the
+	 * final loop, see {{#crossLink "WebAudioSoundInstance/_scheduleLoopRegionEnd"}}{{/crossLink}}.
+	 * @method _playLoopRegion
+	 * @param {Number} start The time to start playback at on the web audio context, in seconds.
+	 * @param {Number} pos The position to start playback from, in seconds.
+	 * @protected
+	 * @since 1.1.0
+	 */
+	p._playLoopRegion = function (start, pos) {
+		var loopStart = this._loopStart * 0.001,
+			loopEnd = this._getLoopEndTime() * 0.001,
+			dur = this._duration * 0.001,
+			offset = this._startTime * 0.001;
+		if (this._loop != 0 && pos >= loopEnd) { pos = loopStart; }
+
+		var audioNode = this.sourceNode = s.context.createBufferSource();
+		audioNode.buffer = this.playbackResource;
+		audioNode.playbackRate.value = this._playbackRate;
+		audioNode.connect(this.panNode);
+		if (this._loop != 0) {
+			audioNode.loop = true;
+			audioNode.loopStart = offset + loopStart;
+			audioNode.loopEnd = offset + loopEnd;
+			audioNode.start(start, offset + pos);
+		} else {
+			audioNode.start(start, offset + pos, dur - pos);
+		}
+		this._playbackStartTime = start - pos / this._playbackRate;
+		this._scheduleLoopRegionEnd();
+	};
+
+	/**
+	 * Set the timeout for the end of the current pass through a loop region. Before the final loop, the looping node
+	 * is stopped at the loopEnd and the next node is scheduled to play from the loopStart to the end of the duration.
+	 * @method _scheduleLoopRegionEnd
+	 * @protected
+	 * @since 1.1.0
+	 */
+	p._scheduleLoopRegionEnd = function () {
+		var rate = this._playbackRate,
+			end = this._loop != 0 ? this._getLoopEndTime() : this._duration,
+			endTime = this._playbackStartTime + end * 0.001 / rate;
+
+		this._sourceNodeNext = this._cleanUpAudioNode(this._sourceNodeNext);
+		if (this._loop == 1) {
+			this.sourceNode.stop(endTime);
+			this._sourceNodeNext = this._createAndPlayAudioNode(endTime - this._duration * 0.001 / rate, this._loopStart * 0.001);
+		}
+
+		clearTimeout(this._soundCompleteTimeout);
+		this._soundCompleteTimeout = setTimeout(this._endedHandler, Math.max(0, endTime - s.context.currentTime) * 1000);
+	};
+
 	p._pause = function () {
-		this._position = (s.context.currentTime - this._playbackStartTime) * 1000;  // * 1000 to give milliseconds, lets us restart at same point
+		this._position = this._calculateCurrentPosition();  // lets us restart at same point
 		this.sourceNode = this._cleanUpAudioNode(this.sourceNode);
 		this._sourceNodeNext = this._cleanUpAudioNode(this._sourceNodeNext);
 
@@ -296,14 +548,154 @@ this.createjs = this.createjs || {};
 	*/
 
 	p._updateVolume = function () {
+		var gain = this.gainNode.gain;
+		if (this._fade && this._fade.startTime != null && !this._muted) {
+			if (!this._fadeScheduled) { this._scheduleFade(); }
+			return;
+		}
+
 		var newVolume = this._muted ? 0 : this._volume;
-	  	if (newVolume != this.gainNode.gain.value) {
-		  this.gainNode.gain.value = newVolume;
-  		}
+		if (this._fadeScheduled) {
+			gain.cancelScheduledValues(0);
+			this._fadeScheduled = false;
+			gain.value = newVolume;
+		} else if (newVolume != gain.value) {
+			gain.value = newVolume;
+		}
+	};
+
+	/**
+	 * Schedule the remainder of the current fade as a ramp on the gain, so it is not tied to the fade timer.
+	 * Eased fades are scheduled as a value curve.
+	 * @method _scheduleFade
+	 * @protected
+	 * @since 1.1.0
+	 */
+	p._scheduleFade = function () {
+		var fade = this._fade,
+			gain = this.gainNode.gain,
+			ratio = this._getFadeRatio(),
+			remaining = fade.duration * (1 - ratio) * 0.001,
+			now = s.context.currentTime,
+			start = now + Math.max(0, fade.startTime - Date.now()) * 0.001;	// fades can wait for scheduled playback
+
+		gain.cancelScheduledValues(now);
+		this._fadeScheduled = true;
+		if (remaining <= 0) {
+			gain.value = fade.to;
+		} else if (fade.ease) {
+			var length = Math.max(2, Math.ceil(remaining * 100));	// 100 points per second is smooth enough for volume
+			var curve = new Float32Array(length);
+			for (var i = 0; i < length; i++) {
+				curve[i] = this._getFadeVolume(ratio + (1 - ratio) * i / (length - 1));
+			}
+			gain.setValueCurveAtTime(curve, start, remaining);
+		} else {
+			gain.setValueAtTime(this._getFadeVolume(ratio), start);
+			gain.linearRampToValueAtTime(fade.to, start + remaining);
+		}
+	};
+
+	p._updateSpatial = function () {
+		if (!this.spatialNode) {
+			this.spatialNode = s.context.createPanner();
+			this._updateEffects();
+			this._updatePan();
+		}
+
+		var spatial = this._spatial,
+			node = this.spatialNode;
+		node.panningModel = createjs.Sound.panningModel;
+		if (s._panningModel === 0) { node.panningModel = node.panningModel == "HRTF" ? 1 : 0; }
+		node.distanceModel = spatial.distanceModel;
+		node.refDistance = spatial.refDistance;
+		node.maxDistance = spatial.maxDistance;
+		node.rolloffFactor = spatial.rolloffFactor;
+		node.coneInnerAngle = spatial.coneInnerAngle;
+		node.coneOuterAngle = spatial.coneOuterAngle;
+		node.coneOuterGain = spatial.coneOuterGain;
+
+		var position = spatial.position, orientation = spatial.orientation;
+		if (node.positionX) {
+			node.positionX.value = position[0];
+			node.positionY.value = position[1];
+			node.positionZ.value = position[2];
+			node.orientationX.value = orientation[0];
+			node.orientationY.value = orientation[1];
+			node.orientationZ.value = orientation[2];
+		} else {
+			node.setPosition(position[0], position[1], position[2]);
+			node.setOrientation(orientation[0], orientation[1], orientation[2]);
+		}
+	};
+
+	// effects are inserted after panning, and before ducking and volume
+	p._updateEffects = function () {
+		var source = this._panOutputNode;
+		if (this.spatialNode) {
+			source.disconnect(0);
+			source.connect(this.spatialNode);
+			source = this.spatialNode;
+		}
+		createjs.AbstractEffect.connectChain(source, this._effects, this.duckNode);
+	};
+
+	// ramp the duck gain rather than stepping the volume with a timer
+	p._updateDuck = function () {
+		var gain = this.duckNode.gain,
+			now = s.context.currentTime;
+		gain.cancelScheduledValues(now);
+		if (this._duck) {
+			gain.setValueAtTime(this._duck.from, now);
+			gain.linearRampToValueAtTime(this._duckVolume, now + this._duck.duration * 0.001);
+		} else {
+			gain.value = this._duckVolume;
+		}
+	};
+
+	p._updateBus = function () {
+		if (this.playState != createjs.Sound.PLAY_SUCCEEDED || this._paused) { return; }
+		this.gainNode.disconnect(0);
+		this._connectOutput();
+	};
+
+	/**
+	 * Connect the {{#crossLink "WebAudioSoundInstance/gainNode:property"}}{{/crossLink}} to the output node, and
+	 * to any analysers.
+	 * @method _connectOutput
+	 * @protected
+	 * @since 1.1.0
+	 */
+	p._connectOutput = function () {
+		this.gainNode.connect(this._getOutputNode());
+		for (var i = this._analysers.length; i--; ) {
+			if (this._analysers[i].disposed) {
+				this._analysers.splice(i, 1);
+			} else {
+				this._analysers[i]._connect();
+			}
+		}
+	};
+
+	/**
+	 * Get the node this instance connects its output to, which is the GainNode of its {{#crossLink "SoundBus"}}{{/crossLink}}
+	 * if it has one, or the {{#crossLink "WebAudioSoundInstance/destinationNode:property"}}{{/crossLink}}.
+	 * @method _getOutputNode
+	 * @return {AudioNode}
+	 * @protected
+	 * @since 1.1.0
+	 */
+	p._getOutputNode = function () {
+		return (s._busNodes && this._bus != null && s._busNodes[this._bus]) || s.destinationNode;
 	};
 
 	p._calculateCurrentPosition = function () {
-		return ((s.context.currentTime - this._playbackStartTime) * 1000); // pos in seconds * 1000 to give milliseconds
+		var pos = Math.max(0, (s.context.currentTime - this._playbackStartTime) * this._playbackRate * 1000); // pos in seconds * 1000 to give milliseconds
+		if (this._loop != 0 && this._hasLoopRegion()) {
+			var loopEnd = this._getLoopEndTime();
+			if (pos >= loopEnd) { pos = this._loopStart + (pos - loopEnd) % (loopEnd - this._loopStart); }	// the node has looped ahead of the loop event
+		}
+		return pos;
 	};
 
 	p._updatePosition = function () {
@@ -319,11 +711,54 @@ this.createjs = this.createjs || {};
 	// This technique is described here:  http://www.html5rocks.com/en/tutorials/audio/scheduling/
 	// NOTE the cost of this is that our audio loop may not always match the loop event timing precisely.
 	p._handleLoop = function () {
+		if (this._hasLoopRegion()) {
+			var rate = this._playbackRate;
+			if (this._sourceNodeNext) {
+				this._cleanUpAudioNode(this.sourceNode);
+				this.sourceNode = this._sourceNodeNext;
+				this._sourceNodeNext = null;
+				this._playbackStartTime = this.sourceNode.startTime - this._loopStart * 0.001 / rate;
+			} else {
+				if (this._loop == 0) { this.sourceNode.loop = false; }	// loops were reduced during playback
+				this._playbackStartTime += (this._getLoopEndTime() - this._loopStart) * 0.001 / rate;
+			}
+			this._scheduleLoopRegionEnd();
+			return;
+		}
+
 		this._cleanUpAudioNode(this.sourceNode);
 		this.sourceNode = this._sourceNodeNext;
 		this._playbackStartTime = this.sourceNode.startTime;
 		this._sourceNodeNext = this._createAndPlayAudioNode(this._playbackStartTime, 0);
-		this._soundCompleteTimeout = setTimeout(this._endedHandler, this._duration);
+		this._soundCompleteTimeout = setTimeout(this._endedHandler, this._duration / this._playbackRate);
+	};
+
+	// change the rate of the playing nodes rather than restarting, and move the timing of the next loop to match
+	p._updatePlaybackRate = function () {
+		if (this.playState != createjs.Sound.PLAY_SUCCEEDED || this._paused || this.sourceNode == null) { return; }
+		if (s.context.currentTime < this._playbackStartTime) {
+			this._updatePosition();	// playback is scheduled but has not started yet
+			return;
+		}
+		if (this._hasLoopRegion()) {
+			this._updatePosition();	// the loop region end is scheduled on the node, so restart it at the new rate
+			return;
+		}
+
+		var now = s.context.currentTime,
+			rate = this._playbackRate,
+			dur = this._duration * 0.001,
+			pos = Math.min(Math.max(0, this._position) * 0.001, dur);
+		this.sourceNode.playbackRate.setValueAtTime(rate, now);
+		this._playbackStartTime = now - pos / rate;
+
+		clearTimeout(this._soundCompleteTimeout);
+		this._soundCompleteTimeout = setTimeout(this._endedHandler, (dur - pos) / rate * 1000);
+
+		if (this._sourceNodeNext) {
+			this._cleanUpAudioNode(this._sourceNodeNext);
+			this._sourceNodeNext = this._createAndPlayAudioNode(this._playbackStartTime, 0);
+		}
 	};
 
 	p._updateDuration = function () {
@@ -333,5 +768,9 @@ this.createjs = this.createjs || {};
 		}
 	};
 
+	p._updateLoopRegion = function () {
+		if (this.playState == createjs.Sound.PLAY_SUCCEEDED) { this._updatePosition(); }
+	};
+
 	createjs.WebAudioSoundInstance = createjs.promote(WebAudioSoundInstance, "AbstractSoundInstance");
 }());
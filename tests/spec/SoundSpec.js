@@ -10,6 +10,13 @@ describe("SoundJS", function () {
 	afterEach(function () {
 		this.sound.removeAllSounds();
 		this.sound.removeAllEventListeners("fileload");
+		this.sound.removeAllEventListeners("fileerror");
+
+		// the clock is shared, so restore its defaults
+		this.sound.clock.stop();
+		this.sound.clock.bpm = 120;
+		this.sound.clock.beatsPerBar = 4;
+		this.sound.clock.beatUnit = 4;
 	});
 
 	it("should play mp3s", function (done) {
@@ -205,4 +212,635 @@ describe("SoundJS", function () {
 			}
 		});
 	});
+
+	it("createBus() should nest buses and combine their volume.", function () {
+		var sfx = this.sound.createBus("sfx");
+		var ui = this.sound.createBus("ui", "sfx");
+
+		expect(this.sound.getBus("ui")).toBe(ui);
+		expect(ui.parent).toBe(sfx);
+		expect(this.sound.createBus("sfx", "ui")).toBe(null);
+
+		sfx.volume = 0.5;
+		ui.volume = 0.5;
+		expect(ui.getOutputVolume()).toBe(0.25);
+		sfx.muted = true;
+		expect(ui.getOutputVolume()).toBe(0);
+
+		this.sound.removeBus("sfx");
+		expect(this.sound.getBus("sfx")).toBe(null);
+		expect(ui.parent).toBe(null);
+		this.sound.removeBus("ui");
+	});
+
+	it("Pausing a bus should pause its instances.", function (done) {
+		var _this = this;
+		var bus = this.sound.createBus("music");
+		this.sound.registerSound(this.mp3File, "thunder");
+		this.sound.on("fileload", function (evt) {
+			var s = createjs.Sound.play("thunder", {bus: "music"});
+			expect(s.bus).toBe("music");
+
+			bus.paused = true;
+			expect(s.paused).toBe(true);
+			bus.paused = false;
+			expect(s.paused).toBe(false);
+
+			s.stop();
+			_this.sound.removeBus("music");
+			done();
+		});
+	});
+
+	it("fadeTo() should change the volume and dispatch fadecomplete.", function (done) {
+		this.sound.registerSound(this.mp3File, "thunder");
+		this.sound.on("fileload", function (evt) {
+			var s = createjs.Sound.play("thunder", {volume: 1});
+			s.on("fadecomplete", function () {
+				expect(s.volume).toBe(0.25);
+				s.stop();
+				done();
+			});
+			s.fadeTo(0.25, 100);
+			expect(s.volume).toBe(1);
+		});
+	});
+
+	it("stop() with fadeOut should stop after the fade, even if the volume changes.", function (done) {
+		this.sound.registerSound(this.mp3File, "thunder");
+		this.sound.on("fileload", function (evt) {
+			var s = createjs.Sound.play("thunder", {volume: 1});
+			s.finished.then(function (playState) {
+				expect(playState).toBe(createjs.Sound.PLAY_FINISHED);
+				expect(s.volume).toBe(0.5);
+				done();
+			});
+			s.stop({fadeOut: 100});
+			s.volume = 0.5;
+			expect(s.playState).toBe(createjs.Sound.PLAY_SUCCEEDED);
+		});
+	});
+
+	it("playbackRate should be set from play properties.", function (done) {
+		this.sound.registerSound(this.mp3File, "thunder");
+		this.sound.on("fileload", function (evt) {
+			var s = createjs.Sound.play("thunder", {playbackRate: 1.5});
+			expect(s.playbackRate).toBe(1.5);
+			s.playbackRate = 0;
+			expect(s.playbackRate).toBe(1.5);
+			s.stop();
+			done();
+		});
+	});
+
+	it("getAudioTime() should advance, and when should schedule playback.", function (done) {
+		var start = this.sound.getAudioTime();
+		expect(typeof this.sound.capabilities.preciseScheduling).toBe("boolean");
+
+		this.sound.registerSound(this.mp3File, "thunder");
+		this.sound.on("fileload", function (evt) {
+			expect(createjs.Sound.getAudioTime()).not.toBeLessThan(start);
+			var s = createjs.Sound.play("thunder", {when: createjs.Sound.getAudioTime() + 0.1});
+			s.on("succeeded", function () {
+				s.stop();
+				done();
+			});
+			if (s.playState == "playSucceeded") {
+				s.stop();
+				done();
+			}
+		});
+	});
+
+	it("load() should resolve with the item, and finished should resolve when stopped.", function (done) {
+		var _this = this;
+		this.sound.load({src: this.mp3File, id: "thunder"}).then(function (item) {
+			expect(item.src).toBe(_this.mp3File);
+			var s = createjs.Sound.play("thunder");
+			s.finished.then(function (playState) {
+				expect(playState).toBe("playFinished");
+				done();
+			});
+			s.stop();
+		});
+	});
+
+	it("load() should reject with a SoundError for unsupported sources.", function (done) {
+		this.sound.load("audio/Thunder1.xyz").catch(function (error) {
+			expect(error instanceof createjs.SoundError).toBe(true);
+			expect(error.type).toBe(createjs.SoundError.UNSUPPORTED);
+			done();
+		});
+	});
+
+	it("load() should reject instead of throwing when no sounds are passed.", function (done) {
+		this.sound.load(null).catch(function (error) {
+			expect(error.type).toBe(createjs.SoundError.UNSUPPORTED);
+			done();
+		});
+	});
+
+	it("maxVoices should let higher priority sounds steal voices.", function (done) {
+		this.sound.registerSound(this.mp3File, "thunder");
+		this.sound.on("fileload", function (evt) {
+			createjs.Sound.maxVoices = 1;
+			var low = createjs.Sound.play("thunder", {priority: 1});
+			var high = createjs.Sound.play("thunder", {priority: 5});
+			expect(high.playState).toBe("playSucceeded");
+			expect(low.playState).toBe("playInterrupted");
+			expect(createjs.Sound.play("thunder", {priority: 1}).playState).toBe("playFailed");
+
+			// lowering maxVoices steals as many voices as it takes
+			createjs.Sound.maxVoices = -1;
+			var others = [createjs.Sound.play("thunder", {priority: 2}), createjs.Sound.play("thunder", {priority: 3})];
+			createjs.Sound.maxVoices = 2;
+			var highest = createjs.Sound.play("thunder", {priority: 10});
+			expect(highest.playState).toBe("playSucceeded");
+			expect(others[0].playState).toBe("playInterrupted");
+			expect(others[1].playState).toBe("playInterrupted");
+			expect(high.playState).toBe("playSucceeded");
+
+			createjs.Sound.maxVoices = -1;
+			high.stop();
+			highest.stop();
+			done();
+		});
+	});
+
+	it("addDuckingRule() should duck targets while a trigger plays.", function (done) {
+		this.sound.registerSound(this.mp3File, "thunder");
+		this.sound.on("fileload", function (evt) {
+			// the ducked volume is applied to the duckNode, or the volume of the audio element
+			var level = function (instance) {
+				return instance.duckNode ? instance.duckNode.gain.value : instance.playbackResource.volume;
+			};
+			var rule = createjs.Sound.addDuckingRule({trigger: "vo", target: "thun*", amount: 0.25});
+			var target = createjs.Sound.play("thunder");
+			var trigger = createjs.Sound.play("thunder", {tag: "vo"});
+			expect(level(target)).toBeCloseTo(0.25);
+
+			trigger.paused = true;
+			expect(level(target)).toBeCloseTo(1);
+			trigger.paused = false;
+			expect(level(target)).toBeCloseTo(0.25);
+
+			trigger.stop();
+			expect(level(target)).toBeCloseTo(1);
+
+			createjs.Sound.removeDuckingRule(rule);
+			target.stop();
+			done();
+		});
+	});
+
+	it("addEffect() should add effects with live parameters.", function (done) {
+		expect(typeof this.sound.capabilities.effects).toBe("boolean");
+		this.sound.registerSound(this.mp3File, "thunder");
+		this.sound.on("fileload", function (evt) {
+			var filter = new createjs.FilterEffect({frequency: 500});
+			var s = createjs.Sound.play("thunder");
+			s.addEffect(filter).addEffect(new createjs.DelayEffect());
+			expect(s.effects.length).toBe(2);
+
+			filter.frequency = 1000;
+			expect(filter.frequency).toBe(1000);
+			if (createjs.Sound.capabilities.effects) {
+				expect(filter.input.frequency.value).toBe(1000);
+			}
+
+			s.removeEffect(filter);
+			expect(s.effects.length).toBe(1);
+			s.stop();
+			done();
+		});
+	});
+
+	it("setSpatialPosition() should attenuate sounds by distance from the listener.", function (done) {
+		expect(typeof this.sound.capabilities.spatial).toBe("boolean");
+		this.sound.registerSound(this.mp3File, "thunder");
+		this.sound.on("fileload", function (evt) {
+			var s = createjs.Sound.play("thunder");
+			s.setSpatialPosition(10, 0, 0).setDistanceModel("linear", 1, 21, 1);
+			createjs.Sound.listener.setPosition(5, 0, 0);
+			if (s.spatialNode) {
+				var listener = createjs.WebAudioPlugin.context.listener;
+				expect(s.spatialNode.distanceModel).toBe("linear");
+				if (s.spatialNode.positionX) {
+					expect(s.spatialNode.positionX.value).toBe(10);
+					expect(listener.positionX.value).toBe(5);
+				}
+			} else {
+				expect(s.playbackResource.volume).toBeCloseTo(0.8);
+				createjs.Sound.listener.setPosition(10, 0, 0);
+				expect(s.playbackResource.volume).toBe(1);
+			}
+			createjs.Sound.listener.setPosition(0, 0, 0);
+
+			createjs.Sound.panningModel = "equalpower";
+			expect(createjs.Sound.panningModel).toBe("equalpower");
+			createjs.Sound.panningModel = "HRTF";
+			s.stop();
+			done();
+		});
+	});
+
+	it("pan should use equal power panning, and only create a PannerNode for positioned sounds.", function (done) {
+		this.sound.registerSound(this.mp3File, "thunder");
+		this.sound.on("fileload", function (evt) {
+			var s = createjs.Sound.play("thunder", {pan: -1});
+			if (s.panNode) {
+				var context = createjs.WebAudioPlugin.context;
+				expect(s.spatialNode).toBe(null);
+				if (context.createStereoPanner) {
+					expect(s.panNode.pan.value).toBe(-1);
+				}
+
+				// remove StereoPannerNode support to test the equal power fallback
+				var createStereoPanner = context.createStereoPanner;
+				context.createStereoPanner = undefined;
+				var fallback = createjs.Sound.play("thunder", {pan: -1});
+				context.createStereoPanner = createStereoPanner;
+				expect(fallback._panLeftNode.gain.value).toBeCloseTo(1);
+				expect(fallback._panRightNode.gain.value).toBeCloseTo(0);
+				fallback.pan = 0;
+				expect(fallback._panLeftNode.gain.value).toBeCloseTo(Math.SQRT1_2);
+				expect(fallback._panRightNode.gain.value).toBeCloseTo(Math.SQRT1_2);
+				fallback.stop();
+
+				s.setSpatialPosition(1, 0, 0);
+				expect(s.spatialNode).not.toBe(null);
+			}
+			s.stop();
+			done();
+		});
+	});
+
+	it("createAnalyser() should analyse a sound, and dispose when it finishes.", function (done) {
+		expect(typeof this.sound.capabilities.analysis).toBe("boolean");
+		this.sound.registerSound(this.mp3File, "thunder");
+		this.sound.on("fileload", function (evt) {
+			var s = createjs.Sound.play("thunder");
+			var analyser = createjs.Sound.createAnalyser({instance: s, fftSize: 256});
+			if (!createjs.Sound.capabilities.analysis) {
+				expect(analyser).toBe(null);
+				s.stop();
+				done();
+				return;
+			}
+
+			expect(analyser.getFrequencyData().length).toBe(128);
+			expect(analyser.getWaveformData().length).toBe(256);
+			expect(analyser.getRMS()).not.toBeGreaterThan(1);
+			expect(analyser.getPeak()).not.toBeGreaterThan(1);
+
+			s.finished.then(function () {
+				expect(analyser.disposed).toBe(true);
+				done();
+			});
+			s.stop();
+		});
+	});
+
+	it("renderOffline() should render a timeline that can be encoded as a WAV.", function (done) {
+		var _this = this;
+		this.sound.load({src: this.mp3File, id: "thunder"}).then(function () {
+			if (!createjs.Sound.capabilities.offline) {
+				done();
+				return;
+			}
+			createjs.Sound.renderOffline([
+				{id: "thunder", when: 0, playProps: {volume: 0.5, pan: -1}},
+				{id: "thunder", when: 0.5, playProps: {startTime: 0, duration: 250}}
+			], {sampleRate: 22050, channels: 2}).then(function (buffer) {
+				expect(buffer.sampleRate).toBe(22050);
+				expect(buffer.numberOfChannels).toBe(2);
+
+				var wav = createjs.WAVEncoder.encode(buffer);
+				expect(wav.byteLength).toBe(createjs.WAVEncoder.HEADER_SIZE + buffer.length * 4);
+				done();
+			});
+		});
+	});
+
+	it("renderOffline() should require a duration for sounds that loop forever.", function (done) {
+		this.sound.load({src: this.mp3File, id: "thunder"}).then(function () {
+			if (!createjs.Sound.capabilities.offline) {
+				done();
+				return;
+			}
+			createjs.Sound.renderOffline([{id: "thunder", when: 0, playProps: {loop: -1}}]).catch(function (error) {
+				expect(error.type).toBe(createjs.SoundError.INVALID_DATA);
+				done();
+			});
+		});
+	});
+
+	it("startRecording() should record the master output until stopRecording().", function () {
+		var recorder = this.sound.startRecording({maxDuration: 1000});
+		if (!this.sound.capabilities.recording) {
+			expect(recorder).toBe(null);
+			return;
+		}
+
+		expect(this.sound.startRecording()).toBe(recorder);
+		this.sound.pauseRecording();
+		expect(recorder.paused).toBe(true);
+		this.sound.resumeRecording();
+		expect(recorder.paused).toBe(false);
+
+		var blob = this.sound.stopRecording();
+		expect(blob.type).toBe("audio/wav");
+		expect(recorder.recording).toBe(false);
+		expect(this.sound.stopRecording()).toBe(null);
+	});
+
+	it("stopRecording() should return the recording once it has stopped at the maxDuration.", function (done) {
+		var recorder = this.sound.startRecording({maxDuration: 50});
+		if (!recorder) { done(); return; }
+
+		var _this = this;
+		setTimeout(function () {
+			expect(recorder.recording).toBe(false);
+
+			var blob = _this.sound.stopRecording();
+			expect(blob).toBe(recorder.blob);
+			expect(blob.type).toBe("audio/wav");
+			expect(blob.size).toBeGreaterThan(44);	// more than the WAV header
+			expect(_this.sound.stopRecording()).toBe(null);
+			done();
+		}, 500);
+	});
+
+	it("createStreamInstance() should play a MediaStream as a sound instance.", function () {
+		if (typeof MediaStream == "undefined") { return; }
+		var s = this.sound.createStreamInstance(new MediaStream());
+		s.play();
+		if (this.sound.capabilities.mediaStream) {
+			expect(s instanceof createjs.MediaStreamSoundInstance).toBe(true);
+			expect(s.playState).toBe("playSucceeded");
+			expect(s.duration).toBe(Infinity);
+			s.stop();
+			expect(s.playState).toBe("playFinished");
+		} else {
+			expect(s.playState).toBe("playFailed");
+		}
+	});
+
+	it("registerSound() with stream should play through a media element.", function (done) {
+		var _this = this;
+		this.sound.registerSound(this.mp3File, "thunder", {stream: true});
+		this.sound.on("fileload", function (evt) {
+			var s = _this.sound.play("thunder");
+			expect(s.playState).toBe("playSucceeded");
+			if (_this.sound.activePlugin instanceof createjs.WebAudioPlugin) {
+				expect(s instanceof createjs.MediaElementSoundInstance).toBe(true);
+				s.paused = true;
+				expect(s.mediaElement.paused).toBe(true);
+			}
+			s.stop();
+			done();
+		});
+	});
+
+	it("registerSoundData() should register an AudioBuffer to play by id.", function (done) {
+		var _this = this;
+		this.sound.initializeDefaultPlugins();
+		var context = this.sound.activePlugin.context;
+		if (!context) { done(); return; }
+
+		var buffer = context.createBuffer(1, context.sampleRate, context.sampleRate);
+		this.sound.registerSoundData("generated", buffer).then(function (item) {
+			expect(item.id).toBe("generated");
+			expect(_this.sound.loadComplete("generated")).toBe(true);
+			var s = _this.sound.play("generated");
+			expect(s.playState).toBe("playSucceeded");
+			s.stop();
+			done();
+		});
+	});
+
+	it("Playlist should play tracks in order and move between them.", function (done) {
+		var _this = this;
+		this.sound.registerSound(this.mp3File, "thunder");
+		this.sound.on("fileload", function (evt) {
+			var playlist = new createjs.Playlist(["thunder", _this.mp3File], {repeat: createjs.Playlist.REPEAT_ALL});
+			var changes = [];
+			playlist.on("trackchange", function (event) { changes.push(event.index); });
+
+			playlist.play();
+			expect(playlist.playing).toBe(true);
+			expect(playlist.current.playState).toBe("playSucceeded");
+			expect(playlist.next()).toBe(true);
+			expect(playlist.index).toBe(1);
+			expect(playlist.next()).toBe(true);
+			expect(playlist.index).toBe(0);
+			expect(changes).toEqual([0, 1, 0]);
+
+			playlist.stop();
+			expect(playlist.current).toBe(null);
+			done();
+		});
+	});
+
+	it("loopStart and loopEnd should set the region that loops.", function (done) {
+		var _this = this;
+		this.sound.registerSound(this.mp3File, "thunder");
+		this.sound.on("fileload", function (evt) {
+			var s = _this.sound.play("thunder", {loop: 2, loopStart: 200, loopEnd: 800});
+			expect(s.loopStart).toBe(200);
+			expect(s.loopEnd).toBe(800);
+
+			s.loopEnd = null;
+			expect(s.loopEnd).toBe(null);
+			expect(s.playState).toBe("playSucceeded");
+			s.stop();
+			done();
+		});
+	});
+
+	it("markers should be set from the sound data and fire a marker event.", function (done) {
+		var _this = this;
+		this.sound.registerSound({src: this.mp3File, id: "thunder", data: {markers: [{name: "late", time: 200}, {name: "start", time: 0}]}});
+		this.sound.on("fileload", function (evt) {
+			var s = _this.sound.play("thunder");
+			expect(s.markers[0].name).toBe("start");
+			expect(s.markers[1].name).toBe("late");
+
+			s.on("marker", function (event) {
+				expect(event.name).toBe("start");
+				expect(event.time).toBe(0);
+				s.stop();
+				done();
+			});
+		});
+	});
+
+	it("clock should find the next beat and bar, and quantize should schedule play on them.", function () {
+		var clock = this.sound.clock;
+		clock.bpm = 120;
+		clock.beatsPerBar = 4;
+		clock.start(0);
+
+		expect(clock.getNextTime("beat", 0.2)).toBe(0.5);
+		expect(clock.getNextTime("bar", 0.2)).toBe(2);
+		expect(clock.getNextTime("1/8", 0.3)).toBe(0.5);
+		expect(clock.getNextTime("1/16", 0.2)).toBe(0.25);
+		clock.stop();
+		expect(clock.getNextTime("beat", 0.2)).toBe(0.2);
+	});
+
+	it("playStems() should start the stems together and set their volume.", function (done) {
+		var _this = this;
+		this.sound.registerSound(this.mp3File, "thunder");
+		this.sound.on("fileload", function (evt) {
+			var stems = _this.sound.playStems(["thunder", _this.mp3File], {volume: 0.5});
+			var first = stems.stems["thunder"], second = stems.stems[_this.mp3File];
+			expect(first.playState).toBe("playSucceeded");
+			expect(second.playState).toBe("playSucceeded");
+
+			stems.setStemVolume("thunder", 0.2);
+			expect(first.volume).toBe(0.2);
+			expect(second.volume).toBe(0.5);
+
+			stems.paused = true;
+			expect(first.paused).toBe(true);
+			expect(second.paused).toBe(true);
+
+			stems.stop();
+			expect(first.playState).toBe("playFinished");
+			done();
+		});
+	});
+
+	it("StemGroup position should restart every stem at the same time.", function (done) {
+		var _this = this;
+		this.sound.registerSound(this.mp3File, "thunder");
+		this.sound.on("fileload", function (evt) {
+			var stems = _this.sound.playStems(["thunder", _this.mp3File]);
+			var first = stems.stems["thunder"], second = stems.stems[_this.mp3File];
+			stems.position = 500;
+			if (first._playbackStartTime != null) {
+				expect(first._playbackStartTime).toBe(second._playbackStartTime);
+			}
+			stems.stop();
+			done();
+		});
+	});
+
+	it("MusicSequencer should schedule transitions on the exit points of the segment.", function (done) {
+		var _this = this;
+		this.sound.registerSound(this.mp3File, "explore");
+		this.sound.on("fileload", function (evt) {
+			var music = new createjs.MusicSequencer({
+				explore: {src:"explore", bpm:120, exitPoints:[0, 2]},
+				combat: {src:"explore", bpm:140}
+			});
+			music.play("explore");
+			expect(music.segment).toBe("explore");
+
+			var beat = 0.5, start = music.startTime;
+			expect(music.getNextTime("nextExit", start + 0.1)).toBeCloseTo(start + 2 * beat, 5);
+			expect(music.getNextTime("nextBar", start + 0.1)).toBeCloseTo(start + music.instance.duration * 0.001, 5);
+
+			var time = music.transitionTo("combat");
+			expect(time).toBeGreaterThan(start);
+			expect(music.segment).toBe("explore");
+
+			music.stop();
+			expect(music.segment).toBe(null);
+			done();
+		});
+	});
+
+	it("registerContainer() should play a different variation each time.", function (done) {
+		var _this = this;
+		this.sound.registerSounds([
+			{src:this.mp3File, data:{audioSprite:[
+				{id:"tick1", startTime:0, duration:100},
+				{id:"tick2", startTime:200, duration:100}
+			]}},
+			{id:"tick", container:{sources:["tick1", "tick2"], mode:"shuffle", volume:[0.5, 0.5]}}
+		]);
+		this.sound.on("fileload", function (evt) {
+			var first = _this.sound.play("tick");
+			var second = _this.sound.play("tick");
+			expect(first.id).toBe("tick");
+			expect(first.playState).toBe("playSucceeded");
+			expect(first.startTime).not.toBe(second.startTime);
+			expect(first.volume).toBe(0.5);
+			done();
+		});
+	});
+
+	it("registerManifest() should register sounds with their default play properties.", function (done) {
+		var _this = this;
+		this.sound.registerManifest([
+			{src:this.mp3File, id:"manifestSound", defaultPlayProps:{volume:0.4}}
+		]).then(function () {
+			expect(_this.sound.play("manifestSound").volume).toBe(0.4);
+			done();
+		});
+	});
+
+	it("registerManifest() should apply changed channel limits when a manifest is registered again.", function (done) {
+		var _this = this;
+		this.sound.registerManifest([{src:this.mp3File, id:"limited", data:{channels:1}}]).then(function () {
+			_this.sound.play("limited");
+			expect(_this.sound.play("limited", {interrupt:createjs.Sound.INTERRUPT_NONE}).playState).toBe(createjs.Sound.PLAY_FAILED);
+			_this.sound.stop();
+			return _this.sound.registerManifest([{src:_this.mp3File, id:"limited", data:{channels:2}}]);
+		}).then(function () {
+			_this.sound.play("limited");
+			expect(_this.sound.play("limited", {interrupt:createjs.Sound.INTERRUPT_NONE}).playState).toBe(createjs.Sound.PLAY_SUCCEEDED);
+			done();
+		});
+	});
+
+	it("registerManifest() should remove sounds that are dropped when a manifest is registered again.", function (done) {
+		var _this = this;
+		var manifest = {alternateExtensions:["mp3"], manifest:[
+			{src:this.mp3File, id:"kept"},
+			{id:"dropped", container:{sources:["kept"]}}
+		]};
+		this.sound.registerManifest(manifest).then(function () {
+			expect(_this.sound.alternateExtensions.length).toBe(0);
+			manifest.manifest = manifest.manifest.slice(0, 1);
+			return _this.sound.registerManifest(manifest);
+		}).then(function () {
+			expect(_this.sound.play("kept").playState).toBe(createjs.Sound.PLAY_SUCCEEDED);
+			expect(_this.sound.play("dropped").playState).toBe(createjs.Sound.PLAY_FAILED);
+			done();
+		});
+	});
+
+	it("registerManifest() should report invalid manifests with fileerror.", function (done) {
+		var _this = this;
+		this.sound.on("fileerror", function (evt) {
+			expect(evt.errors.length).toBe(2);
+		});
+		this.sound.registerManifest({manifest:[{id:"noSrc"}, {src:"sound.txt"}]}).catch(function (error) {
+			expect(error.type).toBe(createjs.SoundError.INVALID_DATA);
+			expect(_this.sound.loadComplete("noSrc")).toBe(false);
+			done();
+		});
+	});
+
+	it("registerAudioSpriteJSON() should register the entries of audiosprite JSON.", function (done) {
+		var _this = this;
+		this.sound.registerAudioSpriteJSON({
+			resources: [this.mp3File],
+			spritemap: {
+				jump: {start: 0, end: 0.5, loop: false},
+				engine: {start: 1, end: 1.5, loop: true}
+			}
+		}).then(function () {
+			var jump = _this.sound.play("jump");
+			var engine = _this.sound.play("engine");
+			expect(jump.duration).toBe(500);
+			expect(jump.loop).toBe(0);
+			expect(engine.startTime).toBe(1000);
+			expect(engine.loop).toBe(-1);
+			done();
+		});
+	});
 });